@@ -31,6 +31,7 @@ module.exports = function (sid, objectManager, players, items, UTILS, config, sc
         this.drop = data.drop;
         this.dmg = data.dmg;
         this.hostile = data.hostile;
+        this.nocturnal = data.nocturnal;
         this.dontRun = data.dontRun;
         this.hitRange = data.hitRange;
         this.hitDelay = data.hitDelay;
@@ -78,10 +79,11 @@ module.exports = function (sid, objectManager, players, items, UTILS, config, sc
 
             var charging = false;
             var slowMlt = 1;
-            if (!this.zIndex && !this.lockMove && this.y >= (config.mapScale / 2) - (config.riverWidth / 2) &&
-                this.y <= (config.mapScale / 2) + (config.riverWidth / 2)) {
+            var river = (this.zIndex || this.lockMove) ? null : config.gameMap.riverAt(this.x, this.y);
+            if (river) {
                 slowMlt = 0.33;
-                this.xVel += config.waterCurrent * delta;
+                this.xVel += river.current * river.dirX * delta;
+                this.yVel += river.current * river.dirY * delta;
             }
             if (this.lockMove) {
                 this.xVel = 0;
@@ -94,7 +96,7 @@ module.exports = function (sid, objectManager, players, items, UTILS, config, sc
                         for (var i = 0; i < players.length; ++i) {
                             if (players[i].alive && !(players[i].skin && players[i].skin.bullRepel)) {
                                 tmpDist = UTILS.getDistance(this.x, this.y, players[i].x, players[i].y);
-                                if (tmpDist <= this.viewRange && (!tmpPlayer || tmpDist < bestDst)) {
+                                if (tmpDist <= this.viewRange * this.nightMlt() && (!tmpPlayer || tmpDist < bestDst)) {
                                     bestDst = tmpDist;
                                     tmpPlayer = players[i];
                                 }
@@ -139,7 +141,7 @@ module.exports = function (sid, objectManager, players, items, UTILS, config, sc
                 if (this.moveCount <= 0) {
                     this.runFrom = null;
                     this.chargeTarget = null;
-                    this.waitCount = this.hostile ? 1500 : UTILS.randInt(1500, 6000);
+                    this.waitCount = this.hostile ? 1500 / this.nightMlt() : UTILS.randInt(1500, 6000);
                 }
             }
 
@@ -257,6 +259,11 @@ module.exports = function (sid, objectManager, players, items, UTILS, config, sc
         return dx <= (config.maxScreenWidth / 2) * 1.3 && dy <= (config.maxScreenHeight / 2) * 1.3;
     };
 
+    this.nightMlt = function () {
+        if (!this.nocturnal || !config.dayCycle) return 1;
+        return 1 + (config.nightAggression - 1) * (1 - config.dayCycle.daylight());
+    };
+
     var tmpRatio = 0;
     var animIndex = 0;
     this.animate = function (delta) {
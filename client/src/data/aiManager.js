@@ -25,6 +25,7 @@ module.exports = function (ais, AI, players, items, objectManager, config, UTILS
         name: "Bull",
         src: "bull_2",
         hostile: true,
+        nocturnal: true,
         dmg: 20,
         killScore: 1000,
         health: 1800,
@@ -40,6 +41,7 @@ module.exports = function (ais, AI, players, items, objectManager, config, UTILS
         name: "Bully",
         src: "bull_1",
         hostile: true,
+        nocturnal: true,
         dmg: 20,
         killScore: 2000,
         health: 2800,
@@ -55,6 +57,7 @@ module.exports = function (ais, AI, players, items, objectManager, config, UTILS
         name: "Wolf",
         src: "wolf_1",
         hostile: true,
+        nocturnal: true,
         dmg: 8,
         killScore: 500,
         health: 300,
@@ -1,3 +1,5 @@
+var diplomacy = require("../libs/diplomacy.js");
+
 module.exports = function (sid) {
     this.sid = sid;
 
@@ -32,6 +34,7 @@ module.exports = function (sid) {
         }
         this.colDiv = data.colDiv || 1;
         this.blocker = data.blocker;
+        this.light = data.light;
         this.ignoreCollision = data.ignoreCollision === true;
         this.dontGather = data.dontGather;
         this.hideFromEnemy = data.hideFromEnemy;
@@ -67,7 +70,7 @@ module.exports = function (sid) {
 
     this.visibleToPlayer = function (player) {
         return !(this.hideFromEnemy) || (this.owner && (this.owner == player ||
-            (this.owner.team && player.team == this.owner.team)));
+            diplomacy.isFriendly(this.owner, player)));
     };
 
     this.update = function (delta) {
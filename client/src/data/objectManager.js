@@ -9,7 +9,6 @@ module.exports = function (GameObject, gameObjects, UTILS, config, players, serv
     this.grids = {};
     this.updateObjects = [];
     var cactusDamage = typeof config.cactusDamage === "number" ? config.cactusDamage : 20;
-    var desertStart = (typeof config.mapScale === "number" && typeof config.snowBiomeTop === "number") ? (config.mapScale - config.snowBiomeTop) : null;
 
     var tmpX, tmpY;
     var tmpS = config.mapScale / config.colGrid;
@@ -112,7 +111,7 @@ module.exports = function (GameObject, gameObjects, UTILS, config, players, serv
 
     var tmpObj;
     this.add = function (sid, x, y, dir, s, type, data, setSID, owner) {
-        if (!data && type === 1 && desertStart !== null && y >= desertStart) {
+        if (!data && type === 1 && config.gameMap.biomeAt(x, y) == "desert") {
             data = {
                 name: "cactus",
                 dmg: cactusDamage
@@ -147,19 +146,32 @@ module.exports = function (GameObject, gameObjects, UTILS, config, players, serv
         }
     };
 
-    this.disableBySid = function (sid) {
+    // destroyed objects ("Q") are dropped the same way, a reused sid comes back with "H"
+    this.removeBySid = function (sid) {
         for (var i = 0; i < gameObjects.length; ++i) {
             if (gameObjects[i].sid == sid) {
                 this.disableObj(gameObjects[i]);
+                gameObjects.splice(i, 1);
                 break;
             }
         }
     };
 
+    // objects the server stopped telling us about are dropped, not disabled,
+    // so the store only ever holds what is around the player
+    this.removeBySids = function (sids) {
+        for (var i = gameObjects.length - 1; i >= 0; --i) {
+            if (sids.indexOf(gameObjects[i].sid) >= 0) {
+                gameObjects.splice(i, 1);
+            }
+        }
+    };
+
     this.removeAllItems = function (sid, server) {
-        for (var i = 0; i < gameObjects.length; ++i) {
+        for (var i = gameObjects.length - 1; i >= 0; --i) {
             if (gameObjects[i].active && gameObjects[i].owner && gameObjects[i].owner.sid == sid) {
                 this.disableObj(gameObjects[i]);
+                gameObjects.splice(i, 1);
             }
         }
         if (server) {
@@ -192,8 +204,7 @@ module.exports = function (GameObject, gameObjects, UTILS, config, players, serv
                     gameObjects[i].y) < (s + blockS))
                 return false;
         }
-        if (!ignoreWater && indx != 18 && y >= (config.mapScale / 2) - (config.riverWidth / 2) && y <=
-            (config.mapScale / 2) + (config.riverWidth / 2)) {
+        if (!ignoreWater && indx != 18 && config.gameMap.inRiver(x, y)) {
             return false;
         }
         return true;
@@ -1,5 +1,6 @@
 var LangFilter = require("bad-words");
 var langFilter = new LangFilter();
+var diplomacy = require("../libs/diplomacy.js");
 
 var mathABS = Math.abs;
 var mathCOS = Math.cos;
@@ -185,6 +186,7 @@ module.exports = function (id, sid, config, UTILS, projectileManager,
         this.skinColor = data[9];
         this.isAdmin = data[10] ? true : false;
         this.isInvincible = data[11] ? true : false;
+        this.nameColor = data[12] || null;
     };
 
     var timerCount = 0;
@@ -235,17 +237,20 @@ module.exports = function (id, sid, config, UTILS, projectileManager,
         } else {
             var buildPenalty = (this.buildIndex >= 0) ? (config.physics ? config.physics.buildingSpeedPenalty : 0.5) : 1;
             var spdMult = buildPenalty * (items.weapons[this.weaponIndex].spdMult || 1) *
-                (this.skin ? (this.skin.spdMult || 1) : 1) * (this.tail ? (this.tail.spdMult || 1) : 1) * (this.y <= config.snowBiomeTop ?
+                (this.skin ? (this.skin.spdMult || 1) : 1) * (this.tail ? (this.tail.spdMult || 1) : 1) * (config.gameMap.biomeAt(this.x, this.y) == "snow" ?
                     ((this.skin && this.skin.coldM) ? 1 : config.snowSpeed) : 1) * this.slowMult;
-            if (!this.zIndex && this.y >= (config.mapScale / 2) - (config.riverWidth / 2) &&
-                this.y <= (config.mapScale / 2) + (config.riverWidth / 2)) {
+            var river = this.zIndex ? null : config.gameMap.riverAt(this.x, this.y);
+            if (river) {
+                var currentEffect;
                 if (this.skin && this.skin.watrImm) {
                     spdMult *= (config.water ? config.water.immunitySpeedMultiplier : 0.75);
-                    this.xVel += config.waterCurrent * (config.water ? config.water.immunityCurrentEffect : 0.4) * delta;
+                    currentEffect = config.water ? config.water.immunityCurrentEffect : 0.4;
                 } else {
                     spdMult *= (config.water ? config.water.normalSpeedMultiplier : 0.33);
-                    this.xVel += config.waterCurrent * (config.water ? config.water.normalCurrentEffect : 1.0) * delta;
+                    currentEffect = config.water ? config.water.normalCurrentEffect : 1.0;
                 }
+                this.xVel += river.current * river.dirX * currentEffect * delta;
+                this.yVel += river.current * river.dirY * currentEffect * delta;
             }
             var xVel = (this.moveDir != undefined) ? mathCOS(this.moveDir) : 0;
             var yVel = (this.moveDir != undefined) ? mathSIN(this.moveDir) : 0;
@@ -534,8 +539,7 @@ module.exports = function (id, sid, config, UTILS, projectileManager,
 
         this.noMovTimer = 0;
 
-        var defaultHitSlow = config.combat ? config.combat.defaultHitSlow : 0.3;
-        this.slowMult -= (items.weapons[this.weaponIndex].hitSlow || defaultHitSlow);
+        this.slowMult -= (items.weapons[this.weaponIndex].hitSlow || config.defaultHitSlow);
         if (this.slowMult < 0)
             this.slowMult = 0;
 
@@ -584,7 +588,7 @@ module.exports = function (id, sid, config, UTILS, projectileManager,
 
         for (var i = 0; i < players.length + ais.length; ++i) {
             tmpObj = players[i] || ais[i - players.length];
-            if (tmpObj != this && tmpObj.alive && !(tmpObj.team && tmpObj.team == this.team)) {
+            if (tmpObj != this && tmpObj.alive && !diplomacy.isFriendly(tmpObj, this)) {
                 tmpDist = UTILS.getDistance(this.x, this.y, tmpObj.x, tmpObj.y) - (tmpObj.scale * 1.8);
                 if (tmpDist <= items.weapons[this.weaponIndex].range) {
                     tmpDir = UTILS.getDirection(tmpObj.x, tmpObj.y, this.x, this.y);
@@ -692,7 +696,8 @@ module.exports = function (id, sid, config, UTILS, projectileManager,
             other.skin.invisTimer) return false;
         var dx = mathABS(other.x - this.x) - other.scale;
         var dy = mathABS(other.y - this.y) - other.scale;
-        return dx <= (config.maxScreenWidth / 2) * 1.3 && dy <= (config.maxScreenHeight / 2) * 1.3;
+        var viewMlt = config.dayCycle ? config.dayCycle.viewScale(this.skin && this.skin.nightVision) : 1;
+        return dx <= (config.maxScreenWidth / 2) * 1.3 * viewMlt && dy <= (config.maxScreenHeight / 2) * 1.3 * viewMlt;
     };
 
 };
@@ -1,3 +1,5 @@
+var diplomacy = require("../libs/diplomacy.js");
+
 module.exports = function (players, ais, objectManager, items, config, UTILS, server) {
 
     this.init = function (indx, x, y, dir, spd, dmg, rng, scl, owner) {
@@ -47,7 +49,7 @@ module.exports = function (players, ais, objectManager, items, config, UTILS, se
                 objectsHit.length = 0;
                 for (var i = 0; i < players.length + ais.length; ++i) {
                     tmpObj = players[i] || ais[i - players.length];
-                    if (tmpObj.alive && tmpObj != this.owner && !(this.owner.team && tmpObj.team == this.owner.team)) {
+                    if (tmpObj.alive && tmpObj != this.owner && !diplomacy.isFriendly(this.owner, tmpObj)) {
                         if (UTILS.lineInRect(tmpObj.x - tmpObj.scale, tmpObj.y - tmpObj.scale, tmpObj.x + tmpObj.scale,
                                 tmpObj.y + tmpObj.scale, this.x, this.y, this.x + (tmpSpeed * Math.cos(this.dir)),
                                 this.y + (tmpSpeed * Math.sin(this.dir)))) {
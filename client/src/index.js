@@ -25,13 +25,24 @@ window.loadedScript = true;
 require("./libs/modernizr.js");
 
 var io = require('./libs/io-client.js');
+var ReplayPlayer = require('./libs/replay-player.js');
 
 var UTILS = require("./libs/utils.js");
 
 var animText = require("./libs/animText.js");
 
+var diplomacy = require("./libs/diplomacy.js");
+
 var config = require("./config.js");
 
+var GameMap = require("./data/map.js");
+// replaced by the room's own map when "A" arrives
+config.gameMap = new GameMap(GameMap.classic(config));
+
+var DayCycle = require("./data/dayCycle.js");
+// set from "A" in rooms that have a day/night cycle
+config.dayCycle = null;
+
 var GameObject = require("./data/gameObject.js");
 
 var items = require("./data/items.js");
@@ -42,6 +53,8 @@ var Player = require("./data/player.js");
 
 var store = require("./data/store.js");
 
+var statusEffects = require("./data/effects.js").effects;
+
 var Projectile = require("./data/projectile.js");
 
 var ProjectileManager = require("./data/projectileManager.js");
@@ -72,8 +85,14 @@ if (typeof window !== "undefined" && typeof fetch === "function") {
 
 
 window.onload = function () {
-    showLoadingText("Connecting...");
     initAuthButtons();
+    var replayParams = new URLSearchParams(window.location.search);
+    if (replayParams.get("replay")) {
+        showLoadingText("Loading replay...");
+        loadReplay(replayParams.get("replay"), replayParams.get("token"));
+        return;
+    }
+    showLoadingText("Connecting...");
     connectSocketIfReady();
 };
 
@@ -135,6 +154,15 @@ function initAuthButtons() {
             logoutAccount();
         });
     }
+
+    ["recent", "best"].forEach(function (sort) {
+        var button = document.getElementById("matchSort_" + sort);
+        if (button) {
+            button.addEventListener("click", function () {
+                requestMatches(sort);
+            });
+        }
+    });
     
     console.log('[Auth] Button listeners initialized');
 }
@@ -156,17 +184,44 @@ function connectSocket() {
         wsAddress = window.location.href.replace(/^http:/, "ws:").replace(/^https:/, "wss:");
     }
 
+    // carry ?room= over to configured socket urls so lobby links still work
+    var roomParam = new URLSearchParams(window.location.search).get("room");
+    if (roomParam && wsAddress.indexOf("room=") === -1) {
+        wsAddress += (wsAddress.indexOf("?") === -1 ? "?" : "&") + "room=" + encodeURIComponent(roomParam);
+    }
+
+    // rejoin the party slot we held before a reload or room switch
+    var savedParty = getPartySession();
+    if (savedParty) {
+        wsAddress += (wsAddress.indexOf("?") === -1 ? "?" : "&") + "party=" + encodeURIComponent(savedParty.code) +
+            "&partyToken=" + encodeURIComponent(savedParty.token);
+    }
+
+    if (spectateOnly) {
+        wsAddress += (wsAddress.indexOf("?") === -1 ? "?" : "&") + "spectate=1";
+    }
+
+    // keep retrying a dropped connection for as long as the server holds the player
+    io.resumeInterval = config.resumeInterval;
+    io.maxResumeAttempts = Math.ceil(config.reconnectGrace / config.resumeInterval);
+
     io.connect(wsAddress, function (error) {
         pingSocket();
         setInterval(pingSocket, 2500);
 
-        if (error) {
+        if (error && io.closeCode === config.shutdownCloseCode) {
+            waitForRestart();
+        } else if (error) {
             disconnect(error);
         } else {
             connected = true;
             startGame();
         }
-    }, {
+    }, getPacketHandlers());
+}
+
+function getPacketHandlers() {
+    return {
         "A": setInitData,
         "B": disconnect,
         "C": setupGame,
@@ -174,7 +229,9 @@ function connectSocket() {
         "E": removePlayer,
         "a": updatePlayers,
         "G": updateLeaderboard,
+        "TG": updateTribeLeaderboard,
         "H": loadGameObject,
+        "HD": forgetGameObjects,
         "I": loadAI,
         "J": animateAI,
         "K": gatherAnimation,
@@ -216,11 +273,273 @@ function connectSocket() {
         "BANNED": handleBanned,
         "TC": handleTeleportClick,
         "MM": handleMobMode,
+        "DN": syncDayCycle,
+        "WE": setWeather,
         "AUTH_RESULT": handleAuthResult,
         "REGISTER_RESULT": handleRegisterResult,
+        "BALANCE": handleBalance,
+        "MATCHES": handleMatches,
+        "TRIBE": handleTribe,
+        "MK": setTribeMarkers,
+        "DP": setRelations,
         "PARTY_CREATED": handlePartyCreated,
-        "PARTY_JOIN_RESULT": handlePartyJoinResult
+        "PARTY_JOIN_RESULT": handlePartyJoinResult,
+        "PARTY_UPDATE": handlePartyUpdate,
+        "PARTY_MOVE": handlePartyMove,
+        "REPLAY_LINK": handleReplayLink,
+        "SPECTATE": setSpectating,
+        "RW": clearWorld
+    };
+}
+
+var replayPlayer = null;
+var replayPerspectives = [];
+
+function handleReplayLink(data) {
+    if (data && data.url) {
+        prompt("Replay link (valid for 10 minutes):", window.location.origin + data.url);
+    }
+}
+
+function loadReplay(name, token) {
+    fetch("/api/replays/" + encodeURIComponent(name) + "?token=" + encodeURIComponent(token || ""), { cache: "no-store" })
+        .then(function (res) {
+            if (!res.ok) {
+                throw new Error("Replay not found or the link expired");
+            }
+            return res.arrayBuffer();
+        })
+        .then(function (buffer) {
+            startReplay(ReplayPlayer.parse(new Uint8Array(buffer)));
+        })
+        .catch(function (error) {
+            showLoadingText(error.message || "Failed to load replay");
+        });
+}
+
+function startReplay(replay) {
+    var handlers = getPacketHandlers();
+    // whatever happened to the recorded player, the viewer stays on this page
+    handlers["B"] = function () { };
+    handlers["KICKED"] = function () { };
+    handlers["BANNED"] = function () { };
+    io.startPlayback(handlers);
+
+    replayPlayer = replay;
+    replayPerspectives = replay.perspectives();
+    replay.onFrame = function (packet) {
+        io.receive(packet);
+    };
+    replay.onReset = resetReplayWorld;
+
+    startGame();
+    mainMenu.style.display = "none";
+    loadingText.style.display = "none";
+    bindReplayControls();
+
+    if (replayPerspectives.length) {
+        setReplayTarget(replayPerspectives[0].id);
+    } else {
+        replay.restart();
+    }
+}
+
+function setReplayTarget(id) {
+    document.getElementById("replayPerspective").value = id;
+    replayPlayer.setTarget(id);
+}
+
+// also on "RW", after a resumed connection that may have lost packets: the server sends the world again
+function clearWorld() {
+    players.length = 0;
+    ais.length = 0;
+    projectiles.length = 0;
+    gameObjects.length = 0;
+    objectManager.grids = {};
+    objectManager.updateObjects.length = 0;
+    player = null;
+}
+
+// back to the world as it was when the segment opened, seen by the current target
+function resetReplayWorld() {
+    var header = replayPlayer.header;
+    clearWorld();
+
+    io.dispatch("A", [{ teams: header.teams, room: header.room, map: header.map, dayCycle: header.dayCycle, weather: header.weather }]);
+    var target = header.players.filter(function (data) {
+        return data[0] === replayPlayer.target;
+    })[0];
+    if (target) {
+        io.dispatch("C", [target[1]]);
+    }
+    header.players.forEach(function (data) {
+        io.dispatch("D", [data, data === target]);
     });
+    io.dispatch("H", [header.objects]);
+}
+
+function formatReplayTime(ms) {
+    var seconds = Math.floor(ms / 1000);
+    var rest = seconds % 60;
+    return Math.floor(seconds / 60) + ":" + (rest < 10 ? "0" : "") + rest;
+}
+
+function bindReplayControls() {
+    var replayControls = document.getElementById("replayControls");
+    var playButton = document.getElementById("replayPlayButton");
+    var seekBar = document.getElementById("replaySeek");
+    var speedSelect = document.getElementById("replaySpeed");
+    var perspectiveSelect = document.getElementById("replayPerspective");
+
+    replayControls.style.display = "flex";
+    seekBar.max = replayPlayer.duration;
+
+    UTILS.removeAllChildren(perspectiveSelect);
+    replayPerspectives.forEach(function (perspective) {
+        var option = document.createElement("option");
+        option.value = perspective.id;
+        option.textContent = perspective.name + " (" + perspective.sid + ")";
+        perspectiveSelect.appendChild(option);
+    });
+
+    playButton.onclick = function () {
+        if (replayPlayer.time >= replayPlayer.duration) {
+            replayPlayer.seek(0);
+        }
+        replayPlayer.paused = !replayPlayer.paused;
+    };
+    seekBar.oninput = function () {
+        replayPlayer.seek(Number(seekBar.value));
+    };
+    speedSelect.onchange = function () {
+        replayPlayer.speed = Number(speedSelect.value);
+    };
+    perspectiveSelect.onchange = function () {
+        setReplayTarget(perspectiveSelect.value);
+    };
+}
+
+function updateReplay() {
+    replayPlayer.update(delta);
+    document.getElementById("replayPlayButton").textContent = replayPlayer.paused ? "Play" : "Pause";
+    document.getElementById("replaySeek").value = replayPlayer.time;
+    document.getElementById("replayTime").textContent = formatReplayTime(replayPlayer.time) + " / " + formatReplayTime(replayPlayer.duration);
+}
+
+// { target, players, reset } from "SPECTATE" while watching the room, see server/src/moomoo/modules/spectatorManager.js
+var spectating = null;
+// ?spectate=1 watches without ever spawning, so there is no menu to go back to
+var spectateOnly = new URLSearchParams(window.location.search).get("spectate") === "1";
+var spectatorCameraSent = null;
+
+function setSpectating(state) {
+    if (state && state.error) {
+        var spectateLabel = document.getElementById("spectateButton").getElementsByTagName("span")[0];
+        spectateLabel.textContent = state.error;
+        setTimeout(function () {
+            spectateLabel.textContent = "Spectate";
+        }, 3000);
+        return;
+    }
+    // a new target or the free camera: the server sends the world again from scratch
+    if (!state || state.reset) {
+        clearWorld();
+    }
+    spectating = state;
+    keys = {};
+    var hud = document.getElementById("spectatorHud");
+    if (!state) {
+        hud.style.display = "none";
+        gameUI.classList.remove("spectating");
+        gameUI.style.display = "none";
+        inGame = false;
+        mainMenu.style.display = "block";
+        menuCardHolder.style.display = "flex";
+        return;
+    }
+    inGame = true;
+    mainMenu.style.display = "none";
+    diedText.style.display = "none";
+    gameUI.style.display = "block";
+    gameUI.classList.add("spectating");
+    hud.style.display = "flex";
+    renderSpectatorHud();
+}
+
+function renderSpectatorHud() {
+    var list = document.getElementById("spectatorList");
+    var targetName = document.getElementById("spectatorTarget");
+    targetName.textContent = "Free camera";
+    UTILS.removeAllChildren(list);
+    for (var i = 0; i < spectating.players.length; i += 2) {
+        list.appendChild(createSpectatorListItem(spectating.players[i], spectating.players[i + 1]));
+        if (spectating.players[i] === spectating.target) {
+            targetName.textContent = spectating.players[i + 1];
+        }
+    }
+    document.getElementById("spectatorStopButton").style.display = spectateOnly ? "none" : "";
+}
+
+function createSpectatorListItem(sid, name) {
+    var item = document.createElement("div");
+    item.className = "spectatorListItem" + (sid === spectating.target ? " active" : "");
+    item.textContent = name;
+    item.onclick = function () {
+        io.send("SPECTATE", "follow", sid);
+    };
+    return item;
+}
+
+function bindSpectatorControls() {
+    var spectateButton = document.getElementById("spectateButton");
+    UTILS.hookTouchEvents(spectateButton);
+    spectateButton.onclick = UTILS.checkTrusted(function () {
+        if (!inGame && socketReady()) {
+            io.send("SPECTATE", "start");
+        }
+    });
+    document.getElementById("spectatorPrevButton").onclick = function () {
+        io.send("SPECTATE", "prev");
+    };
+    document.getElementById("spectatorNextButton").onclick = function () {
+        io.send("SPECTATE", "next");
+    };
+    document.getElementById("spectatorRoamButton").onclick = function () {
+        io.send("SPECTATE", "roam");
+    };
+    document.getElementById("spectatorStopButton").onclick = function () {
+        io.send("SPECTATE", "stop");
+    };
+}
+
+function spectatorKeyDown(keyNum) {
+    if (keys[keyNum]) {
+        return;
+    }
+    keys[keyNum] = 1;
+    if (keyNum == 81) {
+        io.send("SPECTATE", "prev");
+    } else if (keyNum == 69) {
+        io.send("SPECTATE", "next");
+    } else if (keyNum == 82) {
+        io.send("SPECTATE", "roam");
+    }
+}
+
+// the free camera moves here and the server sends the world around it
+function moveSpectatorCamera() {
+    var dir = getMoveDir();
+    if (dir !== undefined) {
+        var step = config.spectatorCameraSpeed * delta;
+        camX = Math.min(Math.max(camX + Math.cos(dir) * step, 0), config.mapScale);
+        camY = Math.min(Math.max(camY + Math.sin(dir) * step, 0), config.mapScale);
+    }
+    var position = Math.round(camX) + "," + Math.round(camY);
+    if (position !== spectatorCameraSent && (!lastSent || now - lastSent >= (1000 / config.clientSendRate))) {
+        lastSent = now;
+        spectatorCameraSent = position;
+        io.send("SP", Math.round(camX), Math.round(camY));
+    }
 }
 
 var currentAccount = null;
@@ -255,9 +574,165 @@ function handleRegisterResult(data) {
     }
 }
 
+// latest ledger entries for the account panel, from "BALANCE"
+var accountTransactions = [];
+
+function handleBalance(data) {
+    if (!data) return;
+    if (data.error) {
+        showNotification(data.error);
+    }
+    if (currentAccount && data.balance !== undefined) {
+        currentAccount.balance = data.balance;
+        currentAccount.nameColor = data.nameColor;
+        accountTransactions = data.transactions || [];
+        saveVal("moo_account", JSON.stringify(currentAccount));
+        updateAccountUI();
+        if (!accountMatchSort) {
+            requestMatches("recent");
+            io.send("TRIBE");
+        }
+    }
+}
+
+// the account's match history, from "MATCHES", sorted by "recent" or "best"
+var accountMatches = [];
+var accountMatchSort = null;
+
+function requestMatches(sort) {
+    accountMatchSort = sort;
+    io.send("MATCHES", sort);
+}
+
+function handleMatches(data) {
+    if (!data || data.sort != accountMatchSort) return;
+    accountMatches = data.matches || [];
+    renderMatches();
+}
+
+// the account's tribe with its members and summed up stats, from "TRIBE"
+var accountTribe = null;
+
+function handleTribe(profile) {
+    accountTribe = profile || null;
+    renderTribe();
+}
+
+function renderTribe() {
+    var holder = document.getElementById("accountTribe");
+    if (!holder) return;
+    UTILS.removeAllChildren(holder);
+    if (!accountTribe) {
+        holder.textContent = "Not in a tribe";
+        return;
+    }
+    var stats = accountTribe.stats;
+    var summary = document.createElement("div");
+    summary.style.cssText = "font-weight: 600; margin-bottom: 4px;";
+    summary.textContent = accountTribe.name + " - " + stats.members + " members, " + formatNumber(stats.kills) +
+        " kills, " + formatNumber(stats.score) + " score, best " + formatNumber(stats.highestScore);
+    holder.appendChild(summary);
+    for (var i = 0; i < accountTribe.members.length; ++i) {
+        var member = accountTribe.members[i];
+        var row = document.createElement("div");
+        row.style.cssText = "display: flex; justify-content: space-between; gap: 6px;";
+        var name = document.createElement("span");
+        name.textContent = member.displayName + (member.role != "member" ? " (" + member.role + ")" : "");
+        var record = document.createElement("span");
+        record.style.color = "#888";
+        record.textContent = formatNumber(member.kills) + " kills, " + formatNumber(member.highestScore) + " best";
+        row.appendChild(name);
+        row.appendChild(record);
+        holder.appendChild(row);
+    }
+}
+
+function describeDeath(match) {
+    if (match.cause == "left") return "Left";
+    if (match.cause == "poison") return "Poisoned";
+    if (match.killer) return "Killed by " + match.killer;
+    return match.cause == "animal" ? "Killed by an animal" : "Died";
+}
+
+function renderMatches() {
+    var holder = document.getElementById("accountMatches");
+    if (!holder) return;
+    var sorts = ["recent", "best"];
+    for (var s = 0; s < sorts.length; ++s) {
+        var button = document.getElementById("matchSort_" + sorts[s]);
+        if (button) button.style.fontWeight = accountMatchSort == sorts[s] ? "700" : "400";
+    }
+    UTILS.removeAllChildren(holder);
+    if (!accountMatches.length) {
+        holder.textContent = "No matches yet";
+        return;
+    }
+    for (var i = 0; i < accountMatches.length; ++i) {
+        var match = accountMatches[i];
+        var row = document.createElement("div");
+        row.style.cssText = "display: flex; justify-content: space-between; gap: 6px; padding: 2px 0; border-top: 1px solid #e8e8e8;";
+        var summary = document.createElement("span");
+        summary.textContent = formatNumber(match.score) + " score, age " + match.peakAge + ", " +
+            formatNumber(match.kills) + " kills, " + formatPlayTime(new Date(match.endedAt) - new Date(match.startedAt));
+        var ending = document.createElement("span");
+        ending.style.color = "#888";
+        ending.textContent = describeDeath(match) + " - " + formatDate(match.endedAt);
+        row.appendChild(summary);
+        row.appendChild(ending);
+        holder.appendChild(row);
+    }
+}
+
+function renderNameColors() {
+    var list = document.getElementById("nameColorList");
+    var price = document.getElementById("nameColorPrice");
+    if (!list) return;
+    if (price) price.textContent = config.nameColorPrice > 0 ? "(" + formatNumber(config.nameColorPrice) + " each)" : "";
+    UTILS.removeAllChildren(list);
+    for (var i = 0; i < config.nameColors.length; ++i) {
+        (function (index) {
+            var color = config.nameColors[index];
+            var swatch = document.createElement("div");
+            swatch.title = color;
+            swatch.style.cssText = "width: 22px; height: 22px; border-radius: 50%; cursor: pointer; background: " + color + ";" +
+                (currentAccount.nameColor == color ? " box-shadow: 0 0 0 2px #fff, 0 0 0 4px #333;" : "");
+            swatch.onclick = function () {
+                if (currentAccount.nameColor != color) {
+                    io.send("NAME_COLOR", index);
+                }
+            };
+            list.appendChild(swatch);
+        })(i);
+    }
+}
+
+function renderTransactions() {
+    var holder = document.getElementById("accountTransactions");
+    if (!holder) return;
+    UTILS.removeAllChildren(holder);
+    if (!accountTransactions.length) {
+        holder.textContent = "None yet";
+        return;
+    }
+    for (var i = 0; i < accountTransactions.length; ++i) {
+        var entry = accountTransactions[i];
+        var row = document.createElement("div");
+        row.style.cssText = "display: flex; justify-content: space-between; gap: 6px;";
+        var label = document.createElement("span");
+        label.textContent = entry.reason + (entry.details ? " - " + entry.details : "");
+        var amount = document.createElement("span");
+        amount.style.cssText = "font-weight: 600; color: " + (entry.amount > 0 ? "#4caf50" : "#e53935") + ";";
+        amount.textContent = (entry.amount > 0 ? "+" : "") + formatNumber(entry.amount);
+        row.appendChild(label);
+        row.appendChild(amount);
+        holder.appendChild(row);
+    }
+}
+
 function handlePartyCreated(data) {
     var result = data;
     if (result && result.code) {
+        setPartySession(result);
         showNotification("Party created! Code: " + result.code);
         var partyBtnSpan = partyButton ? partyButton.getElementsByTagName("span")[0] : null;
         if (partyBtnSpan) {
@@ -276,13 +751,116 @@ function handlePartyJoinResult(data) {
     var result = data;
     if (result) {
         if (result.success) {
+            setPartySession(result);
             showNotification("Joined party: " + result.code);
+            if (currentRoom && result.room !== currentRoom.id) {
+                goToRoom(result.room);
+            }
         } else {
             showNotification("Failed to join party: " + (result.error || "Unknown error"));
         }
     }
 }
 
+var partyState = null;
+
+function getPartySession() {
+    try {
+        return JSON.parse(sessionStorage.getItem("moo_party"));
+    } catch (e) {
+        return null;
+    }
+}
+
+function setPartySession(result) {
+    try {
+        if (result) {
+            sessionStorage.setItem("moo_party", JSON.stringify({ code: result.code, token: result.token }));
+        } else {
+            sessionStorage.removeItem("moo_party");
+        }
+    } catch (e) {}
+}
+
+function handlePartyUpdate(data) {
+    partyState = data;
+    if (!data) {
+        setPartySession(null);
+    }
+    renderPartyStatus();
+}
+
+function handlePartyMove(data) {
+    if (!data) return;
+    if (data.success) {
+        showNotification("Party is moving to " + data.room + "...");
+        goToRoom(data.room);
+    } else {
+        showNotification(data.error || "Could not move party");
+    }
+}
+
+function goToRoom(roomId) {
+    var params = new URLSearchParams(window.location.search);
+    params.set("room", roomId);
+    window.location.search = params.toString();
+}
+
+// party hosts take their members along; everyone else just switches
+function switchRoom(roomId) {
+    if (partyState && partyState.isHost) {
+        io.send("PARTY_MOVE", roomId);
+    } else {
+        goToRoom(roomId);
+    }
+}
+
+function leaveParty() {
+    io.send("LEAVE_PARTY");
+    handlePartyUpdate(null);
+}
+
+function renderPartyStatus() {
+    var partyCodeDisplay = document.getElementById('partyCodeDisplay');
+    var partyCodeValue = document.getElementById('partyCodeValue');
+    var partyMembersList = document.getElementById('partyMembersList');
+    if (!partyCodeDisplay || !partyCodeValue || !partyMembersList) return;
+
+    UTILS.removeAllChildren(partyMembersList);
+    if (!partyState) {
+        partyCodeDisplay.style.display = 'none';
+        return;
+    }
+
+    partyCodeValue.textContent = partyState.code;
+    partyCodeDisplay.style.display = 'block';
+
+    for (var i = 0; i < partyState.members.length; ++i) {
+        var member = partyState.members[i];
+        var row = document.createElement('div');
+        row.className = 'partyMember' + (member.online ? '' : ' offline');
+
+        var name = document.createElement('span');
+        name.className = 'partyMemberName';
+        name.textContent = (member.isHost ? '\u2605 ' : '') + member.name;
+        row.appendChild(name);
+
+        var status = document.createElement('span');
+        status.className = 'partyMemberStatus';
+        if (!member.online) {
+            status.textContent = 'offline';
+        } else if (member.room !== partyState.room) {
+            status.textContent = 'joining ' + partyState.room;
+        } else if (member.alive) {
+            status.textContent = member.health + ' hp \u00b7 ' + member.score;
+        } else {
+            status.textContent = 'in menu';
+        }
+        row.appendChild(status);
+        partyMembersList.appendChild(row);
+    }
+}
+
 var customKeybinds = {
     moveUp: 'w',
     moveLeft: 'a',
@@ -397,6 +975,7 @@ function updateAccountUI() {
     var accountHighScore = document.getElementById("accountHighScore");
     var accountPlayTime = document.getElementById("accountPlayTime");
     var accountCreatedAt = document.getElementById("accountCreatedAt");
+    var accountBalance = document.getElementById("accountBalance");
     
     var existingBanNotice = document.getElementById("banNoticeContainer");
     if (existingBanNotice) existingBanNotice.remove();
@@ -433,6 +1012,9 @@ function updateAccountUI() {
         if (accountHighScore) accountHighScore.textContent = formatNumber(currentAccount.highestScore || 0);
         if (accountPlayTime) accountPlayTime.textContent = currentAccount.formattedPlayTime || formatPlayTime(currentAccount.playTime || 0);
         if (accountCreatedAt) accountCreatedAt.textContent = currentAccount.formattedCreatedAt || formatDate(currentAccount.createdAt);
+        if (accountBalance) accountBalance.textContent = formatNumber(currentAccount.balance || 0);
+        renderNameColors();
+        renderTransactions();
     } else {
         if (loginButtons) loginButtons.style.display = "block";
         if (accountInfo) accountInfo.style.display = "none";
@@ -616,6 +1198,9 @@ function submitAuth() {
 
 function logoutAccount() {
     currentAccount = null;
+    accountMatches = [];
+    accountMatchSort = null;
+    accountTribe = null;
     saveVal("moo_account", "");
     updateAccountUI();
     showNotification("Logged out");
@@ -885,6 +1470,8 @@ function createParty() {
 
 window.joinParty = joinParty;
 window.createParty = createParty;
+window.leaveParty = leaveParty;
+window.switchRoom = switchRoom;
 window.showNotification = showNotification;
 
 var isGuestMode = true;
@@ -1097,6 +1684,7 @@ var mainContext = gameCanvas.getContext("2d");
 var nativeResolutionCheckbox = document.getElementById("nativeResolution");
 var showPingCheckbox = document.getElementById("showPing");
 var shutdownDisplay = document.getElementById("shutdownDisplay");
+var weatherDisplay = document.getElementById("weatherDisplay");
 var menuCardHolder = document.getElementById("menuCardHolder");
 var guideCard = document.getElementById("guideCard");
 var loadingText = document.getElementById("loadingText");
@@ -1132,10 +1720,31 @@ var accessories = store.accessories;
 var objectManager = new ObjectManager(GameObject, gameObjects, UTILS, config);
 var outlineColor = "#525252";
 var darkOutlineColor = "#3d3f42";
+var currentRoom = null;
 var outlineWidth = 5.5;
 
 function setInitData(data) {
     alliances = data.teams;
+    diplomacy.set(data.relations);
+    if (data.room) {
+        currentRoom = data.room;
+        config.isSandbox = data.room.isSandbox;
+        config.cosmeticsUseBalance = data.room.cosmeticsUseBalance;
+        // quoted in bug reports so the same map can be generated again
+        document.getElementById("seedDisplay").textContent = "Seed: " + data.room.seed;
+    }
+    if (data.map) {
+        config.mapScale = data.map.size;
+        config.gameMap = new GameMap(data.map);
+    }
+    config.dayCycle = data.dayCycle ? new DayCycle(data.dayCycle) : null;
+    setWeather(data.weather || null);
+}
+
+function syncDayCycle(time) {
+    if (config.dayCycle) {
+        config.dayCycle.time = time;
+    }
 }
 
 var featuredYoutuber = document.getElementById('featuredYoutube');
@@ -1229,6 +1838,23 @@ function disconnect(reason) {
     showLoadingText(reason);
 }
 
+// the server closed us for a restart, reload once it answers again so the
+// party and account saved in storage are picked back up
+function waitForRestart() {
+    connected = false;
+    showLoadingText("Server restarting, reconnecting...");
+    setTimeout(function retry() {
+        fetch("/ping", { cache: "no-store" }).then(function (res) {
+            if (!res.ok) {
+                throw new Error("server not ready");
+            }
+            window.location.reload();
+        }).catch(function () {
+            setTimeout(retry, config.reconnectInterval);
+        });
+    }, config.reconnectInterval);
+}
+
 function showLoadingText(text) {
     mainMenu.style.display = "block";
     gameUI.style.display = "none";
@@ -1251,6 +1877,8 @@ function bindEvents() {
     enterGameButton.onclick = UTILS.checkTrusted(function () {
         enterGame();
     });
+    bindSpectatorControls();
+    bindLeaderboardTabs();
     joinPartyButton.onclick = UTILS.checkTrusted(function () {
         setTimeout(function () {
             joinParty();
@@ -1304,6 +1932,10 @@ function bindEvents() {
     mapDisplay.onclick = UTILS.checkTrusted(function () {
         sendMapPing();
     });
+    mapDisplay.oncontextmenu = UTILS.checkTrusted(function (ev) {
+        ev.preventDefault();
+        placeTribeMarker(ev);
+    });
     UTILS.hookTouchEvents(mapDisplay);
 
     // Tab switching functionality
@@ -1614,7 +2246,7 @@ function showItemInfo(item, isWeapon, isStoreItem) {
         if (isStoreItem && item.price) {
             UTILS.generateElement({
                 class: "itemInfoReq",
-                text: "Price: " + item.price + " coins",
+                text: "Price: " + storePrice(item) + (storeUsesBalance() ? " balance" : " coins"),
                 parent: itemInfoHolder
             });
         } else if (isWeapon) {
@@ -1696,9 +2328,15 @@ function addAlliance(data) {
 }
 
 function setPlayerTeam(team, isOwner) {
+    if (currentAccount && accountMatchSort) {
+        io.send("TRIBE");
+    }
     if (player) {
         player.team = team;
         player.isOwner = isOwner;
+        if (!team && tribeChat) {
+            setTribeChat(false);
+        }
         if (allianceMenu.style.display == "block") {
             showAllianceMenu();
         }
@@ -1712,6 +2350,13 @@ function setAlliancePlayers(data) {
     }
 }
 
+function setRelations(data) {
+    diplomacy.set(data);
+    if (allianceMenu.style.display == "block") {
+        showAllianceMenu();
+    }
+}
+
 function deleteAlliance(sid) {
     for (var i = alliances.length - 1; i >= 0; i--) {
         if (alliances[i].sid == sid)
@@ -1738,27 +2383,34 @@ function showAllianceMenu() {
         allianceMenu.style.display = "block";
         UTILS.removeAllChildren(allianceHolder);
         if (player.team) {
-            for (var i = 0; i < alliancePlayers.length; i += 2) {
+            var myRank = tribeRoleRank(allianceRole(player.sid));
+            for (var i = 0; i < alliancePlayers.length; i += 3) {
                 (function (i) {
+                    var sid = alliancePlayers[i];
+                    var role = alliancePlayers[i + 2];
                     var tmp = UTILS.generateElement({
                         class: "allianceItem",
-                        style: "color:" + (alliancePlayers[i] == player.sid ? "#fff" : "rgba(255,255,255,0.6)"),
-                        text: alliancePlayers[i + 1],
+                        style: "color:" + (sid == player.sid ? "#fff" : "rgba(255,255,255,0.6)"),
+                        text: alliancePlayers[i + 1] + (role != "member" ? " (" + role + ")" : ""),
                         parent: allianceHolder
                     });
-                    if (player.isOwner && alliancePlayers[i] != player.sid) {
-                        UTILS.generateElement({
-                            class: "joinAlBtn",
-                            text: "Kick",
-                            onclick: function () {
-                                kickFromClan(alliancePlayers[i]);
-                            },
-                            hookTouch: true,
-                            parent: tmp
+                    if (sid == player.sid) return;
+                    if ((player.isOwner || myRank <= tribeRoleRank("officer")) && myRank < tribeRoleRank(role)) {
+                        allianceAction(tmp, "Kick", function () {
+                            kickFromClan(sid);
+                        });
+                    }
+                    if (myRank == tribeRoleRank("leader")) {
+                        allianceAction(tmp, "Lead", function () {
+                            changeTribeRole(sid, "leader");
+                        });
+                        allianceAction(tmp, role == "officer" ? "Demote" : "Promote", function () {
+                            changeTribeRole(sid, role == "officer" ? "demote" : "promote");
                         });
                     }
                 })(i);
             }
+            showTribeRelations(myRank == tribeRoleRank("leader"));
         } else {
             if (alliances.length) {
                 for (var i = 0; i < alliances.length; ++i) {
@@ -1793,7 +2445,7 @@ function showAllianceMenu() {
             UTILS.generateElement({
                 class: "allianceButtonM",
                 style: "width: 360px",
-                text: player.isOwner ? "Delete Tribe" : "Leave Tribe",
+                text: alliancePlayers.length > 3 ? "Leave Tribe" : "Delete Tribe",
                 onclick: function () {
                     leaveAlliance()
                 },
@@ -1839,6 +2491,67 @@ function kickFromClan(sid) {
     io.send("P", sid);
 }
 
+// tribe roles, best first, as sent with each member in "4"
+var tribeRoles = ["leader", "officer", "member"];
+
+function tribeRoleRank(role) {
+    var rank = tribeRoles.indexOf(role);
+    return rank == -1 ? tribeRoles.length : rank;
+}
+
+function allianceRole(sid) {
+    for (var i = 0; i < alliancePlayers.length; i += 3) {
+        if (alliancePlayers[i] == sid) return alliancePlayers[i + 2];
+    }
+    return null;
+}
+
+function allianceAction(parent, text, onclick) {
+    UTILS.generateElement({
+        class: "joinAlBtn",
+        style: "margin-left: 12px; font-size: 18px; line-height: 30px;",
+        text: text,
+        onclick: onclick,
+        hookTouch: true,
+        parent: parent
+    });
+}
+
+function changeTribeRole(sid, action) {
+    io.send("TRIBE_ROLE", sid, action);
+}
+
+var relationNames = ["neutral", "ally", "war"];
+
+// the other tribes in the room under the member list, with the leader's ally, war and peace actions
+function showTribeRelations(isLeader) {
+    for (var i = 0; i < alliances.length; ++i) {
+        (function (title) {
+            if (title == player.team) return;
+            var relation = diplomacy.relation(player.team, title);
+            var tmp = UTILS.generateElement({
+                class: "allianceItem",
+                style: "color:" + (relation == diplomacy.Relation.Ally ? "#8ecc51" : relation == diplomacy.Relation.War ? "#cc5151" : "rgba(255,255,255,0.6)"),
+                text: "[" + title + "] " + relationNames[relation],
+                parent: allianceHolder
+            });
+            if (!isLeader) return;
+            if (relation == diplomacy.Relation.Neutral) {
+                allianceAction(tmp, "Ally", function () {
+                    io.send("DP", title, "ally");
+                });
+                allianceAction(tmp, "War", function () {
+                    io.send("DP", title, "war");
+                });
+            } else {
+                allianceAction(tmp, "Peace", function () {
+                    io.send("DP", title, "peace");
+                });
+            }
+        })(alliances[i].sid);
+    }
+}
+
 function sendJoin(index) {
     io.send("b", alliances[index].sid);
 }
@@ -1918,6 +2631,51 @@ function updateMinimap(data) {
     minimapData = data;
 }
 
+// the tribe's minimap markers from "MK": id, kind, x, y for each
+var tribeMarkers = [];
+
+function setTribeMarkers(data) {
+    tribeMarkers = data || [];
+}
+
+// right click on the minimap places a rally point, with shift a danger marker;
+// right clicking a marker takes it down
+function placeTribeMarker(ev) {
+    if (!player || !player.team) return;
+    var bounds = mapDisplay.getBoundingClientRect();
+    var x = (ev.clientX - bounds.left) / bounds.width * config.mapScale;
+    var y = (ev.clientY - bounds.top) / bounds.height * config.mapScale;
+    var reach = config.mapScale * 0.04;
+    for (var i = 0; i < tribeMarkers.length; i += 4) {
+        if (UTILS.getDistance(x, y, tribeMarkers[i + 2], tribeMarkers[i + 3]) <= reach) {
+            io.send("MK", 1, tribeMarkers[i]);
+            return;
+        }
+    }
+    io.send("MK", 0, ev.shiftKey ? 1 : 0, x, y);
+}
+
+function renderTribeMarkers() {
+    mapContext.font = "30px Hammersmith One";
+    mapContext.textBaseline = "middle";
+    mapContext.textAlign = "center";
+    for (var i = 0; i < tribeMarkers.length; i += 4) {
+        var kind = config.tribeMarkerKinds[tribeMarkers[i + 1]];
+        var x = (tribeMarkers[i + 2] / config.mapScale) * mapDisplay.width;
+        var y = (tribeMarkers[i + 3] / config.mapScale) * mapDisplay.height;
+        if (kind == "danger") {
+            mapContext.fillStyle = "#fc5553";
+            mapContext.fillText("!", x, y);
+        } else {
+            mapContext.strokeStyle = "#8ecc51";
+            mapContext.lineWidth = 4;
+            mapContext.beginPath();
+            mapContext.arc(x, y, 9, 0, 2 * Math.PI);
+            mapContext.stroke();
+        }
+    }
+}
+
 function renderMinimap(delta) {
     if (player && player.alive) {
         mapContext.clearRect(0, 0, mapDisplay.width, mapDisplay.height);
@@ -1933,13 +2691,17 @@ function renderMinimap(delta) {
         mapContext.fillStyle = "#fff";
         renderCircle((player.x / config.mapScale) * mapDisplay.width, (player.y / config.mapScale) * mapDisplay.height, 7, mapContext, true);
         mapContext.fillStyle = "rgba(255,255,255,0.35)";
-        if ((player.team || config.isSandbox) && minimapData) {
+        if ((player.team || partyState || config.isSandbox) && minimapData) {
             for (var i = 0; i < minimapData.length;) {
                 renderCircle((minimapData[i] / config.mapScale) * mapDisplay.width, (minimapData[i + 1] / config.mapScale) * mapDisplay.height, 7, mapContext, true);
                 i += 2;
             }
         }
 
+        if (player.team) {
+            renderTribeMarkers();
+        }
+
         if (lastDeath) {
             mapContext.fillStyle = "#fc5553";
             mapContext.font = "34px Hammersmith One";
@@ -1980,7 +2742,16 @@ function toggleStoreMenu() {
     }
 }
 
+// bought hats and accessories, kept for player objects made later and before the first spawn
+var ownedCosmetics = [{}, {}];
+
 function updateStoreItems(type, id, index) {
+    if (!type) {
+        ownedCosmetics[index ? 1 : 0][id] = 1;
+    }
+    if (!player) {
+        return;
+    }
     if (index) {
         if (!type) {
             player.tails[id] = 1;
@@ -2056,7 +2827,7 @@ function generateStoreList() {
                         UTILS.generateElement({
                             tag: "span",
                             class: "itemPrice",
-                            text: tmpArray[i].price,
+                            text: storePrice(tmpArray[i]),
                             parent: tmp
                         })
                     } else if ((index ? player.tailIndex : player.skinIndex) == tmpArray[i].id) {
@@ -2092,6 +2863,18 @@ function storeEquip(id, index) {
     io.send("c", 0, id, index);
 }
 
+// logged-in players pay with account balance in rooms with cosmeticsUseBalance,
+// converted from the gold price as AccountManager#cosmeticPrice does
+function storeUsesBalance() {
+    return Boolean(currentAccount && config.cosmeticsUseBalance);
+}
+
+function storePrice(item) {
+    if (!storeUsesBalance()) return item.price;
+    if (item.balancePrice !== undefined) return item.balancePrice;
+    return item.price > 0 ? Math.max(1, Math.round(item.price / config.cosmeticBalanceRate)) : 0;
+}
+
 function storeBuy(id, index) {
     io.send("c", 1, id, index);
 }
@@ -2302,8 +3085,35 @@ function toggleChat() {
     chatBox.value = "";
 }
 
+// Tab in the chat box switches between everyone and the tribe; the prefix sends one message to the tribe
+var tribeChat = false;
+
+chatBox.addEventListener("keydown", function (ev) {
+    if (ev.keyCode == 9) {
+        ev.preventDefault();
+        setTribeChat(!tribeChat);
+    }
+});
+
+function setTribeChat(on) {
+    tribeChat = on && !!(player && player.team);
+    chatBox.placeholder = tribeChat ? "Message Tribe" : "Enter Message";
+    chatBox.style.backgroundColor = tribeChat ? "rgba(84, 160, 84, 0.45)" : "";
+}
+
 function sendChat(message) {
-    io.send("6", message.slice(0, 30));
+    var toTribe = tribeChat;
+    var prefix = config.tribeChatPrefix;
+    if (prefix && message.indexOf(prefix) == 0) {
+        message = message.slice(prefix.length).trim();
+        toTribe = true;
+    }
+    if (!message) return;
+    if (toTribe) {
+        io.send("6", message.slice(0, 30), 1);
+    } else {
+        io.send("6", message.slice(0, 30));
+    }
 }
 
 function closeChat() {
@@ -2341,11 +3151,20 @@ function escapeRegExp(value) {
     return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-function receiveChat(sid, message) {
+function receiveChat(sid, message, channel, name) {
+    // -1 is the server itself (command results, restart notices)
+    if (sid === -1) {
+        showNotification(message);
+        return;
+    }
+    // channel 1 is the tribe; members out of view show up as a notification
     var tmpPlayer = findPlayerBySID(sid);
-    if (tmpPlayer) {
+    if (tmpPlayer && (tmpPlayer.visible || channel != 1)) {
         tmpPlayer.chatMessage = checkProfanityString(message);
         tmpPlayer.chatCountdown = config.chatCountdown;
+        tmpPlayer.chatTribe = channel == 1;
+    } else if (channel == 1) {
+        showNotification("[Tribe] " + name + ": " + checkProfanityString(message));
     }
 }
 
@@ -2587,6 +3406,8 @@ function keyDown(event) {
     
     if (keyNum == 27) {
         hideAllWindows();
+    } else if (spectating) {
+        spectatorKeyDown(keyNum);
     } else if (player && player.alive && keysActive()) {
         if (!keys[keyNum]) {
             keys[keyNum] = 1;
@@ -2677,7 +3498,9 @@ window.addEventListener('keydown', function(event) {
 window.addEventListener('keydown', UTILS.checkTrusted(keyDown));
 
 function keyUp(event) {
-    if (player && player.alive) {
+    if (spectating) {
+        keys[getKeyCode(event)] = 0;
+    } else if (player && player.alive) {
         var keyNum = getKeyCode(event);
         if (keyNum == 13) {
             toggleChat();
@@ -2698,7 +3521,7 @@ function keyUp(event) {
 window.addEventListener('keyup', UTILS.checkTrusted(keyUp));
 
 function sendAtckState() {
-    if (player && player.alive) {
+    if (player && player.alive && !spectating) {
         if (attackState === 1) {
             recordClickEvent();
         }
@@ -3131,7 +3954,7 @@ function killObjects(sid) {
 }
 
 function killObject(sid) {
-    objectManager.disableBySid(sid);
+    objectManager.removeBySid(sid);
 }
 
 function updateStatusDisplay() {
@@ -3246,7 +4069,81 @@ function updateAge(xp, mxp, age) {
     }
 }
 
+// "G" ranks players and "TG" tribes; the leaderboard shows whichever tab is open
+var leaderboardTab = "players";
+var tribeLeaderboard = [];
+var playerLeaderboard = [];
+
+function bindLeaderboardTabs() {
+    ["players", "tribes"].forEach(function (tab) {
+        document.getElementById("leaderboardTab_" + tab).onclick = function () {
+            setLeaderboardTab(tab);
+        };
+    });
+}
+
+function setLeaderboardTab(tab) {
+    leaderboardTab = tab;
+    document.getElementById("leaderboardTab_players").className = "leaderboardTab" + (tab == "players" ? " active" : "");
+    document.getElementById("leaderboardTab_tribes").className = "leaderboardTab" + (tab == "tribes" ? " active" : "");
+    if (tab == "tribes") {
+        renderTribeLeaderboard();
+    } else {
+        renderPlayerLeaderboard();
+    }
+}
+
 function updateLeaderboard(data) {
+    playerLeaderboard = data;
+    if (leaderboardTab == "players") {
+        renderPlayerLeaderboard();
+    }
+}
+
+function updateTribeLeaderboard(data) {
+    tribeLeaderboard = data;
+    if (leaderboardTab == "tribes") {
+        renderTribeLeaderboard();
+    }
+}
+
+// title, members, score, kills and structures for each tribe, best first
+function renderTribeLeaderboard() {
+    var data = tribeLeaderboard;
+    UTILS.removeAllChildren(leaderboardData);
+    if (!data.length) {
+        UTILS.generateElement({
+            class: "leaderHolder",
+            text: "No Tribes Yet",
+            parent: leaderboardData
+        });
+        return;
+    }
+    for (var i = 0; i < data.length; i += 5) {
+        UTILS.generateElement({
+            class: "leaderHolder",
+            parent: leaderboardData,
+            children: [
+                UTILS.generateElement({
+                    class: "leaderboardItem",
+                    style: "color:" + ((player && data[i] == player.team) ? "#fff" : "rgba(255,255,255,0.6)"),
+                    text: (i / 5 + 1) + ". [" + data[i] + "] " + data[i + 1]
+                }),
+                UTILS.generateElement({
+                    class: "leaderScore",
+                    text: UTILS.kFormat(data[i + 2]) || "0"
+                }),
+                UTILS.generateElement({
+                    class: "leaderTribeStats",
+                    text: data[i + 3] + " kills, " + data[i + 4] + " structures"
+                })
+            ]
+        });
+    }
+}
+
+function renderPlayerLeaderboard() {
+    var data = playerLeaderboard;
     UTILS.removeAllChildren(leaderboardData);
     var tmpC = 1;
     for (var i = 0; i < data.length; i += 3) {
@@ -3309,8 +4206,12 @@ function updateGame() {
         if (playerIDsInfinite && player && (!playerIDsLastRefresh || now - playerIDsLastRefresh >= 1000)) {
             io.send("6", "/id toggle");
         }
+
+        if (config.dayCycle) {
+            config.dayCycle.update(delta);
+        }
         
-        if (player) {
+        if (player && !spectating) {
             if (!lastSent || now - lastSent >= (1000 / config.clientSendRate)) {
                 lastSent = now;
                 io.send("D", getAttackDir());
@@ -3335,6 +4236,8 @@ function updateGame() {
                 camX = player.x;
                 camY = player.y;
             }
+        } else if (spectating) {
+            moveSpectatorCamera();
         } else {
             camX = config.mapScale / 2;
             camY = config.mapScale / 2;
@@ -3369,26 +4272,7 @@ function updateGame() {
 
         prepareObjectRenderLists(xOffset, yOffset, delta);
 
-        if (config.snowBiomeTop - yOffset <= 0 && config.mapScale - config.snowBiomeTop - yOffset >= maxScreenHeight) {
-            mainContext.fillStyle = "#b6db66";
-            mainContext.fillRect(0, 0, maxScreenWidth, maxScreenHeight);
-        } else if (config.mapScale - config.snowBiomeTop - yOffset <= 0) {
-            mainContext.fillStyle = "#dbc666";
-            mainContext.fillRect(0, 0, maxScreenWidth, maxScreenHeight);
-        } else if (config.snowBiomeTop - yOffset >= maxScreenHeight) {
-            mainContext.fillStyle = "#fff";
-            mainContext.fillRect(0, 0, maxScreenWidth, maxScreenHeight);
-        } else if (config.snowBiomeTop - yOffset >= 0) {
-            mainContext.fillStyle = "#fff";
-            mainContext.fillRect(0, 0, maxScreenWidth, config.snowBiomeTop - yOffset);
-            mainContext.fillStyle = "#b6db66";
-            mainContext.fillRect(0, config.snowBiomeTop - yOffset, maxScreenWidth, maxScreenHeight - (config.snowBiomeTop - yOffset));
-        } else {
-            mainContext.fillStyle = "#b6db66";
-            mainContext.fillRect(0, 0, maxScreenWidth, (config.mapScale - config.snowBiomeTop - yOffset));
-            mainContext.fillStyle = "#dbc666";
-            mainContext.fillRect(0, (config.mapScale - config.snowBiomeTop - yOffset), maxScreenWidth, maxScreenHeight - (config.mapScale - config.snowBiomeTop - yOffset));
-        }
+        renderBiomes(xOffset, yOffset);
 
         if (!firstSetup) {
             waterMult += waterPlus * config.waveSpeed * delta;
@@ -3487,16 +4371,19 @@ function updateGame() {
         mainContext.fillStyle = "rgba(0, 0, 70, 0.35)";
         mainContext.fillRect(0, 0, maxScreenWidth, maxScreenHeight);
 
+        renderWeather();
+        renderLighting(xOffset, yOffset);
+
         mainContext.strokeStyle = darkOutlineColor;
         for (var i = 0; i < players.length + ais.length; ++i) {
             tmpObj = players[i] || ais[i - players.length];
             if (tmpObj.visible) {
 
-                if (tmpObj.skinIndex != 10 || (tmpObj == player) || (tmpObj.team && tmpObj.team == player.team)) {
+                if (tmpObj.skinIndex != 10 || (tmpObj == player) || diplomacy.isFriendly(tmpObj, player)) {
                     var tmpText = (tmpObj.team ? "[" + tmpObj.team + "] " : "") + (tmpObj.name || "");
                     if (tmpText != "") {
                         mainContext.font = (tmpObj.nameScale || 30) + "px Hammersmith One";
-                        mainContext.fillStyle = "#fff";
+                        mainContext.fillStyle = tmpObj.nameColor || "#fff";
                         mainContext.textBaseline = "middle";
                         mainContext.textAlign = "center";
                         mainContext.lineWidth = (tmpObj.nameScale ? 11 : 8);
@@ -3555,9 +4442,13 @@ function updateGame() {
                         mainContext.roundRect(tmpObj.x - xOffset - config.healthBarWidth - config.healthBarPad, (tmpObj.y - yOffset + tmpObj.scale) + config.nameY, (config.healthBarWidth * 2) + (config.healthBarPad * 2), 17, 8);
                         mainContext.fill();
 
-                        mainContext.fillStyle = (tmpObj == player || (tmpObj.team && tmpObj.team == player.team)) ? "#8ecc51" : "#cc5151";
+                        mainContext.fillStyle = (tmpObj == player || diplomacy.isFriendly(tmpObj, player)) ? "#8ecc51" : "#cc5151";
                         mainContext.roundRect(tmpObj.x - xOffset - config.healthBarWidth, (tmpObj.y - yOffset + tmpObj.scale) + config.nameY + config.healthBarPad, ((config.healthBarWidth * 2) * (tmpObj.health / tmpObj.maxHealth)), 17 - config.healthBarPad * 2, 7);
                         mainContext.fill();
+
+                        if (tmpObj.effects) {
+                            renderStatusEffects(tmpObj.effects, tmpObj.x - xOffset, (tmpObj.y - yOffset + tmpObj.scale) + config.nameY + 30);
+                        }
                     }
                 }
             }
@@ -3580,10 +4471,10 @@ function updateGame() {
                 var tmpY = tmpObj.y - tmpObj.scale - yOffset - 90;
                 var tmpH = 47;
                 var tmpW = tmpSize.width + 17;
-                mainContext.fillStyle = "rgba(0,0,0,0.2)";
+                mainContext.fillStyle = tmpObj.chatTribe ? "rgba(84, 160, 84, 0.45)" : "rgba(0,0,0,0.2)";
                 mainContext.roundRect(tmpX - tmpW / 2, tmpY - tmpH / 2, tmpW, tmpH, 6);
                 mainContext.fill();
-                mainContext.fillStyle = "#fff";
+                mainContext.fillStyle = tmpObj.chatTribe ? "#d9ffc7" : "#fff";
                 mainContext.fillText(tmpObj.chatMessage, tmpX, tmpY);
             }
         }
@@ -3885,11 +4776,59 @@ function renderSuperHammerEffects(xOffset, yOffset) {
     }
 }
 
+var biomeColors = {
+    grass: "#b6db66",
+    snow: "#fff",
+    desert: "#dbc666"
+};
+
+function renderBiomes(xOffset, yOffset) {
+    var map = config.gameMap;
+    mainContext.fillStyle = biomeColors[map.biome];
+    mainContext.fillRect(0, 0, maxScreenWidth, maxScreenHeight);
+    for (var i = 0; i < map.biomes.length; ++i) {
+        var region = map.biomes[i];
+        // regions touching the map edge carry on past it
+        var left = region.x <= 0 ? 0 : region.x - xOffset;
+        var top = region.y <= 0 ? 0 : region.y - yOffset;
+        var right = region.x + region.width >= map.size ? maxScreenWidth : region.x + region.width - xOffset;
+        var bottom = region.y + region.height >= map.size ? maxScreenHeight : region.y + region.height - yOffset;
+        if (right > left && bottom > top) {
+            mainContext.fillStyle = biomeColors[region.biome];
+            mainContext.fillRect(left, top, right - left, bottom - top);
+        }
+    }
+}
+
+// river ends on the map edge carry on past it, like the biomes
+function riverEnd(point, neighbour) {
+    var size = config.gameMap.size;
+    if (point[0] > 0 && point[1] > 0 && point[0] < size && point[1] < size) {
+        return point;
+    }
+    var dir = UTILS.getDirection(point[0], point[1], neighbour[0], neighbour[1]);
+    var reach = maxScreenWidth + maxScreenHeight;
+    return [point[0] + Math.cos(dir) * reach, point[1] + Math.sin(dir) * reach];
+}
+
 function renderWaterBodies(xOffset, yOffset, ctxt, padding) {
-    var tmpW = config.riverWidth + padding;
-    var tmpY = (config.mapScale / 2) - yOffset - (tmpW / 2);
-    if (tmpY < maxScreenHeight && tmpY + tmpW > 0) {
-        ctxt.fillRect(0, tmpY, maxScreenWidth, tmpW);
+    var rivers = config.gameMap.rivers;
+    ctxt.strokeStyle = ctxt.fillStyle;
+    ctxt.lineJoin = "round";
+    for (var i = 0; i < rivers.length; ++i) {
+        var points = rivers[i].points;
+        var last = points.length - 1;
+        ctxt.lineWidth = rivers[i].width * config.gameMap.riverScale + padding;
+        ctxt.beginPath();
+        for (var p = 0; p <= last; ++p) {
+            var point = p == 0 ? riverEnd(points[0], points[1]) : (p == last ? riverEnd(points[last], points[last - 1]) : points[p]);
+            if (p == 0) {
+                ctxt.moveTo(point[0] - xOffset, point[1] - yOffset);
+            } else {
+                ctxt.lineTo(point[0] - xOffset, point[1] - yOffset);
+            }
+        }
+        ctxt.stroke();
     }
 }
 
@@ -3925,6 +4864,122 @@ function renderGameObjects(layer, xOffset, yOffset) {
     }
 }
 
+var weather = null;
+var weatherParticles = [];
+var weatherNames = {
+    rain: "It is raining",
+    blizzard: "A blizzard is sweeping the snow",
+    sandstorm: "A sandstorm is blowing through the desert",
+    flood: "The river is flooding"
+};
+// length draws streaks, size draws flakes; speeds are in px per ms across the screen
+var weatherStyles = {
+    rain: { color: "#a9c8f0", count: 160, speedX: -0.25, speedY: 1.6, length: 28 },
+    flood: { color: "#a9c8f0", count: 240, speedX: -0.35, speedY: 1.8, length: 32 },
+    blizzard: { color: "#ffffff", count: 180, speedX: 0.45, speedY: 0.3, size: 4, tint: "rgba(230, 240, 255, 0.2)" },
+    sandstorm: { color: "#e0c68f", count: 220, speedX: 1.1, speedY: 0.12, size: 3, tint: "rgba(200, 160, 90, 0.3)" }
+};
+
+function setWeather(data) {
+    weather = data;
+    weatherParticles.length = 0;
+    var modifiers = data ? data.modifiers : {};
+    config.gameMap.setRiverScale(modifiers.riverWidth || 1, modifiers.waterCurrent || 1);
+    weatherDisplay.textContent = data ? (weatherNames[data.type] || data.type) : "";
+    weatherDisplay.hidden = !data;
+}
+
+// screen-space particles for the running weather event, only inside its biome
+function renderWeather() {
+    var style = weather && weatherStyles[weather.type];
+    if (!style || (weather.biome && config.gameMap.biomeAt(camX, camY) != weather.biome)) {
+        weatherParticles.length = 0;
+        return;
+    }
+    while (weatherParticles.length < style.count) {
+        weatherParticles.push({
+            x: Math.random() * maxScreenWidth,
+            y: Math.random() * maxScreenHeight
+        });
+    }
+    if (style.tint) {
+        mainContext.fillStyle = style.tint;
+        mainContext.fillRect(0, 0, maxScreenWidth, maxScreenHeight);
+    }
+    mainContext.globalAlpha = 0.6;
+    mainContext.strokeStyle = mainContext.fillStyle = style.color;
+    mainContext.lineWidth = 2;
+    mainContext.beginPath();
+    for (var i = 0; i < weatherParticles.length; ++i) {
+        var particle = weatherParticles[i];
+        particle.x = (particle.x + style.speedX * delta + maxScreenWidth) % maxScreenWidth;
+        particle.y = (particle.y + style.speedY * delta) % maxScreenHeight;
+        if (style.length) {
+            var scale = style.length / Math.hypot(style.speedX, style.speedY);
+            mainContext.moveTo(particle.x, particle.y);
+            mainContext.lineTo(particle.x - style.speedX * scale, particle.y - style.speedY * scale);
+        } else {
+            mainContext.rect(particle.x, particle.y, style.size, style.size);
+        }
+    }
+    if (style.length) {
+        mainContext.stroke();
+    } else {
+        mainContext.fill();
+    }
+    mainContext.globalAlpha = 1;
+}
+
+var lightCanvas = document.createElement("canvas");
+var lightContext = lightCanvas.getContext("2d");
+
+// darkens the world at night, leaving light around the player, other players and lit structures
+function renderLighting(xOffset, yOffset) {
+    var darkness = config.dayCycle ? 1 - config.dayCycle.daylight() : 0;
+    if (darkness <= 0) {
+        return;
+    }
+    if (lightCanvas.width != maxScreenWidth || lightCanvas.height != maxScreenHeight) {
+        lightCanvas.width = maxScreenWidth;
+        lightCanvas.height = maxScreenHeight;
+    }
+    lightContext.globalCompositeOperation = "source-over";
+    lightContext.clearRect(0, 0, maxScreenWidth, maxScreenHeight);
+    lightContext.globalAlpha = darkness * config.nightDarkness;
+    lightContext.fillStyle = "#05081a";
+    lightContext.fillRect(0, 0, maxScreenWidth, maxScreenHeight);
+    lightContext.globalAlpha = 1;
+    lightContext.globalCompositeOperation = "destination-out";
+    if (player && player.alive) {
+        // matches how far the server still sends things, see Player.canSee
+        var skin = findHatByID(player.skinIndex);
+        var viewScale = config.dayCycle.viewScale(skin && skin.nightVision);
+        renderLight(player.x - xOffset, player.y - yOffset, (maxScreenHeight / 2) * 1.3 * viewScale);
+    }
+    for (var i = 0; i < players.length; ++i) {
+        tmpObj = players[i];
+        if (tmpObj.visible && tmpObj != player) {
+            renderLight(tmpObj.x - xOffset, tmpObj.y - yOffset, config.playerLightRadius);
+        }
+    }
+    for (var i = 0; i < gameObjects.length; ++i) {
+        tmpObj = gameObjects[i];
+        if (tmpObj.active && tmpObj.light && isOnScreen(tmpObj.x - xOffset, tmpObj.y - yOffset, tmpObj.light)) {
+            renderLight(tmpObj.x - xOffset, tmpObj.y - yOffset, tmpObj.light);
+        }
+    }
+    mainContext.drawImage(lightCanvas, 0, 0);
+}
+
+function renderLight(x, y, radius) {
+    var gradient = lightContext.createRadialGradient(x, y, 0, x, y, radius);
+    gradient.addColorStop(0, "rgba(0, 0, 0, 1)");
+    gradient.addColorStop(0.6, "rgba(0, 0, 0, 0.8)");
+    gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
+    lightContext.fillStyle = gradient;
+    lightContext.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+}
+
 function gatherAnimation(sid, didHit, index) {
     tmpObj = findPlayerBySID(sid);
     if (tmpObj) {
@@ -4092,9 +5147,14 @@ function renderTool(obj, variant, x, y, ctxt) {
 }
 
 var gameObjectSprites = {};
+var biomeSpriteIds = {
+    grass: 0,
+    snow: 1,
+    desert: 2
+};
 
 function getResSprite(obj) {
-    var biomeID = (obj.y >= config.mapScale - config.snowBiomeTop) ? 2 : ((obj.y <= config.snowBiomeTop) ? 1 : 0);
+    var biomeID = biomeSpriteIds[config.gameMap.biomeAt(obj.x, obj.y)];
     var tmpIndex = (obj.type + "_" + obj.scale + "_" + biomeID);
     var tmpSprite = gameObjectSprites[tmpIndex];
     if (!tmpSprite) {
@@ -4310,6 +5370,14 @@ function getItemSprite(obj, asIcon) {
             tmpContext.rotate(Math.PI / 4);
             tmpContext.fillStyle = "#d76edb";
             renderCircle(0, 0, obj.scale * 0.5, tmpContext, true);
+        } else if (obj.name == "torch") {
+            tmpContext.fillStyle = "#a5974c";
+            renderCircle(0, 0, obj.scale * 0.8, tmpContext);
+            tmpContext.fillStyle = "#e8a23a";
+            renderStar(tmpContext, 5, obj.scale * 0.65, obj.scale * 0.35);
+            tmpContext.fill();
+            tmpContext.fillStyle = "#f6dd6b";
+            renderCircle(0, 0, obj.scale * 0.25, tmpContext, true);
         }
         tmpSprite = tmpCanvas;
         if (!asIcon) {
@@ -4447,6 +5515,10 @@ function loadGameObject(data) {
     }
 }
 
+function forgetGameObjects(sids) {
+    objectManager.removeBySids(sids);
+}
+
 function wiggleGameObject(dir, sid) {
     tmpObj = findObjectBySid(sid);
     if (tmpObj) {
@@ -4505,6 +5577,7 @@ function loadAI(data) {
                 tmpObj.d1 = (tmpObj.d2 === undefined) ? data[i + 4] : tmpObj.d2;
                 tmpObj.d2 = data[i + 4];
                 tmpObj.health = data[i + 5];
+                tmpObj.effects = data[i + 7];
                 tmpObj.dt = 0;
                 tmpObj.visible = true;
             } else {
@@ -4516,15 +5589,43 @@ function loadAI(data) {
                 if (!aiManager.aiTypes[data[i + 1]].name) {
                     tmpObj.name = config.cowNames[data[i + 6]];
                 }
+                tmpObj.effects = data[i + 7];
                 tmpObj.forcePos = true;
                 tmpObj.sid = data[i];
                 tmpObj.visible = true;
             }
-            i += 7;
+            i += 8;
         }
     }
 }
 
+// a row of badges for the effects set in a player's or animal's mask, centered on x
+function renderStatusEffects(mask, x, y) {
+    var shown = [];
+    for (var i = 0; i < statusEffects.length; ++i) {
+        if (mask & (1 << statusEffects[i].id)) {
+            shown.push(statusEffects[i]);
+        }
+    }
+    var radius = 10;
+    var spacing = radius * 2 + 4;
+    var startX = x - (shown.length - 1) * spacing / 2;
+    mainContext.font = "14px Hammersmith One";
+    mainContext.textAlign = "center";
+    mainContext.textBaseline = "middle";
+    mainContext.lineWidth = 4;
+    for (var i = 0; i < shown.length; ++i) {
+        var tmpX = startX + i * spacing;
+        mainContext.fillStyle = shown[i].color;
+        mainContext.beginPath();
+        mainContext.arc(tmpX, y, radius, 0, Math.PI * 2);
+        mainContext.fill();
+        mainContext.stroke();
+        mainContext.fillStyle = "#fff";
+        mainContext.fillText(shown[i].icon, tmpX, y + 1);
+    }
+}
+
 var aiSprites = {};
 
 function renderAI(obj, ctxt) {
@@ -4566,9 +5667,16 @@ function addPlayer(data, isYou) {
     tmpPlayer.visible = false;
     tmpPlayer.x2 = undefined;
     tmpPlayer.y2 = undefined;
+    tmpPlayer.snapshot = null;
     tmpPlayer.setData(data);
     if (isYou) {
         player = tmpPlayer;
+        for (var id in ownedCosmetics[0]) {
+            player.skins[id] = 1;
+        }
+        for (var id in ownedCosmetics[1]) {
+            player.tails[id] = 1;
+        }
         clickTimestamps.length = 0;
         clientCps = 0;
         statsDirty = true;
@@ -4621,6 +5729,19 @@ function updateWeaponVariant(sid, variant) {
     }
 }
 
+// "a" entries are deltas: sid, field mask, then the changed fields
+// (see server/src/network/playerSnapshot.js for the layout)
+var SNAPSHOT_FIELD_COUNT = 17;
+var SNAPSHOT_KEYFRAME = 1 << 16;
+var snapshotResyncPending = false;
+
+function requestSnapshotResync() {
+    if (!snapshotResyncPending) {
+        snapshotResyncPending = true;
+        io.send("RESYNC");
+    }
+}
+
 function updatePlayers(data) {
     var tmpTime = Date.now();
     for (var i = 0; i < players.length; ++i) {
@@ -4628,32 +5749,59 @@ function updatePlayers(data) {
         players[i].visible = false;
     }
     for (var i = 0; i < data.length;) {
-        tmpObj = findPlayerBySID(data[i]);
+        var sid = data[i];
+        var mask = data[i + 1];
+        i += 2;
+        tmpObj = findPlayerBySID(sid);
+        var keyframe = (mask & SNAPSHOT_KEYFRAME) !== 0;
+        var snap = null;
+        if (keyframe) {
+            snap = [sid, 0, 0];
+        } else if (tmpObj && tmpObj.snapshot) {
+            snap = tmpObj.snapshot;
+        }
+        for (var field = 1; field < SNAPSHOT_FIELD_COUNT; ++field) {
+            if (!(mask & (1 << (field - 1)))) continue;
+            if (snap) {
+                snap[field] = (field <= 2) ? snap[field] + data[i] : data[i];
+            }
+            i++;
+        }
+        if (!snap) {
+            // a delta we have no baseline for; only worth a resync if we know the player
+            if (tmpObj) requestSnapshotResync();
+            continue;
+        }
+        if (keyframe) {
+            snapshotResyncPending = false;
+        }
         if (tmpObj) {
+            var dir = snap[3] * mathPI2 / config.snapshotAngleSteps;
+            tmpObj.snapshot = snap;
             tmpObj.t1 = (tmpObj.t2 === undefined) ? tmpTime : tmpObj.t2;
             tmpObj.t2 = tmpTime;
             tmpObj.x1 = tmpObj.x;
             tmpObj.y1 = tmpObj.y;
-            tmpObj.x2 = data[i + 1];
-            tmpObj.y2 = data[i + 2];
-            tmpObj.d1 = (tmpObj.d2 === undefined) ? data[i + 3] : tmpObj.d2;
-            tmpObj.d2 = data[i + 3];
+            tmpObj.x2 = snap[1];
+            tmpObj.y2 = snap[2];
+            tmpObj.d1 = (tmpObj.d2 === undefined) ? dir : tmpObj.d2;
+            tmpObj.d2 = dir;
             tmpObj.dt = 0;
-            tmpObj.buildIndex = data[i + 4];
-            tmpObj.weaponIndex = data[i + 5];
-            tmpObj.weaponVariant = data[i + 6];
-            tmpObj.team = data[i + 7];
-            tmpObj.isLeader = data[i + 8];
-            tmpObj.skinIndex = data[i + 9];
-            tmpObj.tailIndex = data[i + 10];
-            tmpObj.iconIndex = data[i + 11];
-            tmpObj.zIndex = data[i + 12];
-            tmpObj.cps = typeof data[i + 13] === "number" ? Math.max(0, Math.round(data[i + 13])) : 0;
-            tmpObj.ping = typeof data[i + 14] === "number" ? Math.max(-1, Math.round(data[i + 14])) : -1;
-            tmpObj.isAdmin = data[i + 15] ? true : false;
+            tmpObj.buildIndex = snap[4];
+            tmpObj.weaponIndex = snap[5];
+            tmpObj.weaponVariant = snap[6];
+            tmpObj.team = snap[7];
+            tmpObj.isLeader = snap[8];
+            tmpObj.skinIndex = snap[9];
+            tmpObj.tailIndex = snap[10];
+            tmpObj.iconIndex = snap[11];
+            tmpObj.zIndex = snap[12];
+            tmpObj.cps = typeof snap[13] === "number" ? Math.max(0, Math.round(snap[13])) : 0;
+            tmpObj.ping = typeof snap[14] === "number" ? Math.max(-1, Math.round(snap[14])) : -1;
+            tmpObj.isAdmin = snap[15] ? true : false;
+            tmpObj.effects = snap[16] || 0;
             tmpObj.visible = true;
         }
-        i += 16;
     }
 }
 
@@ -4684,6 +5832,15 @@ function findAIBySID(sid) {
     return null;
 }
 
+function findHatByID(id) {
+    for (var i = 0; i < hats.length; ++i) {
+        if (hats[i].id == id) {
+            return hats[i];
+        }
+    }
+    return null;
+}
+
 function findObjectBySid(sid) {
     for (var i = 0; i < gameObjects.length; ++i) {
         if (gameObjects[i].sid == sid) {
@@ -4842,6 +5999,9 @@ function doUpdate() {
     now = Date.now();
     delta = now - lastUpdate;
     lastUpdate = now;
+    if (replayPlayer) {
+        updateReplay();
+    }
     updateGame();
     updatePerformanceDisplay();
     window.requestAnimationFrame(doUpdate);
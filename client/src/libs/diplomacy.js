@@ -0,0 +1,26 @@
+// tribe relations as sent by the server in "DP": a flat list of [title, title, relation]
+var Relation = { Neutral: 0, Ally: 1, War: 2 };
+var relations = {};
+
+function key(a, b) {
+    return a < b ? a + "\0" + b : b + "\0" + a;
+}
+
+module.exports.Relation = Relation;
+
+module.exports.set = function (data) {
+    relations = {};
+    for (var i = 0; i < (data || []).length; i += 3) {
+        relations[key(data[i], data[i + 1])] = data[i + 2];
+    }
+};
+
+module.exports.relation = function (a, b) {
+    return relations[key(a, b)] || Relation.Neutral;
+};
+
+// whether two players (or an owner and a player) are on the same side
+module.exports.isFriendly = function (a, b) {
+    if (!a || !b || !a.team || !b.team) return false;
+    return a.team == b.team || module.exports.relation(a.team, b.team) == Relation.Ally;
+};
@@ -2,10 +2,25 @@ var msgpack = require("msgpack-lite");
 
 var NO_OP = function () { };
 
+// the socket dropped without a close frame, the server holds the player for a while
+var CLOSE_ABNORMAL = 1006;
+
 function IoClient() {
     this.socket = null;
     this.connected = false;
     this.socketId = -1;
+    this.playback = false;
+    this.closeCode = null;
+
+    // a dropped connection is retried with the token from "io-init" so the
+    // server hands the same player back, see ReconnectManager on the server
+    this.address = null;
+    this.resumeToken = null;
+    this.resumeInterval = 2000;
+    this.maxResumeAttempts = 15;
+    this.resumeAttempts = 0;
+    this.resuming = false;
+    this._resumeTimer = null;
 
     this._callback = NO_OP;
     this._handlers = Object.create(null);
@@ -25,11 +40,19 @@ IoClient.prototype.connect = function (address, callback, events) {
     this._callback = typeof callback === "function" ? callback : NO_OP;
     this._handlers = this._normalizeHandlers(events);
     this._suppressCloseNotification = false;
+    this.closeCode = null;
+    this.address = address;
+    this.resumeToken = null;
+    this._stopResuming();
 
     if (this.socket) {
         this.close();
     }
 
+    this._open(address);
+};
+
+IoClient.prototype._open = function (address) {
     try {
         this.socket = new WebSocket(address);
     } catch (error) {
@@ -46,6 +69,9 @@ IoClient.prototype.connect = function (address, callback, events) {
 };
 
 IoClient.prototype.send = function (type) {
+    if (this.playback) {
+        return;
+    }
     if (!this.socketReady()) {
         console.warn("Attempted to send packet before socket was ready:", type);
         return;
@@ -66,11 +92,20 @@ IoClient.prototype.send = function (type) {
     }
 };
 
+// replays feed recorded packets through the same handlers, outgoing packets are dropped
+IoClient.prototype.startPlayback = function (events) {
+    this.close();
+    this.playback = true;
+    this._handlers = this._normalizeHandlers(events);
+};
+
 IoClient.prototype.socketReady = function () {
     return Boolean(this.socket && this.connected);
 };
 
 IoClient.prototype.close = function () {
+    this._stopResuming();
+
     if (!this.socket) {
         this.connected = false;
         return;
@@ -81,12 +116,42 @@ IoClient.prototype.close = function () {
 
 IoClient.prototype._handleOpen = function () {
     this.connected = true;
+    if (this.resuming) {
+        // the game carries on, only a refused resume reaches the callback
+        this._stopResuming();
+        return;
+    }
     this._notifyCallback();
 };
 
+IoClient.prototype._scheduleResume = function () {
+    this.resuming = true;
+    this.resumeAttempts++;
+
+    var address = this.address + (this.address.indexOf("?") === -1 ? "?" : "&") +
+        "resume=" + encodeURIComponent(this.resumeToken);
+    this._resumeTimer = setTimeout(this._open.bind(this, address), this.resumeInterval);
+};
+
+IoClient.prototype._stopResuming = function () {
+    clearTimeout(this._resumeTimer);
+    this._resumeTimer = null;
+    this.resuming = false;
+    this.resumeAttempts = 0;
+};
+
 IoClient.prototype._handleClose = function (event) {
     this.connected = false;
     this.socketId = -1;
+    this.closeCode = event ? event.code : null;
+
+    if (this.closeCode === CLOSE_ABNORMAL && this.resumeToken && this.resumeAttempts < this.maxResumeAttempts) {
+        this._suppressCloseNotification = false;
+        this._detachSocket();
+        this._scheduleResume();
+        return;
+    }
+    this._stopResuming();
 
     var reason;
     var skipNotification = this._suppressCloseNotification;
@@ -107,6 +172,10 @@ IoClient.prototype._handleClose = function (event) {
 };
 
 IoClient.prototype._handleError = function (error) {
+    // once in game the close that follows decides whether to resume
+    if (this.resumeToken) {
+        return;
+    }
     this._suppressCloseNotification = true;
     console.error("Socket error:", error);
     this._notifyCallback("Socket error");
@@ -121,6 +190,10 @@ IoClient.prototype._handleMessage = function (message) {
         return;
     }
 
+    this.receive(data);
+};
+
+IoClient.prototype.receive = function (data) {
     var parsed;
     try {
         parsed = msgpack.decode(data);
@@ -134,9 +207,14 @@ IoClient.prototype._handleMessage = function (message) {
 
     if (type === "io-init") {
         this.socketId = Array.isArray(payload) ? payload[0] : payload;
+        this.resumeToken = Array.isArray(payload) && payload[1] || null;
         return;
     }
 
+    this.dispatch(type, payload);
+};
+
+IoClient.prototype.dispatch = function (type, payload) {
     var handler = this._handlers[type];
     if (!handler) {
         console.warn("Unhandled packet type:", type);
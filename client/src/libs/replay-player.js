@@ -0,0 +1,114 @@
+var msgpack = require("msgpack-lite");
+
+var NO_OP = function () { };
+var REPLAY_VERSION = 2;
+
+// Frames are [ms since start, player id or null for broadcasts, type, encoded packet].
+function ReplayPlayer(header, frames) {
+    this.header = header;
+    this.frames = frames;
+    this.duration = frames.length ? frames[frames.length - 1][0] : 0;
+
+    this.target = null;
+    this.time = 0;
+    this.index = 0;
+    this.speed = 1;
+    this.paused = false;
+
+    this.onReset = NO_OP;
+    this.onFrame = NO_OP;
+}
+
+ReplayPlayer.parse = function (bytes) {
+    var values = [];
+    var decoder = new msgpack.Decoder();
+    decoder.on("data", function (value) {
+        values.push(value);
+    });
+    decoder.decode(bytes);
+
+    var header = values.shift();
+    if (!header || header.version !== REPLAY_VERSION) {
+        throw new Error("Unsupported replay file");
+    }
+
+    return new ReplayPlayer(header, values);
+};
+
+// players whose view was recorded: everyone alive when the segment opened plus later spawns
+ReplayPlayer.prototype.perspectives = function () {
+    var list = [];
+    var seen = Object.create(null);
+
+    function add(data) {
+        if (seen[data[0]]) {
+            return;
+        }
+        seen[data[0]] = true;
+        list.push({
+            id: data[0],
+            sid: data[1],
+            name: data[2]
+        });
+    }
+
+    this.header.players.forEach(add);
+
+    for (var i = 0; i < this.frames.length; i++) {
+        var frame = this.frames[i];
+        if (frame[2] !== "D" || frame[1] === null) {
+            continue;
+        }
+        var payload = msgpack.decode(frame[3])[1];
+        if (payload[0][0] === frame[1]) {
+            add(payload[0]);
+        }
+    }
+
+    return list;
+};
+
+// switching perspective keeps the current position
+ReplayPlayer.prototype.setTarget = function (id) {
+    var time = this.time;
+    this.target = id;
+    this.restart();
+    this.advanceTo(time);
+};
+
+ReplayPlayer.prototype.update = function (delta) {
+    if (this.paused) {
+        return;
+    }
+    this.advanceTo(Math.min(this.duration, this.time + delta * this.speed));
+    if (this.time >= this.duration) {
+        this.paused = true;
+    }
+};
+
+ReplayPlayer.prototype.advanceTo = function (time) {
+    while (this.index < this.frames.length && this.frames[this.index][0] <= time) {
+        var frame = this.frames[this.index++];
+        if (frame[1] === null || frame[1] === this.target) {
+            this.onFrame(frame[3]);
+        }
+    }
+    this.time = time;
+};
+
+ReplayPlayer.prototype.restart = function () {
+    this.index = 0;
+    this.time = 0;
+    this.onReset();
+};
+
+// going backwards rebuilds the world from the start of the segment
+ReplayPlayer.prototype.seek = function (time) {
+    time = Math.max(0, Math.min(this.duration, time));
+    if (time < this.time) {
+        this.restart();
+    }
+    this.advanceTo(time);
+};
+
+module.exports = ReplayPlayer;
@@ -30,11 +30,93 @@ const setupDatabase = async () => {
         current_tribe VARCHAR(30),
         created_at TIMESTAMP DEFAULT NOW() NOT NULL,
         last_login TIMESTAMP,
-        ip_address VARCHAR(45)
+        ip_address VARCHAR(45),
+        name_color VARCHAR(7)
       );
     `);
 
+    // databases set up before name colors existed
+    await pool.query(`ALTER TABLE accounts ADD COLUMN IF NOT EXISTS name_color VARCHAR(7);`);
+
     console.log('Accounts table created successfully!');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS owned_cosmetics (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(16) NOT NULL REFERENCES accounts(account_id) ON DELETE CASCADE,
+        kind INTEGER NOT NULL,
+        item_id INTEGER NOT NULL,
+        price_paid INTEGER DEFAULT 0 NOT NULL,
+        acquired_at TIMESTAMP DEFAULT NOW() NOT NULL,
+        CONSTRAINT owned_cosmetics_account_item UNIQUE (account_id, kind, item_id)
+      );
+    `);
+
+    console.log('Owned cosmetics table created successfully!');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS balance_transactions (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(16) NOT NULL REFERENCES accounts(account_id) ON DELETE CASCADE,
+        amount INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        reason VARCHAR(32) NOT NULL,
+        details TEXT,
+        created_at TIMESTAMP DEFAULT NOW() NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS balance_transactions_account ON balance_transactions (account_id, created_at);
+    `);
+
+    console.log('Balance transactions table created successfully!');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS matches (
+        id SERIAL PRIMARY KEY,
+        account_id VARCHAR(16) NOT NULL REFERENCES accounts(account_id) ON DELETE CASCADE,
+        room VARCHAR(24) NOT NULL,
+        started_at TIMESTAMP NOT NULL,
+        ended_at TIMESTAMP NOT NULL,
+        cause VARCHAR(16) NOT NULL,
+        killer VARCHAR(30),
+        peak_age INTEGER NOT NULL,
+        score INTEGER NOT NULL,
+        kills INTEGER NOT NULL,
+        resources JSONB NOT NULL,
+        structures_built INTEGER NOT NULL,
+        weapons JSONB NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS matches_account_ended ON matches (account_id, ended_at);
+      CREATE INDEX IF NOT EXISTS matches_account_score ON matches (account_id, score);
+    `);
+
+    console.log('Matches table created successfully!');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tribes (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(7) UNIQUE NOT NULL,
+        created_by VARCHAR(16) REFERENCES accounts(account_id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW() NOT NULL,
+        score BIGINT DEFAULT 0 NOT NULL,
+        kills INTEGER DEFAULT 0 NOT NULL,
+        structures_built INTEGER DEFAULT 0 NOT NULL,
+        matches INTEGER DEFAULT 0 NOT NULL
+      );
+      ALTER TABLE tribes ADD COLUMN IF NOT EXISTS score BIGINT DEFAULT 0 NOT NULL;
+      ALTER TABLE tribes ADD COLUMN IF NOT EXISTS kills INTEGER DEFAULT 0 NOT NULL;
+      ALTER TABLE tribes ADD COLUMN IF NOT EXISTS structures_built INTEGER DEFAULT 0 NOT NULL;
+      ALTER TABLE tribes ADD COLUMN IF NOT EXISTS matches INTEGER DEFAULT 0 NOT NULL;
+      CREATE TABLE IF NOT EXISTS tribe_members (
+        id SERIAL PRIMARY KEY,
+        tribe_id INTEGER NOT NULL REFERENCES tribes(id) ON DELETE CASCADE,
+        account_id VARCHAR(16) UNIQUE NOT NULL REFERENCES accounts(account_id) ON DELETE CASCADE,
+        role VARCHAR(8) DEFAULT 'member' NOT NULL,
+        joined_at TIMESTAMP DEFAULT NOW() NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS tribe_members_tribe ON tribe_members (tribe_id);
+    `);
+
+    console.log('Tribe tables created successfully!');
     console.log('Database setup complete.');
   } catch (error) {
     console.error('Database setup error:', error.message);
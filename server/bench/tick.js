@@ -0,0 +1,82 @@
+// Tick benchmark: 80 players and 5,000 player structures in one room.
+// Usage: npm run bench:tick --workspace server [-- --players=80 --structures=5000 --ticks=300]
+
+import { Game } from "../src/moomoo/server.js";
+import { items } from "../src/moomoo/modules/items.js";
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    return [key, Number(value)];
+}));
+
+const PLAYER_COUNT = args.players || 80;
+const STRUCTURE_COUNT = args.structures || 5000;
+const TICKS = args.ticks || 300;
+const STRUCTURE_IDS = [3, 4, 5, 6, 7, 10, 11, 15, 16, 17, 19];
+
+const game = new Game({
+    id: "bench",
+    config: { isSandbox: false, maxPlayersHard: PLAYER_COUNT + 10 }
+});
+game.stop();
+
+const mapScale = game.config.mapScale;
+const delta = game.stepMs;
+let bytesSent = 0;
+
+const socket = () => ({
+    readyState: 1,
+    send(data) {
+        bytesSent += data.length;
+    }
+});
+
+const players = [];
+for (let i = 0; i < PLAYER_COUNT; i++) {
+    const player = game.addPlayer(socket());
+    player.setUserData({ name: `bench${i}` });
+    player.spawn();
+    player.x = Math.random() * mapScale;
+    player.y = Math.random() * mapScale;
+    players.push(player);
+}
+
+for (let i = 0; i < STRUCTURE_COUNT; i++) {
+    const item = items.list[STRUCTURE_IDS[i % STRUCTURE_IDS.length]];
+    const owner = players[i % players.length];
+    game.object_manager.add(
+        game.game_objects.length,
+        Math.random() * mapScale,
+        Math.random() * mapScale,
+        0,
+        item.scale,
+        item.type,
+        item,
+        false,
+        owner
+    );
+}
+
+// drive the loop from a virtual clock so every call runs exactly one step
+let clock = game.lastAdvance;
+
+const times = [];
+for (let i = 0; i < TICKS; i++) {
+    for (const player of players) {
+        if (!player.alive) player.spawn();
+        if (Math.random() < 0.1) player.moveDir = Math.random() * Math.PI * 2;
+    }
+    const start = performance.now();
+    clock += delta;
+    game.advance(clock);
+    times.push(performance.now() - start);
+}
+
+times.sort((a, b) => a - b);
+const mean = times.reduce((sum, time) => sum + time, 0) / times.length;
+const pct = (p) => times[Math.min(times.length - 1, Math.floor(times.length * p))];
+
+console.log(`players=${PLAYER_COUNT} structures=${STRUCTURE_COUNT} objects=${game.game_objects.length} ais=${game.ais.length} ticks=${TICKS}`);
+console.log(`tick ms: mean=${mean.toFixed(2)} p50=${pct(0.5).toFixed(2)} p95=${pct(0.95).toFixed(2)} max=${times[times.length - 1].toFixed(2)} (budget ${delta.toFixed(1)})`);
+console.log(`sent: ${(bytesSent / TICKS / 1024).toFixed(1)} KiB/tick`);
+console.log(game.tickStats.format());
@@ -5,10 +5,17 @@ import cors from "cors";
 import path from "node:path";
 import fs from "node:fs";
 import readline from "node:readline";
+import { setTimeout as sleep } from "node:timers/promises";
 import { WebSocketServer } from "ws";
 import { createServer } from "node:http";
 import { decode, encode } from "msgpack-lite";
-import { Game } from "./moomoo/server.js";
+import { RoomManager } from "./moomoo/roomManager.js";
+import { PartyManager } from "./moomoo/partyManager.js";
+import { ReconnectManager } from "./moomoo/reconnectManager.js";
+import { ReplayRecorder, ReplayAccess } from "./moomoo/replays.js";
+import { WorldStore } from "./moomoo/worldStore.js";
+import { MatchHistory } from "./moomoo/matchHistory.js";
+import { TribeStore } from "./moomoo/tribes.js";
 import { Player } from "./moomoo/modules/player.js";
 import { items } from "./moomoo/modules/items.js";
 import { UTILS } from "./moomoo/libs/utils.js";
@@ -147,15 +154,6 @@ setInterval(() => {
     }
 }, LOGIN_RATE_WINDOW);
 
-function generatePartyCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let code = '';
-    for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return code;
-}
-
 app.use(e.json({ limit: '10kb' }));
 app.use(e.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -179,12 +177,15 @@ const __dirname = path.dirname(__filename);
 
 const CLIENT_DIST_DIR = path.resolve(__dirname, "../../dist/client");
 const INDEX = path.join(CLIENT_DIST_DIR, "html/play.html");
+const REPLAY_DIR = path.resolve(__dirname, "../data/replays");
+const WORLD_DIR = path.resolve(__dirname, "../data/world");
+const SESSIONS_FILE = path.resolve(__dirname, "../data/sessions.json");
 const PORT = Number(process.env.PORT ?? 5000);
 const HOST = process.env.HOST ?? "0.0.0.0";
 const SERVER_START_TIME = Date.now();
 const SERVER_METADATA = {
     name: process.env.SERVER_NAME ?? "MooMoo Server",
-    type: process.env.SERVER_TYPE ?? (config.isSandbox ? "sandbox" : "standard"),
+    type: process.env.SERVER_TYPE ?? null,
     region: process.env.SERVER_REGION ?? "global"
 };
 
@@ -194,12 +195,113 @@ if (!fs.existsSync(INDEX)) {
     console.warn("[server] Client build not found. Run `npm run build --workspace client` first.");
 }
 
-const game = new Game;
-const accountManager = new AccountManager();
-const adminCommands = new AdminCommands(game, accountManager);
+const rooms = new RoomManager(config.gameRooms, config.defaultRoomId);
+const parties = new PartyManager(rooms);
+const reconnects = new ReconnectManager();
+const accountManager = new AccountManager(config);
+const replays = new ReplayAccess(REPLAY_DIR);
+const adminCommands = new AdminCommands(rooms, accountManager, replays);
+
+sessionStore.loadFromFile(SESSIONS_FILE);
+
+// hats (index 0) and accessories (index 1) a logged-in player bought in earlier sessions
+async function loadCosmetics(player) {
+
+    if (!player.accountId) return;
+
+    for (const { kind, itemId } of await accountManager.getCosmetics(player.accountId)) {
+        const owned = kind ? player.tails : player.skins;
+        if (owned[itemId]) continue;
+        owned[itemId] = 1;
+        player.send("5", 0, itemId, kind);
+    }
+
+}
+
+// the account panel's balance, name color and latest ledger entries
+async function sendBalance(player, error = null) {
+
+    if (!player.accountId) return;
+
+    const summary = await accountManager.getBalanceSummary(player.accountId);
+    if (player.account) {
+        player.account.balance = summary.balance;
+    }
+    player.send("BALANCE", { ...summary, error });
+
+}
+
+// logging in carries the account's name color, cosmetics and tribe into the game
+function applyAccount(player, account) {
+
+    player.nameColor = account.nameColor || null;
+    loadCosmetics(player);
+    sendBalance(player);
+    player.game.tribes.rejoin(player);
+
+}
+
+async function buyCosmetic(player, item, index) {
+
+    const owned = index ? player.tails : player.skins;
+    if (owned[item.id]) return;
+
+    if (player.accountId && player.game.config.cosmeticsUseBalance) {
+        const result = await accountManager.grantCosmetic(player.accountId, index, item.id, accountManager.cosmeticPrice(item));
+        if (!result.success) {
+            player.send("6", -1, `Could not buy ${item.name}: ${result.error}`);
+            return;
+        }
+        sendBalance(player);
+    } else {
+        if (player.points < item.price) return;
+        if (item.price > 0) {
+            if (POINTS_RESOURCE_INDEX !== -1) {
+                player.addResource(POINTS_RESOURCE_INDEX, -item.price, true);
+            } else {
+                player.points -= item.price;
+                player.send("N", "points", player.points, 1);
+            }
+        }
+        if (player.accountId) {
+            accountManager.grantCosmetic(player.accountId, index, item.id);
+        }
+    }
+
+    owned[item.id] = 1;
+    player.send("5", 0, item.id, index);
+
+}
+
+// restore before recording starts so the first replay header holds the restored world
+if (config.persistWorld) {
+    for (const game of rooms.all()) {
+        game.world = new WorldStore(game, path.join(WORLD_DIR, `${game.id}.json`), {
+            saveInterval: config.worldSaveInterval,
+            orphanTtl: config.worldOrphanTtl
+        });
+        game.world.restore();
+        game.world.start();
+    }
+}
+
+for (const game of rooms.all()) {
+    game.matches = new MatchHistory(game, accountManager);
+    game.tribes = new TribeStore(game, accountManager);
+}
+
+if (config.recordReplays) {
+    for (const game of rooms.all()) {
+        game.replay = new ReplayRecorder(game, REPLAY_DIR, {
+            segmentMs: config.replaySegmentMs,
+            maxFiles: config.replayMaxFiles
+        });
+        game.replay.start();
+    }
+}
 
 const antiCheat = createAntiCheatController(config, items);
-game.setAntiCheat(antiCheat);
+rooms.setAntiCheat(antiCheat);
 
 antiCheat.setCallbacks({
     onWarning: (playerId, socket, data) => {
@@ -243,32 +345,83 @@ app.get("/", (req, res) => {
 });
 
 app.get("/ping", (_req, res) => {
-    const activePlayers = game.players.filter(player => player.alive);
+    const allPlayers = rooms.allPlayers();
+    const activePlayers = allPlayers.filter(player => player.alive);
+    // what a join without ?room= gets, every room reports its own settings under `rooms`
+    const defaultConfig = rooms.defaultRoom.config;
     res.json({
         status: "ok",
         timestamp: new Date().toISOString(),
         uptimeSeconds: Math.floor((Date.now() - SERVER_START_TIME) / 1000),
         server: {
             ...SERVER_METADATA,
+            type: SERVER_METADATA.type ?? (defaultConfig.isSandbox ? "sandbox" : "standard"),
             host: HOST,
             port: PORT,
-            isSandbox: Boolean(config.isSandbox),
-            maxPlayers: config.maxPlayers,
-            maxPlayersHard: config.maxPlayersHard
+            isSandbox: Boolean(defaultConfig.isSandbox),
+            maxPlayers: defaultConfig.maxPlayers,
+            maxPlayersHard: defaultConfig.maxPlayersHard,
+            defaultRoom: rooms.defaultRoomId
         },
+        rooms: rooms.stats(),
         players: {
-            totalConnected: game.players.length,
+            totalConnected: rooms.all().reduce((sum, game) => sum + game.countPlayers(), 0),
             activeCount: activePlayers.length,
             list: activePlayers.map(player => ({
                 sid: player.sid,
                 name: player.name,
                 score: player.points,
-                kills: player.kills
+                kills: player.kills,
+                room: player.game.id
             }))
         }
     });
 });
 
+// replay segments are already gzipped, the browser unpacks them
+app.get("/api/replays/:name", (req, res) => {
+    const name = req.params.name;
+    const file = replays.resolve(name);
+
+    if (!file || !replays.check(name, String(req.query.token ?? ''))) {
+        return res.status(404).json({ success: false, error: 'Replay not found' });
+    }
+
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Encoding': 'gzip',
+        'Cache-Control': 'no-store'
+    });
+    fs.createReadStream(file).pipe(res);
+});
+
+app.get("/api/tribes", async (req, res) => {
+    try {
+        const limit = Number.parseInt(req.query.limit, 10);
+        const tribes = await accountManager.getTribeStandings({
+            sort: ["score", "kills", "structuresBuilt", "matches", "members"].includes(req.query.sort) ? req.query.sort : "score",
+            limit: Number.isInteger(limit) ? limit : undefined
+        });
+        res.json({ success: true, tribes });
+    } catch (error) {
+        console.error('[API] Tribe standings error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
+app.get("/api/tribes/:name", async (req, res) => {
+    try {
+        const profile = await accountManager.getTribeProfile(req.params.name);
+        if (!profile) {
+            return res.status(404).json({ success: false, error: 'Tribe not found' });
+        }
+        res.json({ success: true, tribe: profile });
+    } catch (error) {
+        console.error('[API] Tribe profile error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
 app.get("/play", (req, res) => {
     res.sendFile(INDEX);
 });
@@ -372,6 +525,30 @@ app.post("/api/account/validate-session", async (req, res) => {
     }
 });
 
+app.post("/api/account/matches", async (req, res) => {
+    try {
+        const { sessionToken, sort, limit } = req.body;
+
+        if (!sessionToken) {
+            return res.status(400).json({ success: false, error: 'Session token required' });
+        }
+
+        const session = accountManager.checkSession(sessionToken);
+        if (!session.valid) {
+            return res.status(401).json({ success: false, error: 'Invalid session' });
+        }
+
+        const matches = await accountManager.getMatches(session.session.userId, {
+            sort: sort === 'best' ? 'best' : 'recent',
+            limit: Number.isInteger(limit) ? limit : undefined
+        });
+        res.json({ success: true, matches });
+    } catch (error) {
+        console.error('[API] Matches error:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+});
+
 const forgotPasswordAttempts = new Map();
 const verifyCodeAttempts = new Map();
 const resetPasswordAttempts = new Map();
@@ -606,8 +783,25 @@ app.use(e.static(CLIENT_DIST_DIR));
 
 wss.on("connection", async (socket, req) => {
 
+    const urlParams = new URL(req.url, `http://${req.headers.host}`).searchParams;
+    // a client whose connection dropped comes back with the token it got in "io-init"
+    const resumeToken = urlParams.get('resume');
+    const resumed = reconnects.find(resumeToken);
+    const game = resumed?.game ?? rooms.resolveRoom(urlParams.get('room'));
+    // watches the room without ever spawning
+    const spectateOnly = !resumed && urlParams.get('spectate') === '1';
+
+    if (shuttingDown) {
+        return void socket.close(config.shutdownCloseCode, "Server restarting");
+    }
+
+    if (resumeToken && !resumed) {
+        return void socket.close(4013, "Connection lost");
+    }
+
     if (
-        game.players.length > config.maxPlayersHard
+        !resumed &&
+        (spectateOnly ? game.spectator_manager.isFull() : game.countPlayers() > game.config.maxPlayersHard)
     ) {
         return void socket.close();
     }
@@ -631,8 +825,7 @@ wss.on("connection", async (socket, req) => {
 
     colimit.up(addr);
 
-    const urlParams = new URL(req.url, `http://${req.headers.host}`).searchParams;
-    const sessionToken = urlParams.get('sessionToken');
+    const sessionToken = resumed ? null : urlParams.get('sessionToken');
     
     let sessionUserId = null;
     let sessionAccount = null;
@@ -647,23 +840,38 @@ wss.on("connection", async (socket, req) => {
         }
     }
 
-    const player = game.addPlayer(socket);
+    const player = resumed ? reconnects.resume(resumed, socket) : game.addPlayer(socket);
     player.ipAddress = addr;
-    player.sessionToken = sessionToken;
-    player.sessionUserId = sessionUserId;
     player.lastActivity = Date.now();
-    player.antiCheatData = {
-        lastInputTime: Date.now(),
-        lastAttackTime: 0,
-        positionHistory: [],
-        actionCooldowns: new Map()
-    };
 
-    const emit = async (type, ...data) => {
+    if (resumed) {
+        if (player.accountId) {
+            sessionStore.registerWebSocket(player.accountId, socket, player.id);
+        }
+        console.log(`[Reconnect] Player ${player.sid} resumed their connection`);
+    } else {
+        player.sessionToken = sessionToken;
+        player.sessionUserId = sessionUserId;
+        player.antiCheatData = {
+            lastInputTime: Date.now(),
+            lastAttackTime: 0,
+            positionHistory: [],
+            actionCooldowns: new Map()
+        };
+        reconnects.track(player);
+    }
+
+    if (spectateOnly) {
+        player.spectatorOnly = true;
+        game.spectator_manager.start(player);
+    }
 
-        if (!player.socket) return;
-        socket.send(encode([type, data]));
-    };
+    const emit = (type, ...data) => player.send(type, ...data);
+
+    const partyCode = urlParams.get('party');
+    if (partyCode && !resumed) {
+        parties.resume(partyCode, urlParams.get('partyToken'), player);
+    }
     
     // Auto-login: If user reconnects with valid session, send fresh account data
     if (sessionAccount) {
@@ -689,6 +897,7 @@ wss.on("connection", async (socket, req) => {
             message: `Welcome back, ${sanitizedAccount.displayName}!`,
             autoLogin: true
         });
+        applyAccount(player, sessionAccount);
         
         console.log(`[Account] Auto-login: Player ${player.sid} authenticated as ${sessionAccount.username}`);
     }
@@ -822,12 +1031,15 @@ wss.on("connection", async (socket, req) => {
             switch(t) {
                 case "M": {
 
-                    if (player.alive) {
+                    if (player.alive || player.spectatorOnly || shuttingDown) {
                         break;
                     }
 
+                    game.spectator_manager.stop(player);
                     player.setUserData(data[0]);
                     player.spawn(data[0]?.moofoll);
+                    parties.spawned(player);
+                    game.world?.claim(player);
                     player.send("C", player.sid);
 
                     break;
@@ -853,7 +1065,7 @@ wss.on("connection", async (socket, req) => {
                         break;
                     }
 
-                    if (player.isDisarmed) {
+                    if (player.effects.blocks("attack")) {
                         player.mouseState = 0;
                         player.hits = 0;
                         break;
@@ -980,10 +1192,7 @@ wss.on("connection", async (socket, req) => {
             
                         if (tail) {
                             if (type) {
-                                if (!player.tails[id] && player.points >= tail.price) {
-                                    player.tails[id] = 1;
-                                    emit("5", 0, id, 1);
-                                }
+                                await buyCosmetic(player, tail, 1);
                             } else {
                                 if (player.tails[id]) {
                                     player.tail = tail;
@@ -1003,18 +1212,7 @@ wss.on("connection", async (socket, req) => {
             
                         if (hat) {
                             if (type) {
-                                if (!player.skins[id] && player.points >= hat.price) {
-                                    if (hat.price > 0) {
-                                        if (POINTS_RESOURCE_INDEX !== -1) {
-                                            player.addResource(POINTS_RESOURCE_INDEX, -hat.price, true);
-                                        } else {
-                                            player.points -= hat.price;
-                                            player.send("N", "points", player.points, 1);
-                                        }
-                                    }
-                                    player.skins[id] = 1;
-                                    emit("5", 0, id, 0);
-                                }
+                                await buyCosmetic(player, hat, 0);
                             } else {
                                 if (player.skins[id]) {
                                     const hatSwitchResult = antiCheat.validateHatSwitch(player, id);
@@ -1142,7 +1340,17 @@ wss.on("connection", async (socket, req) => {
                         break;
                     }
 
-                    game.server.broadcast("6", player.sid, chat);
+                    // channel 1 is the tribe, which also gets the name for members out of view
+                    if (data[1] === 1) {
+                        const clan = game.clan_manager.clans.get(player.team);
+                        if (!clan) {
+                            emit("6", -1, "You are not in a tribe");
+                            break;
+                        }
+                        clan.broadcast("6", player.sid, chat, 1, player.name);
+                    } else {
+                        game.server.broadcast("6", player.sid, chat);
+                    }
                     player.chat_cooldown = 300;
 
                     break;
@@ -1181,11 +1389,31 @@ wss.on("connection", async (socket, req) => {
 
                     if (data[0].length < 1 || data[0].length > 7) break;
 
-                    const created = game.clan_manager.create(data[0], player);
-                    
-                    if (created && player.accountUsername) {
-                        accountManager.incrementTribesCreated(player.accountUsername);
-                        accountManager.updateCurrentTribe(player.accountUsername, data[0]);
+                    const price = game.config.clanCreatePrice;
+                    if (price > 0) {
+                        if (!player.accountId) {
+                            emit("6", -1, "Log in to create a tribe");
+                            break;
+                        }
+                        if (game.clan_manager.clans.has(data[0])) break;
+
+                        const paid = await accountManager.changeBalance(player.accountId, -price, "clan", data[0]);
+                        if (!paid.success) {
+                            emit("6", -1, `Could not create tribe: ${paid.error}`);
+                            break;
+                        }
+                    }
+
+                    const created = await game.tribes.create(player, data[0]);
+                    if (!created.success) {
+                        emit("6", -1, `Could not create tribe: ${created.error}`);
+                    }
+
+                    if (price > 0) {
+                        if (!created.success) {
+                            await accountManager.changeBalance(player.accountId, price, "refund", data[0]);
+                        }
+                        sendBalance(player);
                     }
 
                     break;
@@ -1204,12 +1432,7 @@ wss.on("connection", async (socket, req) => {
                         accountManager.updateCurrentTribe(player.accountUsername, null);
                     }
 
-                    if (player.is_owner) {
-                        game.clan_manager.remove(player.team);
-                        break;
-                    }
-                    
-                    game.clan_manager.kick(player.team, player.sid);
+                    game.tribes.leave(player);
                     break;
 
                 }
@@ -1241,18 +1464,70 @@ wss.on("connection", async (socket, req) => {
 
                     if (typeof joinDecision !== "undefined") {
 
+                        if (!game.tribes.canManage(player)) break;
+
                         player.clan_cooldown = 200;
 
                         game.clan_manager.confirm_join(player.team, targetSid, joinDecision);
                         player.notify.delete(targetSid);
+                        if (joinDecision) {
+                            const joining = game.players.find(x => x.sid === targetSid);
+                            if (joining) game.tribes.joined(game.clan_manager.clans.get(player.team), joining);
+                        }
+                        break;
+                    }
+
+                    if (!game.tribes.canKick(player, targetSid)) break;
+
+                    player.clan_cooldown = 200;
+
+                    game.tribes.kick(player, targetSid);
+                    break;
+
+                }
+                case "MK": {
+
+                    const clan = game.clan_manager.clans.get(player.team);
+                    if (!clan) break;
+
+                    if (data[0] === 0) {
+                        const [, kind, x, y] = data;
+                        if (kind >= game.config.tribeMarkerKinds.length) break;
+                        const scale = game.config.mapScale;
+                        clan.addMarker(kind, Math.min(Math.max(x, 0), scale), Math.min(Math.max(y, 0), scale), player.sid, game.config.tribeMarkerLimit);
                         break;
                     }
 
-                    if (!player.is_owner) break;
+                    // members take down their own markers, leaders and officers anyone's
+                    const marker = clan.markers.find(marker => marker.id === data[1]);
+                    if (marker && (marker.sid === player.sid || game.tribes.canManage(player))) {
+                        clan.removeMarker(marker.id);
+                    }
+                    break;
+
+                }
+                case "DP": {
+
+                    const clan = game.clan_manager.clans.get(player.team);
+                    if (!clan || clan.roles.get(player.sid) !== "leader") break;
+
+                    if (player.clan_cooldown > 0) break;
+
+                    player.clan_cooldown = 200;
+
+                    game.clan_manager.diplomacy.act(clan.title, data[0], data[1]);
+                    break;
+
+                }
+                case "TRIBE_ROLE": {
+
+                    if (!player.team) break;
+
+                    if (player.clan_cooldown > 0) break;
 
                     player.clan_cooldown = 200;
 
-                    game.clan_manager.kick(player.team, targetSid);
+                    await game.tribes.setRole(player, data[0], data[1]);
                     break;
 
                 }
@@ -1262,9 +1537,15 @@ wss.on("connection", async (socket, req) => {
 
                     if (player.ping_cooldown > 0) break;
 
-                    player.ping_cooldown = config.mapPingTime;
+                    player.ping_cooldown = game.config.mapPingTime;
 
-                    game.server.broadcast("9", player.x, player.y);
+                    // pings only reach the player's tribe
+                    const clan = game.clan_manager.clans.get(player.team);
+                    if (clan) {
+                        clan.broadcast("9", player.x, player.y);
+                    } else {
+                        emit("9", player.x, player.y);
+                    }
 
                     break;
                 }
@@ -1287,7 +1568,7 @@ wss.on("connection", async (socket, req) => {
 
                     if (!UTILS.isNumber(x) || !UTILS.isNumber(y)) break;
 
-                    if (x < 0 || x > config.mapScale || y < 0 || y > config.mapScale) break;
+                    if (x < 0 || x > game.config.mapScale || y < 0 || y > game.config.mapScale) break;
 
                     player.x = x;
                     player.y = y;
@@ -1317,10 +1598,10 @@ wss.on("connection", async (socket, req) => {
                             if (result.duplicateSessionDetected) {
                                 const duplicateMessage = "Your account was accessed from multiple locations. Both sessions have been terminated for security.";
                                 
-                                game.players.forEach(p => {
+                                rooms.allPlayers().forEach(p => {
                                     if (p.accountId === result.account.accountId && p.id !== player.id) {
                                         try {
-                                            const pSocket = game.getPlayerSocket(p.id);
+                                            const pSocket = p.socket;
                                             if (pSocket && pSocket.readyState === 1) {
                                                 pSocket.send(encode(['SECURITY_KICK', [duplicateMessage]]));
                                                 setTimeout(() => {
@@ -1368,6 +1649,13 @@ wss.on("connection", async (socket, req) => {
                                 message: `Logged in as ${result.account.displayName}`
                             });
 
+                            applyAccount(player, result.account);
+
+                            // logging in mid-life picks up the account's restored structures right away
+                            if (player.alive) {
+                                game.world?.claim(player);
+                            }
+
                             console.log(`[Account] Player ${player.sid} authenticated as ${result.account.username} (Admin Level: ${result.account.adminLevel})`);
                         } else {
                             emit("AUTH_RESULT", { success: false, error: result.error });
@@ -1419,6 +1707,7 @@ wss.on("connection", async (socket, req) => {
                                 account: result.account,
                                 message: `Account created! ID: ${result.account.accountId}`
                             });
+                            applyAccount(player, result.account);
 
                             console.log(`[Account] Player ${player.sid} registered as ${result.account.username} (ID: ${result.account.accountId})`);
                         } else {
@@ -1431,6 +1720,46 @@ wss.on("connection", async (socket, req) => {
 
                     break;
                 }
+                case "NAME_COLOR": {
+
+                    if (!player.accountId) {
+                        emit("BALANCE", { error: "Log in to buy a name color" });
+                        break;
+                    }
+
+                    const color = game.config.nameColors[data[0]];
+                    if (!color || player.nameColor === color) break;
+
+                    const result = await accountManager.buyNameColor(player.accountId, color, game.config.nameColorPrice);
+                    if (result.success) {
+                        player.nameColor = color;
+                        if (player.account) {
+                            player.account.nameColor = color;
+                        }
+                    }
+                    sendBalance(player, result.success ? null : result.error);
+
+                    break;
+                }
+                case "MATCHES": {
+
+                    emit("MATCHES", {
+                        sort: data[0],
+                        matches: await accountManager.getMatches(player.accountId, {
+                            sort: data[0],
+                            limit: game.config.matchHistoryLength
+                        })
+                    });
+
+                    break;
+                }
+                case "TRIBE": {
+
+                    const name = data[0] ?? (await accountManager.getTribeMembership(player.accountId))?.name;
+                    emit("TRIBE", name ? await accountManager.getTribeProfile(name) : null);
+
+                    break;
+                }
                 case "INPUT_HEARTBEAT": {
                     if (!player.alive) break;
 
@@ -1449,11 +1778,7 @@ wss.on("connection", async (socket, req) => {
                     break;
                 }
                 case "CREATE_PARTY": {
-                    const partyCode = generatePartyCode();
-                    player.partyCode = partyCode;
-                    player.isPartyHost = true;
-                    emit("PARTY_CREATED", { code: partyCode });
-                    console.log(`[Party] Player ${player.sid} created party: ${partyCode}`);
+                    emit("PARTY_CREATED", parties.create(player));
                     break;
                 }
                 case "JOIN_PARTY": {
@@ -1462,14 +1787,52 @@ wss.on("connection", async (socket, req) => {
                         emit("PARTY_JOIN_RESULT", { success: false, error: 'Party code required' });
                         break;
                     }
-                    const host = game.players.find(p => p.partyCode === code && p.isPartyHost);
-                    if (host) {
-                        player.partyCode = code;
-                        player.isPartyHost = false;
-                        emit("PARTY_JOIN_RESULT", { success: true, code: code });
-                        console.log(`[Party] Player ${player.sid} joined party: ${code}`);
-                    } else {
-                        emit("PARTY_JOIN_RESULT", { success: false, error: 'Party not found' });
+                    emit("PARTY_JOIN_RESULT", parties.join(code.toUpperCase(), player));
+                    break;
+                }
+                case "RESYNC": {
+                    // a follower's deltas are the ones its target gets
+                    (game.spectator_manager.targetOf(player) ?? player).snapshotBaselines.clear();
+                    break;
+                }
+                case "SPECTATE": {
+
+                    const spectators = game.spectator_manager;
+
+                    if (data[0] === "start") {
+                        if (!spectators.start(player)) {
+                            emit("SPECTATE", { error: player.alive ? "You are still alive" : "No spectator slots left" });
+                        }
+                        break;
+                    }
+
+                    if (!spectators.has(player)) break;
+
+                    if (data[0] === "stop") {
+                        // a spectate-only connection has no menu to go back to
+                        if (!player.spectatorOnly) spectators.stop(player);
+                    } else if (data[0] === "follow") {
+                        spectators.followSid(player, data[1]);
+                    } else if (data[0] === "next" || data[0] === "prev") {
+                        spectators.cycle(player, data[0] === "next" ? 1 : -1);
+                    } else if (data[0] === "roam") {
+                        spectators.follow(player, null);
+                    }
+
+                    break;
+                }
+                case "SP": {
+                    game.spectator_manager.moveCamera(player, data[0], data[1]);
+                    break;
+                }
+                case "LEAVE_PARTY": {
+                    parties.leave(player);
+                    break;
+                }
+                case "PARTY_MOVE": {
+                    const result = parties.move(player, data[0]);
+                    if (!result.success) {
+                        emit("PARTY_MOVE", result);
                     }
                     break;
                 }
@@ -1486,21 +1849,17 @@ wss.on("connection", async (socket, req) => {
 
     });
 
-    socket.on("close", async reason => {
+    // the player leaves the room for good, right away or once a held connection runs out
+    const leave = async () => {
 
-        clearInterval(sessionCheckInterval);
-        
-        colimit.down(addr);
-        rateLimiter.removePlayer(player.id);
-        antiCheat.removePlayer(player.id);
-        
-        if (player.sessionToken) {
+        reconnects.forget(player);
+
+        // sessions closed by a shutdown are saved so the login survives the restart
+        if (player.sessionToken && !shuttingDown) {
             sessionStore.invalidateSession(player.sessionToken);
         }
-        
-        if (player.accountId) {
-            sessionStore.unregisterWebSocket(player.accountId, player.id);
-        }
+
+        await game.matches.finish(player);
 
         if (player.accountUsername) {
             accountManager.updateClientSessionStats(player.id, {
@@ -1513,17 +1872,38 @@ wss.on("connection", async (socket, req) => {
             await accountManager.saveClientPlayTime(player.id);
         }
 
+        parties.disconnect(player);
+
         if (player.team) {
+            game.tribes.disconnect(player);
+        }
 
-            if (player.is_owner) {
-                game.clan_manager.remove(player.team);
-            } else {
-                game.clan_manager.kick(player.team, player.sid);
-            }
+        game.removePlayer(player.id);
+
+    };
+
+    socket.on("close", async code => {
+
+        clearInterval(sessionCheckInterval);
+        colimit.down(addr);
+
+        // the player already carries on over a resumed connection
+        if (reconnects.wasReplaced(socket)) return;
 
+        rateLimiter.removePlayer(player.id);
+        antiCheat.removePlayer(player.id);
+        
+        if (player.accountId) {
+            sessionStore.unregisterWebSocket(player.accountId, player.id);
         }
 
-        game.removePlayer(player.id);
+        // 1006 means the connection dropped without a close frame, the client will try to resume
+        if (code === 1006 && !shuttingDown && reconnects.hold(player, leave)) {
+            console.log(`[Reconnect] Holding player ${player.sid} for ${game.config.reconnectGrace / 1000}s`);
+            return;
+        }
+
+        await leave();
 
     });
 
@@ -1589,6 +1969,76 @@ server.listen(PORT, HOST, (error) => {
 
 });
 
+let shuttingDown = false;
+
+// Counts down in "Z" while nobody can spawn or join, then saves account stats,
+// worlds, bans and sessions and closes every socket with shutdownCloseCode so
+// clients wait for the server to come back. Returns false if already running.
+function shutdown(reason, countdown = config.shutdownCountdown) {
+
+    if (shuttingDown) {
+        return false;
+    }
+
+    shuttingDown = true;
+    console.log(`[Shutdown] ${reason}, closing in ${Math.ceil(countdown / 1000)}s`);
+
+    runShutdown(countdown).catch(error => {
+        console.error("[Shutdown] Failed:", error);
+        process.exit(1);
+    });
+
+    return true;
+
+}
+
+async function runShutdown(countdown) {
+
+    for (let left = Math.ceil(countdown / 1000); left > 0; left--) {
+        rooms.broadcast("Z", left);
+        await sleep(1000);
+    }
+
+    // the close handlers run after this and find nothing left to save
+    const accountPlayers = rooms.allPlayers().filter(player => player.accountUsername);
+    await Promise.allSettled(accountPlayers.map(player => player.game.matches.finish(player)));
+    await Promise.allSettled(accountPlayers.map(player => {
+        accountManager.updateClientSessionStats(player.id, {
+            kills: player.kills || 0,
+            deaths: player.deaths || 0,
+            score: player.points || 0
+        });
+        return accountManager.saveClientPlayTime(player.id);
+    }));
+    console.log(`[Shutdown] Saved stats for ${accountPlayers.length} accounts`);
+
+    await rooms.stop();
+    adminCommands.saveBans();
+    sessionStore.saveToFile(SESSIONS_FILE);
+
+    server.close();
+    for (const socket of wss.clients) {
+        socket.close(config.shutdownCloseCode, "Server restarting");
+    }
+
+    // let the close frames go out before exiting
+    await sleep(500);
+    console.log("[Shutdown] Done");
+    process.exit(0);
+
+}
+
+adminCommands.shutdown = shutdown;
+
+for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+        // a second signal skips whatever is left of the sequence
+        if (!shutdown(`Received ${signal}`)) {
+            process.exit(1);
+        }
+    });
+}
+
 const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
@@ -1620,7 +2070,7 @@ rl.on('line', async (line) => {
             if (success) {
                 console.log(`[Console] Successfully set account ${accountId} to admin level ${level}`);
                 
-                const onlinePlayer = game.players.find(p => p.account?.accountId === accountId);
+                const onlinePlayer = rooms.findPlayer(p => p.account?.accountId === accountId);
                 if (onlinePlayer) {
                     onlinePlayer.account.adminLevel = level;
                     if (level >= AdminLevel.Admin) {
@@ -1641,8 +2091,21 @@ rl.on('line', async (line) => {
         } catch (error) {
             console.log(`[Console] Error promoting account: ${error.message}`);
         }
+    } else if (trimmed === '/tickstats') {
+        for (const game of rooms.all()) {
+            console.log(`[Console] ${game.id}: ${game.config.simulationRate} Hz sim / ${game.config.serverUpdateRate} Hz net, ${game.tickStats.format()}`);
+        }
+    } else if (trimmed === '/shutdown' || trimmed.startsWith('/shutdown ')) {
+        const seconds = trimmed.split(' ')[1];
+        if (seconds !== undefined && !(Number(seconds) >= 0)) {
+            console.log('[Console] Usage: /shutdown [seconds]');
+            return;
+        }
+        if (!shutdown('Shutdown requested from the console', seconds === undefined ? undefined : Number(seconds) * 1000)) {
+            console.log('[Console] Server is already shutting down');
+        }
     } else if (trimmed.startsWith('/')) {
         console.log(`[Console] Unknown command: ${trimmed.split(' ')[0]}`);
-        console.log('[Console] Available commands: /promote <account_id> <level>');
+        console.log('[Console] Available commands: /promote <account_id> <level>, /tickstats, /shutdown [seconds]');
     }
 });
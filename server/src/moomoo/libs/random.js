@@ -0,0 +1,53 @@
+import crypto from "node:crypto";
+
+// Seedable stand-in for Math.random (mulberry32). randInt/randFloat match
+// UTILS so generation code can swap one for the other.
+export class SeededRandom {
+
+    constructor(seed) {
+
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+
+    }
+
+    next() {
+
+        this.state = (this.state + 0x6d2b79f5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+
+    }
+
+    randInt(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    randFloat(min, max) {
+        return this.next() * (max - min + 1) + min;
+    }
+
+    // an independent stream, so drawing from one never shifts the numbers of another
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+
+}
+
+export function randomSeed() {
+    return crypto.randomBytes(4).toString("hex");
+}
+
+// FNV-1a, turns any seed string into the 32-bit starting state
+function hashSeed(seed) {
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+
+}
@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SeededRandom } from "./random.js";
+
+const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+test("the same seed gives the same sequence", () => {
+    assert.deepEqual(draw(new SeededRandom("cup-final"), 20), draw(new SeededRandom("cup-final"), 20));
+    assert.notDeepEqual(draw(new SeededRandom("cup-final"), 20), draw(new SeededRandom("cup-semi"), 20));
+});
+
+test("forked streams do not disturb each other", () => {
+    const root = new SeededRandom(42);
+    const map = root.fork("map");
+    const animals = root.fork("animals");
+
+    animals.next();
+    animals.next();
+    assert.deepEqual(draw(map, 5), draw(new SeededRandom(42).fork("map"), 5));
+});
+
+test("randInt stays inside its inclusive bounds", () => {
+    const random = new SeededRandom("bounds");
+    for (let i = 0; i < 1000; i++) {
+        const value = random.randInt(3, 5);
+        assert.ok(Number.isInteger(value) && value >= 3 && value <= 5);
+    }
+});
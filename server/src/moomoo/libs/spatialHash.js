@@ -0,0 +1,102 @@
+
+// Uniform grid keyed by cell. Entities go into the single cell holding their
+// center; queries widen the rect by the largest scale seen so that anything
+// overlapping the rect is still returned. Callers do their own exact checks.
+export class SpatialHash {
+
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+    }
+
+    /** @type {Map<number, object[]>} */
+    cells = new Map;
+    /** @type {Map<object, object[]>} */
+    locations = new Map;
+    maxScale = 0;
+
+    key(cx, cy) {
+        return (cx + 0x8000) * 0x10000 + (cy + 0x8000);
+    }
+
+    insert(entity) {
+
+        const cx = Math.floor(entity.x / this.cellSize);
+        const cy = Math.floor(entity.y / this.cellSize);
+        const key = this.key(cx, cy);
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+
+        cell.push(entity);
+        this.locations.set(entity, cell);
+
+        if (entity.scale > this.maxScale) {
+            this.maxScale = entity.scale;
+        }
+
+    }
+
+    remove(entity) {
+
+        const cell = this.locations.get(entity);
+        if (!cell) return;
+
+        const index = cell.indexOf(entity);
+        if (index >= 0) {
+            cell.splice(index, 1);
+        }
+        this.locations.delete(entity);
+
+    }
+
+    // keeps the cell arrays around, dynamic indexes are rebuilt every tick
+    clear() {
+
+        for (const cell of this.cells.values()) {
+            cell.length = 0;
+        }
+        this.locations.clear();
+
+    }
+
+    rebuild(entities, filter) {
+
+        this.clear();
+        for (const entity of entities) {
+            if (!filter || filter(entity)) {
+                this.insert(entity);
+            }
+        }
+
+    }
+
+    query(minX, minY, maxX, maxY, out = []) {
+
+        const pad = this.maxScale;
+        const startX = Math.floor((minX - pad) / this.cellSize);
+        const startY = Math.floor((minY - pad) / this.cellSize);
+        const endX = Math.floor((maxX + pad) / this.cellSize);
+        const endY = Math.floor((maxY + pad) / this.cellSize);
+
+        for (let cx = startX; cx <= endX; cx++) {
+            for (let cy = startY; cy <= endY; cy++) {
+                const cell = this.cells.get(this.key(cx, cy));
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i++) {
+                    out.push(cell[i]);
+                }
+            }
+        }
+
+        return out;
+
+    }
+
+    queryRadius(x, y, radius, out = []) {
+        return this.query(x - radius, y - radius, x + radius, y + radius, out);
+    }
+
+}
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SpatialHash } from "./spatialHash.js";
+
+test("query returns entities whose cell touches the rect", () => {
+    const hash = new SpatialHash(100);
+    const near = { x: 50, y: 50, scale: 10 };
+    const far = { x: 950, y: 950, scale: 10 };
+    hash.insert(near);
+    hash.insert(far);
+
+    assert.deepEqual(hash.query(0, 0, 120, 120), [near]);
+    assert.deepEqual(hash.queryRadius(950, 950, 20), [far]);
+});
+
+test("large entities are found from neighbouring cells", () => {
+    const hash = new SpatialHash(100);
+    const big = { x: 250, y: 50, scale: 120 };
+    hash.insert(big);
+
+    assert.deepEqual(hash.query(0, 0, 90, 90), [big]);
+});
+
+test("removed and cleared entities are no longer returned", () => {
+    const hash = new SpatialHash(100);
+    const a = { x: 10, y: 10, scale: 5 };
+    const b = { x: 20, y: 20, scale: 5 };
+    hash.rebuild([a, b]);
+    hash.remove(a);
+    assert.deepEqual(hash.query(0, 0, 50, 50), [b]);
+
+    hash.rebuild([a, b], entity => entity === a);
+    assert.deepEqual(hash.query(0, 0, 50, 50), [a]);
+
+    hash.clear();
+    assert.deepEqual(hash.query(0, 0, 50, 50), []);
+});
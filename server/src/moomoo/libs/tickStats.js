@@ -0,0 +1,90 @@
+// Rolling timings for the game loop. Every phase keeps its last `windowSize`
+// samples so the numbers follow current load instead of averaging over uptime.
+export class TickStats {
+
+    constructor(phases, windowSize = 100) {
+
+        this.windowSize = windowSize;
+
+        for (const phase of phases) {
+            this.phases.set(phase, {
+                samples: new Float64Array(windowSize),
+                next: 0,
+                count: 0,
+                last: 0
+            });
+        }
+
+    }
+
+    phases = new Map;
+
+    steps = 0;
+    sends = 0;
+    catchUpSteps = 0;
+    droppedSteps = 0;
+
+    record(phase, ms) {
+
+        const entry = this.phases.get(phase);
+        if (!entry) return;
+
+        entry.samples[entry.next] = ms;
+        entry.next = (entry.next + 1) % this.windowSize;
+        entry.count = Math.min(entry.count + 1, this.windowSize);
+        entry.last = ms;
+
+    }
+
+    // records the time since `start` and returns the current time, so phases can be chained
+    lap(phase, start) {
+
+        const now = performance.now();
+        this.record(phase, now - start);
+        return now;
+
+    }
+
+    summary() {
+
+        const phases = {};
+
+        for (const [phase, entry] of this.phases) {
+
+            let total = 0;
+            let max = 0;
+            for (let i = 0; i < entry.count; i++) {
+                total += entry.samples[i];
+                max = Math.max(max, entry.samples[i]);
+            }
+
+            phases[phase] = {
+                avg: entry.count ? total / entry.count : 0,
+                max,
+                last: entry.last
+            };
+
+        }
+
+        return {
+            steps: this.steps,
+            sends: this.sends,
+            catchUpSteps: this.catchUpSteps,
+            droppedSteps: this.droppedSteps,
+            phases
+        };
+
+    }
+
+    format() {
+
+        const summary = this.summary();
+        const phases = Object.entries(summary.phases)
+            .map(([phase, { avg, max }]) => `${phase} ${avg.toFixed(2)}/${max.toFixed(2)}`)
+            .join(", ");
+
+        return `steps ${summary.steps} (catch-up ${summary.catchUpSteps}, dropped ${summary.droppedSteps}), sends ${summary.sends} | ms avg/max: ${phases}`;
+
+    }
+
+}
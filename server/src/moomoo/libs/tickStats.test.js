@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { TickStats } from "./tickStats.js";
+
+test("averages only cover the rolling window", () => {
+    const stats = new TickStats(["players"], 3);
+    for (const ms of [100, 1, 2, 3]) {
+        stats.record("players", ms);
+    }
+
+    const { avg, max, last } = stats.summary().phases.players;
+    assert.equal(avg, 2);
+    assert.equal(max, 3);
+    assert.equal(last, 3);
+});
+
+test("unknown phases are ignored", () => {
+    const stats = new TickStats(["players"]);
+    stats.record("nope", 5);
+    assert.deepEqual(Object.keys(stats.summary().phases), ["players"]);
+});
@@ -0,0 +1,64 @@
+// why a life ended, from what Player#kill was handed: the player credited with
+// the kill and whatever dealt the last hit (an animal, a structure or a player)
+export function deathCause(player, doer, source) {
+
+    if (source?.isAI) {
+        return { cause: "animal", killer: source.name ?? null };
+    }
+    if (source && !source.isPlayer) {
+        return { cause: "structure", killer: doer?.name ?? source.name ?? null };
+    }
+    if (doer?.isPlayer && doer !== player) {
+        return { cause: "player", killer: doer.name };
+    }
+    if (player.effects?.has("poison")) {
+        return { cause: "poison", killer: null };
+    }
+    return { cause: "other", killer: null };
+
+}
+
+/*
+ * One row of match history per life. Player#spawn opens `player.match`, which
+ * gathering, building and attacking add to; finish closes it when the player
+ * dies or leaves and, for logged-in players, saves it through
+ * AccountManager#recordMatch. Guests' matches are dropped.
+ */
+export class MatchHistory {
+
+    constructor(game, accountManager) {
+
+        this.game = game;
+        this.accountManager = accountManager;
+
+    }
+
+    // a null death means the player left alive; resolves once the row is saved
+    async finish(player, death = null) {
+
+        const match = player.match;
+        if (!match) return null;
+        player.match = null;
+
+        const record = {
+            room: this.game.id,
+            startedAt: new Date(match.startedAt),
+            endedAt: new Date(),
+            cause: death ? death.cause : "left",
+            killer: death ? death.killer : null,
+            peakAge: player.age,
+            score: player.points,
+            kills: player.kills,
+            resources: match.resources,
+            structuresBuilt: match.structures,
+            weapons: [...match.weapons]
+        };
+
+        if (player.accountId) {
+            await this.accountManager.recordMatch(player.accountId, record);
+        }
+        return record;
+
+    }
+
+}
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { MatchHistory, deathCause } from "./matchHistory.js";
+
+function player(fields = {}) {
+    return {
+        isPlayer: true,
+        name: "moo",
+        accountId: "A1",
+        age: 7,
+        points: 1200,
+        kills: 2,
+        effects: { has: () => false },
+        match: { startedAt: 1000, resources: { wood: 40 }, structures: 3, weapons: new Set([0, 5]) },
+        ...fields
+    };
+}
+
+test("death causes name the killer", () => {
+    const victim = player();
+    const enemy = player({ name: "enemy" });
+
+    assert.deepEqual(deathCause(victim, enemy, enemy), { cause: "player", killer: "enemy" });
+    assert.deepEqual(deathCause(victim, null, { isAI: true, name: "Wolf" }), { cause: "animal", killer: "Wolf" });
+    assert.deepEqual(deathCause(victim, enemy, { name: "spikes" }), { cause: "structure", killer: "enemy" });
+    assert.deepEqual(deathCause(player({ effects: { has: name => name === "poison" } })), { cause: "poison", killer: null });
+    assert.deepEqual(deathCause(victim, victim), { cause: "other", killer: null });
+});
+
+test("finishing a match records it once for logged-in players", async () => {
+    const saved = [];
+    const matches = new MatchHistory({ id: "main" }, {
+        recordMatch: async (accountId, record) => saved.push([accountId, record])
+    });
+
+    const loggedIn = player();
+    const record = await matches.finish(loggedIn, { cause: "player", killer: "enemy" });
+    assert.equal(record.room, "main");
+    assert.equal(record.cause, "player");
+    assert.equal(record.peakAge, 7);
+    assert.equal(record.structuresBuilt, 3);
+    assert.deepEqual(record.weapons, [0, 5]);
+    assert.equal(loggedIn.match, null);
+    assert.equal(await matches.finish(loggedIn), null);
+
+    const guest = player({ accountId: null });
+    assert.equal((await matches.finish(guest)).cause, "left");
+    assert.deepEqual(saved.map(([accountId]) => accountId), ["A1"]);
+});
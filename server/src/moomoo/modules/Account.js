@@ -1,8 +1,8 @@
 import bcrypt from 'bcryptjs';
 import crypto from 'node:crypto';
 import { db, isDatabaseConnected } from '../../db.js';
-import { accounts, AdminLevel } from '../../../../shared/schema.js';
-import { eq, sql, desc } from 'drizzle-orm';
+import { accounts, ownedCosmetics, balanceTransactions, matches, tribes, tribeMembers, AdminLevel } from '../../../../shared/schema.js';
+import { eq, sql, desc, asc, and, gte, inArray, TransactionRollbackError } from 'drizzle-orm';
 import { sessionStore } from '../../security/sessionStore.js';
 
 export { AdminLevel };
@@ -31,7 +31,9 @@ function validateEmail(email) {
 }
 
 export class AccountManager {
-    constructor() {
+    // config supplies the balance rewards paid when a session is saved
+    constructor(config = {}) {
+        this.config = config;
         this.sessions = new Map();
         this.accountCache = new Map();
         this.clientSessions = new Map();
@@ -491,9 +493,6 @@ export class AccountManager {
             if (typeof stats.playTime === 'number' && stats.playTime > 0) {
                 updates.playTime = sql`${accounts.playTime} + ${stats.playTime}`;
             }
-            if (typeof stats.balance === 'number') {
-                updates.balance = stats.balance;
-            }
             if (typeof stats.score === 'number') {
                 updates.score = stats.score;
                 if (stats.score > (account.highestScore || 0)) {
@@ -565,6 +564,488 @@ export class AccountManager {
         }
     }
     
+    // founds a tribe led by the account, which must have left any tribe it was in
+    async createTribe(name, accountId) {
+        if (!this.isDatabaseAvailable()) {
+            return { success: false, error: 'Database not connected' };
+        }
+
+        try {
+            return await this.transaction(async (tx) => {
+                const [tribe] = await tx.insert(tribes)
+                    .values({ name, createdBy: accountId })
+                    .onConflictDoNothing()
+                    .returning();
+                if (!tribe) {
+                    return { success: false, error: 'That name belongs to another tribe' };
+                }
+
+                await this.recordMembership(tx, tribe, accountId, 'leader');
+                await tx.update(accounts)
+                    .set({ tribesCreated: sql`${accounts.tribesCreated} + 1` })
+                    .where(eq(accounts.accountId, accountId));
+                return { success: true, tribe };
+            });
+        } catch (error) {
+            if (error instanceof TransactionRollbackError) {
+                return { success: false, error: 'Leave your tribe first' };
+            }
+            console.error('[Account] Error creating tribe:', error);
+            return { success: false, error: 'Failed to save tribe' };
+        }
+    }
+
+    async getTribe(name) {
+        if (!this.isDatabaseAvailable()) return null;
+        try {
+            const [tribe] = await db.select().from(tribes).where(eq(tribes.name, name));
+            return tribe || null;
+        } catch (error) {
+            console.error('[Account] Error getting tribe:', error);
+            return null;
+        }
+    }
+
+    // the tribe an account belongs to and its role there, or null
+    async getTribeMembership(accountId) {
+        if (!accountId || !this.isDatabaseAvailable()) return null;
+        try {
+            const [membership] = await db.select({
+                tribeId: tribes.id,
+                name: tribes.name,
+                role: tribeMembers.role,
+                joinedAt: tribeMembers.joinedAt
+            })
+                .from(tribeMembers)
+                .innerJoin(tribes, eq(tribeMembers.tribeId, tribes.id))
+                .where(eq(tribeMembers.accountId, accountId));
+            return membership || null;
+        } catch (error) {
+            console.error('[Account] Error getting tribe membership:', error);
+            return null;
+        }
+    }
+
+    async addTribeMember(tribeId, accountId, role = 'member') {
+        if (!this.isDatabaseAvailable()) return false;
+        try {
+            await this.transaction(async (tx) => {
+                const [tribe] = await tx.select().from(tribes).where(eq(tribes.id, tribeId));
+                if (tribe) {
+                    await this.recordMembership(tx, tribe, accountId, role);
+                }
+            });
+            return true;
+        } catch (error) {
+            if (error instanceof TransactionRollbackError) return false;
+            console.error('[Account] Error adding tribe member:', error);
+            return false;
+        }
+    }
+
+    // the membership row and accounts.currentTribe, inside a caller's transaction; rolls back
+    // when the account is still in another tribe, which has to go through removeTribeMember
+    // so a leaving leader is succeeded
+    async recordMembership(tx, tribe, accountId, role) {
+        const [current] = await tx.select({ tribeId: tribeMembers.tribeId })
+            .from(tribeMembers)
+            .where(eq(tribeMembers.accountId, accountId));
+        if (current && current.tribeId !== tribe.id) {
+            tx.rollback();
+        }
+
+        await tx.insert(tribeMembers)
+            .values({ tribeId: tribe.id, accountId, role })
+            .onConflictDoUpdate({
+                target: tribeMembers.accountId,
+                set: { tribeId: tribe.id, role, joinedAt: new Date() }
+            });
+        const [account] = await tx.update(accounts)
+            .set({ currentTribe: tribe.name })
+            .where(eq(accounts.accountId, accountId))
+            .returning({ username: accounts.username });
+        this.invalidateCache(account?.username);
+    }
+
+    // a leader leaving hands the tribe to the longest-standing officer, or else member;
+    // the last member leaving deletes it
+    async removeTribeMember(tribeId, accountId) {
+        if (!this.isDatabaseAvailable()) {
+            return { success: false, error: 'Database not connected' };
+        }
+
+        try {
+            return await this.transaction(async (tx) => {
+                const [removed] = await tx.delete(tribeMembers)
+                    .where(and(eq(tribeMembers.tribeId, tribeId), eq(tribeMembers.accountId, accountId)))
+                    .returning({ role: tribeMembers.role });
+                if (!removed) {
+                    return { success: false, error: 'Not in that tribe' };
+                }
+
+                const [account] = await tx.update(accounts)
+                    .set({ currentTribe: null })
+                    .where(eq(accounts.accountId, accountId))
+                    .returning({ username: accounts.username });
+                this.invalidateCache(account?.username);
+
+                if (removed.role !== 'leader') {
+                    return { success: true, leader: null, disbanded: false };
+                }
+
+                const [next] = await tx.select({ accountId: tribeMembers.accountId })
+                    .from(tribeMembers)
+                    .where(eq(tribeMembers.tribeId, tribeId))
+                    .orderBy(sql`${tribeMembers.role} = 'officer' desc`, asc(tribeMembers.joinedAt))
+                    .limit(1);
+                if (!next) {
+                    await tx.delete(tribes).where(eq(tribes.id, tribeId));
+                    return { success: true, leader: null, disbanded: true };
+                }
+
+                await tx.update(tribeMembers)
+                    .set({ role: 'leader' })
+                    .where(eq(tribeMembers.accountId, next.accountId));
+                return { success: true, leader: next.accountId, disbanded: false };
+            });
+        } catch (error) {
+            console.error('[Account] Error removing tribe member:', error);
+            return { success: false, error: 'Failed to update tribe' };
+        }
+    }
+
+    async setTribeRole(tribeId, accountId, role) {
+        if (!this.isDatabaseAvailable()) return false;
+        try {
+            await db.update(tribeMembers)
+                .set({ role })
+                .where(and(eq(tribeMembers.tribeId, tribeId), eq(tribeMembers.accountId, accountId)));
+            return true;
+        } catch (error) {
+            console.error('[Account] Error setting tribe role:', error);
+            return false;
+        }
+    }
+
+    // the leader becomes an officer under the new one
+    async transferTribe(tribeId, fromAccountId, toAccountId) {
+        if (!this.isDatabaseAvailable()) return false;
+        try {
+            await this.transaction(async (tx) => {
+                const promoted = await tx.update(tribeMembers)
+                    .set({ role: 'leader' })
+                    .where(and(eq(tribeMembers.tribeId, tribeId), eq(tribeMembers.accountId, toAccountId)))
+                    .returning({ id: tribeMembers.id });
+                if (promoted.length === 0) {
+                    tx.rollback();
+                }
+                await tx.update(tribeMembers)
+                    .set({ role: 'officer' })
+                    .where(and(eq(tribeMembers.tribeId, tribeId), eq(tribeMembers.accountId, fromAccountId)));
+            });
+            return true;
+        } catch (error) {
+            if (error instanceof TransactionRollbackError) return false;
+            console.error('[Account] Error transferring tribe:', error);
+            return false;
+        }
+    }
+
+    async deleteTribe(tribeId) {
+        if (!this.isDatabaseAvailable()) return false;
+        try {
+            await this.transaction(async (tx) => {
+                const members = tx.select({ accountId: tribeMembers.accountId })
+                    .from(tribeMembers)
+                    .where(eq(tribeMembers.tribeId, tribeId));
+                const updated = await tx.update(accounts)
+                    .set({ currentTribe: null })
+                    .where(inArray(accounts.accountId, members))
+                    .returning({ username: accounts.username });
+                await tx.delete(tribes).where(eq(tribes.id, tribeId));
+                for (const account of updated) {
+                    this.invalidateCache(account.username);
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('[Account] Error deleting tribe:', error);
+            return false;
+        }
+    }
+
+    // a tribe's members, longest standing first, and their account stats summed up
+    async getTribeProfile(name) {
+        if (!this.isDatabaseAvailable()) return null;
+        try {
+            const tribe = await this.getTribe(name);
+            if (!tribe) return null;
+
+            const members = await db.select({
+                displayName: accounts.displayName,
+                role: tribeMembers.role,
+                joinedAt: tribeMembers.joinedAt,
+                kills: accounts.kills,
+                deaths: accounts.deaths,
+                score: accounts.score,
+                highestScore: accounts.highestScore,
+                playTime: accounts.playTime
+            })
+                .from(tribeMembers)
+                .innerJoin(accounts, eq(tribeMembers.accountId, accounts.accountId))
+                .where(eq(tribeMembers.tribeId, tribe.id))
+                .orderBy(asc(tribeMembers.joinedAt));
+
+            const stats = { members: members.length, kills: 0, deaths: 0, score: 0, highestScore: 0, playTime: 0 };
+            for (const member of members) {
+                stats.kills += member.kills;
+                stats.deaths += member.deaths;
+                stats.score += member.score;
+                stats.highestScore = Math.max(stats.highestScore, member.highestScore);
+                stats.playTime += member.playTime;
+            }
+
+            return { name: tribe.name, createdAt: tribe.createdAt, members, stats };
+        } catch (error) {
+            console.error('[Account] Error getting tribe profile:', error);
+            return null;
+        }
+    }
+
+    // all-time standings of saved tribes from the totals recordMatch keeps on each tribe
+    async getTribeStandings({ sort = 'score', limit = 20 } = {}) {
+        if (!this.isDatabaseAvailable()) return [];
+        const stats = {
+            score: tribes.score,
+            kills: tribes.kills,
+            structuresBuilt: tribes.structuresBuilt,
+            matches: tribes.matches,
+            members: sql`count(${tribeMembers.id})`.mapWith(Number)
+        };
+        const order = stats[sort] ?? stats.score;
+        try {
+            return await db.select({ name: tribes.name, createdAt: tribes.createdAt, ...stats })
+                .from(tribes)
+                .leftJoin(tribeMembers, eq(tribeMembers.tribeId, tribes.id))
+                .groupBy(tribes.id)
+                .orderBy(desc(order), asc(tribes.createdAt))
+                .limit(Math.min(Math.max(limit, 1), 50));
+        } catch (error) {
+            console.error('[Account] Error getting tribe standings:', error);
+            return [];
+        }
+    }
+
+    async getCosmetics(accountId) {
+        if (!accountId || !this.isDatabaseAvailable()) return [];
+        try {
+            return await db.select({ kind: ownedCosmetics.kind, itemId: ownedCosmetics.itemId })
+                .from(ownedCosmetics)
+                .where(eq(ownedCosmetics.accountId, accountId));
+        } catch (error) {
+            console.error('[Account] Error getting cosmetics:', error);
+            return [];
+        }
+    }
+
+    transaction(run) {
+        return db.transaction(run);
+    }
+
+    // what a cosmetic costs in balance; store prices are in-game gold, which comes far quicker
+    cosmeticPrice(item) {
+        if (item.balancePrice !== undefined) return item.balancePrice;
+        return item.price > 0 ? Math.max(1, Math.round(item.price / this.config.cosmeticBalanceRate)) : 0;
+    }
+
+    // records a hat (kind 0) or accessory (kind 1) as owned, taking `cost` from the balance in the same transaction
+    async grantCosmetic(accountId, kind, itemId, cost = 0) {
+        if (!this.isDatabaseAvailable()) {
+            return { success: false, error: 'Database not connected' };
+        }
+
+        try {
+            return await this.transaction(async (tx) => {
+                const [owned] = await tx.insert(ownedCosmetics)
+                    .values({ accountId, kind, itemId, pricePaid: cost })
+                    .onConflictDoNothing()
+                    .returning();
+                // already owned, nothing to charge
+                if (!owned) {
+                    return { success: true };
+                }
+
+                if (cost <= 0) {
+                    return { success: true };
+                }
+
+                return this.recordBalanceChange(tx, accountId, -cost, 'cosmetic', `${kind ? 'accessory' : 'hat'} ${itemId}`);
+            });
+        } catch (error) {
+            if (error instanceof TransactionRollbackError) {
+                return { success: false, error: 'Not enough balance' };
+            }
+            console.error('[Account] Error granting cosmetic:', error);
+            return { success: false, error: 'Failed to save purchase' };
+        }
+    }
+
+    // adds `amount` to the balance (negative to spend) and writes it to the ledger; spending more than the balance fails
+    async changeBalance(accountId, amount, reason, details = null) {
+        if (!this.isDatabaseAvailable()) {
+            return { success: false, error: 'Database not connected' };
+        }
+        if (!Number.isInteger(amount) || amount === 0) {
+            return { success: false, error: 'Amount must be a whole number other than 0' };
+        }
+
+        try {
+            return await this.transaction(tx => this.recordBalanceChange(tx, accountId, amount, reason, details));
+        } catch (error) {
+            if (error instanceof TransactionRollbackError) {
+                return { success: false, error: 'Not enough balance' };
+            }
+            console.error('[Account] Error changing balance:', error);
+            return { success: false, error: 'Failed to update balance' };
+        }
+    }
+
+    // the balance update and its ledger row, inside a caller's transaction
+    async recordBalanceChange(tx, accountId, amount, reason, details = null) {
+        const [account] = await tx.update(accounts)
+            .set({ balance: sql`${accounts.balance} + ${amount}` })
+            .where(and(eq(accounts.accountId, accountId), gte(accounts.balance, -amount)))
+            .returning({ username: accounts.username, balance: accounts.balance });
+        if (!account) {
+            tx.rollback();
+        }
+
+        await tx.insert(balanceTransactions).values({
+            accountId,
+            amount,
+            balanceAfter: account.balance,
+            reason,
+            details
+        });
+
+        this.invalidateCache(account.username);
+        return { success: true, balance: account.balance };
+    }
+
+    async getTransactions(accountId, limit = 10) {
+        if (!accountId || !this.isDatabaseAvailable()) return [];
+        try {
+            return await db.select({
+                amount: balanceTransactions.amount,
+                balanceAfter: balanceTransactions.balanceAfter,
+                reason: balanceTransactions.reason,
+                details: balanceTransactions.details,
+                createdAt: balanceTransactions.createdAt
+            })
+                .from(balanceTransactions)
+                .where(eq(balanceTransactions.accountId, accountId))
+                .orderBy(desc(balanceTransactions.id))
+                .limit(limit);
+        } catch (error) {
+            console.error('[Account] Error getting transactions:', error);
+            return [];
+        }
+    }
+
+    // what the account panel shows, sent to the client in "BALANCE"
+    async getBalanceSummary(accountId) {
+        const account = await this.getAccountById(accountId);
+        return {
+            balance: account ? account.balance : 0,
+            nameColor: account ? account.nameColor : null,
+            transactions: await this.getTransactions(accountId, this.config.balanceHistoryLength)
+        };
+    }
+
+    async buyNameColor(accountId, color, price) {
+        if (!this.isDatabaseAvailable()) {
+            return { success: false, error: 'Database not connected' };
+        }
+
+        try {
+            return await this.transaction(async (tx) => {
+                let result = { success: true };
+                if (price > 0) {
+                    result = await this.recordBalanceChange(tx, accountId, -price, 'name_color', color);
+                }
+                const [account] = await tx.update(accounts)
+                    .set({ nameColor: color })
+                    .where(eq(accounts.accountId, accountId))
+                    .returning({ username: accounts.username });
+                this.invalidateCache(account?.username);
+                return result;
+            });
+        } catch (error) {
+            if (error instanceof TransactionRollbackError) {
+                return { success: false, error: 'Not enough balance' };
+            }
+            console.error('[Account] Error buying name color:', error);
+            return { success: false, error: 'Failed to save name color' };
+        }
+    }
+
+    async recordMatch(accountId, match) {
+        if (!this.isDatabaseAvailable()) return false;
+        try {
+            await this.transaction(async (tx) => {
+                await tx.insert(matches).values({ accountId, ...match });
+                // the match counts toward the tribe the player is in when it ends
+                const membership = tx.select({ tribeId: tribeMembers.tribeId })
+                    .from(tribeMembers)
+                    .where(eq(tribeMembers.accountId, accountId));
+                await tx.update(tribes)
+                    .set({
+                        score: sql`${tribes.score} + ${match.score}`,
+                        kills: sql`${tribes.kills} + ${match.kills}`,
+                        structuresBuilt: sql`${tribes.structuresBuilt} + ${match.structuresBuilt}`,
+                        matches: sql`${tribes.matches} + 1`
+                    })
+                    .where(inArray(tribes.id, membership));
+            });
+            return true;
+        } catch (error) {
+            console.error('[Account] Error recording match:', error);
+            return false;
+        }
+    }
+
+    // "recent" lists the latest matches first, "best" the highest scores
+    async getMatches(accountId, { sort = 'recent', limit = 20 } = {}) {
+        if (!accountId || !this.isDatabaseAvailable()) return [];
+        const order = sort === 'best'
+            ? [desc(matches.score), desc(matches.endedAt)]
+            : [desc(matches.endedAt)];
+        try {
+            return await db.select()
+                .from(matches)
+                .where(eq(matches.accountId, accountId))
+                .orderBy(...order)
+                .limit(Math.min(Math.max(limit, 1), 50));
+        } catch (error) {
+            console.error('[Account] Error getting matches:', error);
+            return [];
+        }
+    }
+
+    // balance earned over one session: kills, time played, a new highest score and the quests reached
+    sessionRewards(session, playTime, newHighScore) {
+        const config = this.config;
+        const playSteps = config.balancePlayStep > 0 ? Math.floor(playTime / config.balancePlayStep) : 0;
+        const progress = { kills: session.kills || 0, score: session.score || 0, playTime };
+        const quests = (config.quests || []).filter(quest => progress[quest.stat] >= quest.goal);
+        return [
+            ['kills', (session.kills || 0) * (config.balancePerKill || 0), `${session.kills || 0} kills`],
+            ['playtime', playSteps * (config.balancePerPlayStep || 0), this.formatPlayTime(playTime)],
+            ['highscore', newHighScore ? config.balanceForHighScore || 0 : 0, `score ${session.score}`],
+            ...quests.map(quest => ['quest', quest.reward || 0, quest.name])
+        ].filter(([, amount]) => amount > 0);
+    }
+
     trackClientSession(playerId, username, joinedAt) {
         this.clientSessions.set(playerId, {
             username,
@@ -588,6 +1069,9 @@ export class AccountManager {
     async saveClientPlayTime(playerId) {
         const session = this.clientSessions.get(playerId);
         if (session && session.loggedIn && session.username && session.joinedAt) {
+            // gone before the awaits so a second save of the same session pays nothing
+            this.clientSessions.delete(playerId);
+
             const playTime = Date.now() - session.joinedAt;
             await this.updateAccountStats(session.username, { 
                 playTime,
@@ -595,11 +1079,17 @@ export class AccountManager {
                 deaths: session.deaths || 0
             });
             
+            let newHighScore = false;
             if (session.score > 0) {
-                await this.updateHighestScore(session.username, session.score);
+                newHighScore = await this.updateHighestScore(session.username, session.score);
+            }
+
+            const account = await this.getAccount(session.username);
+            if (account) {
+                for (const [reason, amount, details] of this.sessionRewards(session, playTime, newHighScore)) {
+                    await this.changeBalance(account.accountId, amount, reason, details);
+                }
             }
-            
-            this.clientSessions.delete(playerId);
         }
     }
     
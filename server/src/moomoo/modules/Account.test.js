@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { TransactionRollbackError } from "drizzle-orm";
+import { AccountManager } from "./Account.js";
+import { matches, tribes } from "../../../../shared/schema.js";
+
+test("a saved session pays for kills, whole play steps and a new best score", () => {
+    const accounts = new AccountManager({
+        balancePerKill: 2,
+        balancePerPlayStep: 5,
+        balancePlayStep: 60 * 1000,
+        balanceForHighScore: 25
+    });
+    const session = { kills: 3, score: 4000 };
+
+    assert.deepEqual(accounts.sessionRewards(session, 150 * 1000, true), [
+        ["kills", 6, "3 kills"],
+        ["playtime", 10, "2m 30s"],
+        ["highscore", 25, "score 4000"]
+    ]);
+    assert.deepEqual(accounts.sessionRewards({ kills: 0, score: 10 }, 59 * 1000, false), []);
+});
+
+test("every quest reached in a session is paid under its own name", () => {
+    const accounts = new AccountManager({
+        quests: [
+            { name: "Hunter", stat: "kills", goal: 5, reward: 20 },
+            { name: "Tycoon", stat: "score", goal: 1000, reward: 15 },
+            { name: "Settler", stat: "playTime", goal: 60 * 1000, reward: 10 }
+        ]
+    });
+
+    assert.deepEqual(accounts.sessionRewards({ kills: 5, score: 999 }, 60 * 1000, false), [
+        ["quest", 20, "Hunter"],
+        ["quest", 10, "Settler"]
+    ]);
+    assert.deepEqual(accounts.sessionRewards({ kills: 4, score: 0 }, 0, false), []);
+});
+
+// owned_cosmetics and one account's balance, with AccountManager#transaction run against them
+function fakeShop(balance) {
+    const accounts = new AccountManager({ cosmeticBalanceRate: 200 });
+    const shop = { owned: new Set(), balance, charges: [] };
+    accounts.isDatabaseAvailable = () => true;
+    accounts.transaction = async (run) => {
+        const added = [];
+        const tx = {
+            insert: () => ({
+                values: ({ kind, itemId }) => ({
+                    onConflictDoNothing: () => ({
+                        returning: async () => {
+                            const key = `${kind}:${itemId}`;
+                            if (shop.owned.has(key)) return [];
+                            added.push(key);
+                            return [{ kind, itemId }];
+                        }
+                    })
+                })
+            }),
+            rollback() {
+                throw new TransactionRollbackError();
+            }
+        };
+        const result = await run(tx);
+        added.forEach(key => shop.owned.add(key));
+        return result;
+    };
+    accounts.recordBalanceChange = async (tx, accountId, amount) => {
+        if (shop.balance + amount < 0) tx.rollback();
+        shop.balance += amount;
+        shop.charges.push(amount);
+        return { success: true, balance: shop.balance };
+    };
+    return { accounts, shop };
+}
+
+test("cosmetics are priced in balance and bought at most once", async () => {
+    const { accounts, shop } = fakeShop(120);
+    assert.equal(accounts.cosmeticPrice({ price: 20000 }), 100);
+    assert.equal(accounts.cosmeticPrice({ price: 50 }), 1);
+    assert.equal(accounts.cosmeticPrice({ price: 0 }), 0);
+    assert.equal(accounts.cosmeticPrice({ price: 20000, balancePrice: 40 }), 40);
+
+    assert.equal((await accounts.grantCosmetic("acc-1", 0, 7, 100)).success, true);
+    // an item already owned is not charged again
+    assert.equal((await accounts.grantCosmetic("acc-1", 0, 7, 100)).success, true);
+    assert.deepEqual(shop.charges, [-100]);
+    assert.equal(shop.balance, 20);
+});
+
+test("nothing is granted when the balance is too low", async () => {
+    const { accounts, shop } = fakeShop(10);
+    const result = await accounts.grantCosmetic("acc-1", 1, 3, 25);
+    assert.deepEqual(result, { success: false, error: "Not enough balance" });
+    assert.equal(shop.owned.size, 0);
+    assert.equal(shop.balance, 10);
+});
+
+test("a finished match is credited to the player's current tribe", async () => {
+    const accounts = new AccountManager({});
+    const writes = [];
+    const query = { from: () => query, where: () => query };
+    accounts.isDatabaseAvailable = () => true;
+    accounts.transaction = async (run) => run({
+        insert: (table) => ({ values: async (row) => writes.push({ table, row }) }),
+        select: () => query,
+        update: (table) => ({ set: (row) => ({ where: async () => writes.push({ table, row }) }) })
+    });
+
+    const match = { score: 500, kills: 3, structuresBuilt: 12 };
+    assert.equal(await accounts.recordMatch("acc-1", match), true);
+    assert.equal(writes[0].table, matches);
+    assert.deepEqual(writes[0].row, { accountId: "acc-1", ...match });
+    assert.equal(writes[1].table, tribes);
+    assert.deepEqual(Object.keys(writes[1].row).sort(), ["kills", "matches", "score", "structuresBuilt"]);
+});
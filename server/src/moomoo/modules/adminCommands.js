@@ -1,6 +1,7 @@
 import { items } from './items.js';
 import { hats, accessories } from './store.js';
 import { AdminLevel } from '../../../../shared/schema.js';
+import { listReplays } from '../replays.js';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
@@ -37,6 +38,9 @@ const COMMAND_PERMISSIONS = {
     'randomteleport': AdminLevel.Moderator,
     'visible': AdminLevel.Moderator,
     'invisible': AdminLevel.Moderator,
+    'tickstats': AdminLevel.Moderator,
+    'replays': AdminLevel.Moderator,
+    'replay': AdminLevel.Moderator,
     
     'ban': AdminLevel.Staff,
     'pardon': AdminLevel.Staff,
@@ -73,12 +77,14 @@ const COMMAND_PERMISSIONS = {
     'remove': AdminLevel.Admin,
     'set': AdminLevel.Admin,
     'setrank': AdminLevel.Admin,
+    'balance': AdminLevel.Admin,
     'spawn': AdminLevel.Admin,
     'mine': AdminLevel.Admin,
     'crash': AdminLevel.Admin,
     'enable': AdminLevel.Admin,
     'disable': AdminLevel.Admin,
     'broadcast': AdminLevel.Admin,
+    'weather': AdminLevel.Admin,
     'smite': AdminLevel.Admin,
     'mobmode': AdminLevel.Admin,
     'clearbuilds': AdminLevel.Admin,
@@ -110,11 +116,14 @@ const PROMOTE_MAX_LEVEL = {
 };
 
 export class AdminCommands {
-    constructor(game, accountManager = null) {
-        this.game = game;
+    constructor(rooms, accountManager = null, replays = null) {
+        this.rooms = rooms;
         this.accountManager = accountManager;
+        this.replays = replays;
         this.bannedIPs = new Map();
         this.bansFilePath = path.resolve(__dirname, '../../../data/bans.json');
+        // the server's shutdown sequence, handed over by index.js
+        this.shutdown = null;
         this.loadBans();
     }
 
@@ -232,6 +241,12 @@ export class AdminCommands {
         target.isInvincible = wasInvincible;
     }
 
+    // commands act on the room the issuing player is in; handlers look it up per call
+    // and keep it in a local, as another room's command may run while they wait
+    roomOf(player) {
+        return player.game ?? this.rooms.defaultRoom;
+    }
+
     parseCommand(message, player) {
         if (!message.startsWith('/')) return null;
         
@@ -321,6 +336,12 @@ export class AdminCommands {
                 return this.handleFreeze(params, player);
             case 'unfreeze':
                 return this.handleUnfreeze(params, player);
+            case 'tickstats':
+                return this.handleTickStats(params, player);
+            case 'replays':
+                return this.handleReplays(params, player);
+            case 'replay':
+                return this.handleReplay(params, player);
             case 'lowdmg':
                 return this.handleLowDamage(params, player);
             case 'strongbonk':
@@ -390,10 +411,14 @@ export class AdminCommands {
                 return this.handleDisable(params, player);
             case 'broadcast':
                 return this.handleBroadcast(params, player);
+            case 'weather':
+                return this.handleWeather(params, player);
             case 'promote':
                 return this.handlePromote(params, player);
             case 'setrank':
                 return this.handleSetRank(params, player);
+            case 'balance':
+                return this.handleBalance(params, player);
             case 'restart':
                 return this.handleRestart(params, player);
             case 'weaponrange':
@@ -438,6 +463,7 @@ export class AdminCommands {
     }
 
     handleLogin(params, player) {
+        const game = this.roomOf(player);
         if (!player.account) {
             return { success: false, message: 'You must be logged into an account to use admin commands' };
         }
@@ -453,7 +479,7 @@ export class AdminCommands {
         
         const rankName = ADMIN_LEVEL_NAMES[accountLevel] || 'Unknown';
         
-        const allPlayers = this.game.players
+        const allPlayers = game.players
             .filter(p => p.alive)
             .map(p => ({
                 sid: p.sid,
@@ -464,7 +490,7 @@ export class AdminCommands {
                 maxHealth: Math.round(p.maxHealth)
             }));
         
-        this.game.server.send(player.id, 'ADMIN_LOGIN', allPlayers);
+        game.server.send(player.id, 'ADMIN_LOGIN', allPlayers);
         
         return {
             success: true,
@@ -473,14 +499,15 @@ export class AdminCommands {
     }
 
     handleShowIDs(params, player) {
+        const game = this.roomOf(player);
         const mode = params[0] ? params[0].toLowerCase() : 'normal';
         
         if (mode === 'disable') {
-            this.game.server.send(player.id, 'SHOW_IDS', { action: 'disable' });
+            game.server.send(player.id, 'SHOW_IDS', { action: 'disable' });
             return { success: true, message: 'Player IDs display disabled' };
         }
         
-        const allPlayers = this.game.players
+        const allPlayers = game.players
             .filter(p => p.alive && p !== player)
             .map(p => ({
                 sid: p.sid,
@@ -497,32 +524,112 @@ export class AdminCommands {
             players: allPlayers
         };
         
-        this.game.server.send(player.id, 'SHOW_IDS', payload);
+        game.server.send(player.id, 'SHOW_IDS', payload);
         
         const displayMode = isToggle ? 'permanently' : 'for 10 seconds';
         return { success: true, message: `Displaying ${allPlayers.length} other player(s) ${displayMode}` };
     }
 
-    getTargetPlayer(targetId, excludePlayer = null) {
+    handleTickStats(params, player) {
+        const game = this.roomOf(player);
+        const rates = `${game.config.simulationRate} Hz sim / ${game.config.serverUpdateRate} Hz net`;
+
+        return { success: true, message: `[${game.id}] ${rates}, ${game.tickStats.format()}` };
+    }
+
+    // finished replay segments of the current room, newest first
+    getRoomReplays(game) {
+        const recording = game.replay ? path.basename(game.replay.file) : null;
+        return listReplays(this.replays.directory, game.id).filter(replay => replay.name !== recording);
+    }
+
+    handleReplays(params, player) {
+        const game = this.roomOf(player);
+        if (!this.replays || !game.replay) {
+            return { success: false, message: 'This room is not being recorded' };
+        }
+
+        const recent = this.getRoomReplays(game).slice(0, 5);
+        if (recent.length === 0) {
+            return { success: true, message: 'No finished replays yet, use /replay to cut the current one' };
+        }
+
+        const list = recent.map((replay, i) => `${i + 1}. ${new Date(replay.modifiedAt).toISOString().slice(0, 16).replace('T', ' ')} (${Math.ceil(replay.size / 1024)} KiB)`);
+        return { success: true, message: `Replays: ${list.join(', ')}` };
+    }
+
+    handleReplay(params, player) {
+        const game = this.roomOf(player);
+        if (!this.replays || !game.replay) {
+            return { success: false, message: 'This room is not being recorded' };
+        }
+
+        let name;
+        if (params.length === 0) {
+            // cut the running segment so the last few minutes can be watched right away
+            name = game.replay.rotate();
+        } else {
+            const index = parseInt(params[0]);
+            const replay = this.getRoomReplays(game)[index - 1];
+            if (!replay) {
+                return { success: false, message: 'Usage: /replay [number from /replays]' };
+            }
+            name = replay.name;
+        }
+
+        const token = this.replays.issueToken(name);
+        const url = `/play?replay=${encodeURIComponent(name)}&token=${token}`;
+        game.server.send(player.id, 'REPLAY_LINK', { name, url });
+
+        return { success: true, message: `Replay link: ${url}` };
+    }
+
+    handleWeather(params, player) {
+        const game = this.roomOf(player);
+        const weather = game.weather_manager;
+        const names = Object.keys(game.config.weatherEvents);
+        const usage = `Usage: /weather <${[...names, 'clear'].join('|')}> [seconds]`;
+
+        if (params.length === 0) {
+            return { success: true, message: weather.current ? `Weather: ${weather.current} for ${Math.ceil(weather.timer / 1000)}s` : 'The sky is clear' };
+        }
+
+        const type = params[0].toLowerCase();
+        if (type === 'clear') {
+            weather.clear();
+            return { success: true, message: 'Weather cleared' };
+        }
+
+        const seconds = params[1] === undefined ? undefined : Number(params[1]);
+        if (!names.includes(type) || (seconds !== undefined && !(seconds > 0))) {
+            return { success: false, message: usage };
+        }
+
+        weather.start(type, seconds && seconds * 1000);
+        return { success: true, message: `Started ${type} in ${game.id}` };
+    }
+
+    getTargetPlayer(game, targetId, excludePlayer = null) {
         if (targetId === 'all' || targetId === 'every') {
-            return this.game.players.filter(p => p.alive);
+            return game.players.filter(p => p.alive);
         }
         
         if (targetId === 'others') {
-            return this.game.players.filter(p => p.alive && p !== excludePlayer);
+            return game.players.filter(p => p.alive && p !== excludePlayer);
         }
         
         const id = parseInt(targetId);
-        const target = this.game.players.find(p => p.sid === id && p.alive);
+        const target = game.players.find(p => p.sid === id && p.alive);
         return target ? [target] : [];
     }
 
     handleGive(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 3) {
             return { success: false, message: 'Usage: /give [player ID|all] [resource] [amount]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const resource = params[1].toLowerCase();
         const amount = parseInt(params[2]);
         
@@ -551,11 +658,12 @@ export class AdminCommands {
     }
 
     handleRemove(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 3) {
             return { success: false, message: 'Usage: /remove [player ID] [resource] [amount]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const resource = params[1].toLowerCase();
         const amount = parseInt(params[2]);
         
@@ -578,6 +686,7 @@ export class AdminCommands {
     }
 
     handleSet(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /set [attribute] [value] [player ID] or /set [player ID] [attribute] [value]' };
         }
@@ -596,7 +705,7 @@ export class AdminCommands {
                 attributeIndex = 0;
                 valueIndex = 1;
                 playerIdIndex = params.length - 1;
-                targets = this.getTargetPlayer(params[playerIdIndex]);
+                targets = this.getTargetPlayer(game, params[playerIdIndex]);
             }
         }
         
@@ -605,7 +714,7 @@ export class AdminCommands {
             const firstAsId = parseInt(params[0]);
             if (Number.isFinite(firstAsId) && params.length >= 3) {
                 // Format: /set [player ID] [attribute] [value]
-                targets = this.getTargetPlayer(params[0]);
+                targets = this.getTargetPlayer(game, params[0]);
                 attributeIndex = 1;
                 valueIndex = 2;
             } else {
@@ -681,11 +790,12 @@ export class AdminCommands {
     }
 
     handleSetWeaponSpeed(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /setweaponspeed [player ID] [speed]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const speed = parseFloat(params[1]);
         
         if (targets.length === 0) {
@@ -700,6 +810,7 @@ export class AdminCommands {
     }
 
     handleWeaponVariant(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /weaponvariant [2-5|remove] [optional: all|player_id|others] (default: self)' };
         }
@@ -710,7 +821,7 @@ export class AdminCommands {
             if (params.length < 2) {
                 targets = [player];
             } else {
-                targets = this.getTargetPlayer(params[1], player);
+                targets = this.getTargetPlayer(game, params[1], player);
             }
             
             if (targets.length === 0) {
@@ -722,9 +833,9 @@ export class AdminCommands {
                 target.weaponVariant = variant;
                 target.weaponXP[target.weaponIndex] = 0;
                 // Send to all players who can see this player
-                for (let i = 0; i < this.game.players.length; ++i) {
-                    if (this.game.players[i].sentTo[target.id]) {
-                        this.game.players[i].send('W', target.sid, variant);
+                for (let i = 0; i < game.players.length; ++i) {
+                    if (game.players[i].sentTo[target.id]) {
+                        game.players[i].send('W', target.sid, variant);
                     }
                 }
             });
@@ -747,7 +858,7 @@ export class AdminCommands {
         if (params.length < 2) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[1], player);
+            targets = this.getTargetPlayer(game, params[1], player);
         }
         
         if (targets.length === 0) {
@@ -758,9 +869,9 @@ export class AdminCommands {
             target.weaponVariant = variant;
             target.weaponXP[target.weaponIndex] = [0, 3000, 7000, 12000, 24000][variant];
             // Send to all players who can see this player
-            for (let i = 0; i < this.game.players.length; ++i) {
-                if (this.game.players[i].sentTo[target.id]) {
-                    this.game.players[i].send('W', target.sid, variant);
+            for (let i = 0; i < game.players.length; ++i) {
+                if (game.players[i].sentTo[target.id]) {
+                    game.players[i].send('W', target.sid, variant);
                 }
             }
         });
@@ -770,11 +881,12 @@ export class AdminCommands {
     }
 
     handleKill(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /kill [player ID|all|others] (default: all)' };
         }
         
-        let targets = this.getTargetPlayer(params[0], player);
+        let targets = this.getTargetPlayer(game, params[0], player);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -788,11 +900,12 @@ export class AdminCommands {
     }
 
     handleSmite(params, player) {
+        const game = this.roomOf(player);
         let targets;
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
         
         if (targets.length === 0) {
@@ -801,7 +914,7 @@ export class AdminCommands {
         
         targets.forEach(target => {
             if (target.alive) {
-                this.game.server.broadcast('SMITE', target.sid, Math.round(target.x), Math.round(target.y));
+                game.server.broadcast('SMITE', target.sid, Math.round(target.x), Math.round(target.y));
                 
                 const wasInvincible = target.isInvincible;
                 target.isInvincible = false;
@@ -816,11 +929,12 @@ export class AdminCommands {
     }
 
     handleKick(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /kick [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -842,11 +956,12 @@ export class AdminCommands {
     }
 
     handleBan(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /ban [player ID] [seconds (default: 604800)]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const duration = params[1] ? parseInt(params[1]) : 604800;
         
         if (targets.length === 0) {
@@ -874,6 +989,7 @@ export class AdminCommands {
     }
 
     handlePardon(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /pardon [player ID|all]' };
         }
@@ -889,7 +1005,7 @@ export class AdminCommands {
         }
         
         // Handle specific player ID
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         let unbanCount = 0;
         
         targets.forEach(target => {
@@ -909,18 +1025,19 @@ export class AdminCommands {
     }
 
     handleFreeze(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /freeze [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
         }
         
         targets.forEach(target => {
-            target.isFrozen = true;
+            target.effects.apply("frozen");
             target.moveDir = undefined;
         });
         
@@ -928,24 +1045,26 @@ export class AdminCommands {
     }
 
     handleUnfreeze(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /unfreeze [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
         }
         
         targets.forEach(target => {
-            target.isFrozen = false;
+            target.effects.remove("frozen");
         });
         
         return { success: true, message: `Unfroze ${targets.length} player(s)` };
     }
 
     handleLowDamage(params, player) {
+        const game = this.roomOf(player);
         let duration = 30;
         let targetParam = null;
 
@@ -968,7 +1087,7 @@ export class AdminCommands {
         if (!targetParam) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(targetParam, player);
+            targets = this.getTargetPlayer(game, targetParam, player);
         }
 
         if (targets.length === 0) {
@@ -1019,11 +1138,12 @@ export class AdminCommands {
     }
 
     handleRandomTeleport(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /randomteleport [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1038,11 +1158,12 @@ export class AdminCommands {
     }
 
     handleTeleportTo(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /teleportto [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1056,11 +1177,12 @@ export class AdminCommands {
     }
 
     handleBring(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /bring [player ID|all|every]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1080,13 +1202,21 @@ export class AdminCommands {
         }
         
         const multiplier = parseFloat(params[0]);
-        player.speedMultiplier = multiplier;
+        if (!(multiplier > 0)) {
+            return { success: false, message: 'Usage: /speed [multiplier]' };
+        }
+        if (multiplier === 1) {
+            player.effects.remove("speed");
+        } else {
+            player.effects.apply("speed", { value: multiplier, source: player });
+        }
         
         return { success: true, message: `Set your speed to ${multiplier}x` };
     }
 
     handleAllInventory(params, player) {
-        const targets = params.length > 1 ? this.getTargetPlayer(params[1]) : [player];
+        const game = this.roomOf(player);
+        const targets = params.length > 1 ? this.getTargetPlayer(game, params[1]) : [player];
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1118,7 +1248,8 @@ export class AdminCommands {
     }
 
     handleAllHats(params, player) {
-        const targets = params.length > 1 ? this.getTargetPlayer(params[1]) : [player];
+        const game = this.roomOf(player);
+        const targets = params.length > 1 ? this.getTargetPlayer(game, params[1]) : [player];
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1134,7 +1265,8 @@ export class AdminCommands {
     }
 
     handleAllAccessories(params, player) {
-        const targets = params.length > 1 ? this.getTargetPlayer(params[1]) : [player];
+        const game = this.roomOf(player);
+        const targets = params.length > 1 ? this.getTargetPlayer(game, params[1]) : [player];
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1150,11 +1282,12 @@ export class AdminCommands {
     }
 
     handleHat(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /hat [player ID] [hat ID|all]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const hatId = params[1].toLowerCase();
         
         if (targets.length === 0) {
@@ -1181,11 +1314,12 @@ export class AdminCommands {
     }
 
     handleAccessory(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /accessory [player ID] [accessory ID|all]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const accId = params[1].toLowerCase();
         
         if (targets.length === 0) {
@@ -1212,11 +1346,12 @@ export class AdminCommands {
     }
 
     handleHatEffect(command, params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: `Usage: /${command} [player ID]` };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1225,18 +1360,19 @@ export class AdminCommands {
         const effect = command.replace('hat', '');
         targets.forEach(target => {
             target.hatEffect = effect;
-            this.game.server.broadcast('HE', target.sid, effect);
+            game.server.broadcast('HE', target.sid, effect);
         });
         
         return { success: true, message: `Applied ${effect} effect to ${targets.length} player(s)` };
     }
 
     handleCowMode(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /cowmode [player ID] [seconds]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const duration = parseInt(params[1]) * 1000;
         
         if (targets.length === 0) {
@@ -1245,10 +1381,10 @@ export class AdminCommands {
         
         targets.forEach(target => {
             target.animalMode = 'cow';
-            this.game.server.broadcast('MM', target.sid, 'cow');
+            game.server.broadcast('MM', target.sid, 'cow');
             setTimeout(() => {
                 target.animalMode = null;
-                this.game.server.broadcast('MM', target.sid, null);
+                game.server.broadcast('MM', target.sid, null);
             }, duration);
         });
         
@@ -1256,11 +1392,12 @@ export class AdminCommands {
     }
 
     handleAnimalify(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 3) {
             return { success: false, message: 'Usage: /animalify [player ID] [animal] [seconds]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const animal = params[1].toLowerCase();
         const duration = parseInt(params[2]) * 1000;
         
@@ -1270,10 +1407,10 @@ export class AdminCommands {
         
         targets.forEach(target => {
             target.animalMode = animal;
-            this.game.server.broadcast('MM', target.sid, animal);
+            game.server.broadcast('MM', target.sid, animal);
             setTimeout(() => {
                 target.animalMode = null;
-                this.game.server.broadcast('MM', target.sid, null);
+                game.server.broadcast('MM', target.sid, null);
             }, duration);
         });
         
@@ -1281,13 +1418,14 @@ export class AdminCommands {
     }
 
     handleExplode(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
         
         // No player ID means explode yourself
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
             
             if (targets.length === 0) {
                 return { success: false, message: 'Player not found' };
@@ -1297,7 +1435,7 @@ export class AdminCommands {
         targets.forEach(target => {
             if (target.alive) {
                 // Broadcast explosion animation
-                this.game.server.broadcast('EX', target.sid, target.x, target.y);
+                game.server.broadcast('EX', target.sid, target.x, target.y);
                 
                 // Kill the player (bypass shield)
                 this.forceKill(target);
@@ -1308,11 +1446,12 @@ export class AdminCommands {
     }
 
     handleSize(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /size [player ID] [scale]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const scale = parseFloat(params[1]);
         
         if (targets.length === 0) {
@@ -1328,11 +1467,12 @@ export class AdminCommands {
     }
 
     handleBigHead(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /bighead [player ID] [size (0 to reset)]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const size = parseFloat(params[1]);
         
         if (targets.length === 0) {
@@ -1347,11 +1487,12 @@ export class AdminCommands {
     }
 
     handleRainbow(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /rainbow [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1365,11 +1506,12 @@ export class AdminCommands {
     }
 
     handleDarkMode(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /darkmode [player ID] [seconds]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const duration = parseInt(params[1]) * 1000;
         
         if (targets.length === 0) {
@@ -1387,11 +1529,12 @@ export class AdminCommands {
     }
 
     handleShake(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /shake [player ID] [intensity]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const intensity = parseFloat(params[1]);
         
         if (targets.length === 0) {
@@ -1406,11 +1549,12 @@ export class AdminCommands {
     }
 
     handleSpin(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /spin [player ID] [speed]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         const speed = parseFloat(params[1]);
         
         if (targets.length === 0) {
@@ -1425,11 +1569,12 @@ export class AdminCommands {
     }
 
     handleInvisible(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /invisible [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1443,11 +1588,12 @@ export class AdminCommands {
     }
 
     handleVisible(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /visible [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1461,7 +1607,8 @@ export class AdminCommands {
     }
 
     handleInvincible(params, player) {
-        const targets = params.length > 0 ? this.getTargetPlayer(params[0], player) : [player];
+        const game = this.roomOf(player);
+        const targets = params.length > 0 ? this.getTargetPlayer(game, params[0], player) : [player];
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1469,13 +1616,14 @@ export class AdminCommands {
         
         targets.forEach(target => {
             target.isInvincible = !target.isInvincible;
-            this.game.server.broadcast('IU', target.sid, target.isInvincible ? 1 : 0);
+            game.server.broadcast('IU', target.sid, target.isInvincible ? 1 : 0);
         });
         
         return { success: true, message: `Toggled invincibility for ${targets.length} player(s)` };
     }
 
     handleSpawn(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 2) {
             return { success: false, message: 'Usage: /spawn [animal type] [amount] [player id (optional)]' };
         }
@@ -1516,7 +1664,7 @@ export class AdminCommands {
         let targetName = 'you';
         
         if (playerId !== null) {
-            const targetPlayer = this.game.players.find(p => p.sid === playerId);
+            const targetPlayer = game.players.find(p => p.sid === playerId);
             if (!targetPlayer) {
                 return { success: false, message: 'Player not found' };
             }
@@ -1526,7 +1674,7 @@ export class AdminCommands {
         }
         
         for (let i = 0; i < amount; i++) {
-            this.game.ai_manager.spawn(spawnX, spawnY, 0, typeIndex);
+            game.ai_manager.spawn(spawnX, spawnY, 0, typeIndex);
         }
         
         return { success: true, message: `Spawned ${amount} ${type}(s) on ${targetName}` };
@@ -1534,13 +1682,14 @@ export class AdminCommands {
 
 
     handlePolice(params, player) {
+        const game = this.roomOf(player);
         // Bummle Hat = 8, Winter Cap = 15
         const policeHats = [8, 15];
         
         // Get target player - if player ID provided, use that, otherwise use self
         let targets = [];
         if (params.length > 0) {
-            targets = this.getTargetPlayer(params[0]);
+            targets = this.getTargetPlayer(game, params[0]);
         } else {
             targets = [player];
         }
@@ -1576,11 +1725,12 @@ export class AdminCommands {
     }
 
     handleCrash(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /crash [player ID]' };
         }
         
-        const targets = this.getTargetPlayer(params[0]);
+        const targets = this.getTargetPlayer(game, params[0]);
         
         if (targets.length === 0) {
             return { success: false, message: 'Player not found' };
@@ -1610,12 +1760,13 @@ export class AdminCommands {
     }
 
     handleBroadcast(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /broadcast [message]' };
         }
         
         const message = params.join(' ');
-        this.game.server.broadcast('BC', message);
+        game.server.broadcast('BC', message);
         
         return { success: true, message: 'Message broadcasted' };
     }
@@ -1679,7 +1830,7 @@ export class AdminCommands {
         
         console.log(`[Admin] ${callerName} promoted ${targetAccount.username} (ID: ${targetAccountId}): ${oldLevel} (${oldRankName}) -> ${newLevel} (${newRankName})`);
         
-        const targetPlayer = this.game.players.find(p => 
+        const targetPlayer = this.rooms.findPlayer(p => 
             p.account && p.account.accountId === targetAccountId
         );
         
@@ -1700,7 +1851,7 @@ export class AdminCommands {
             
             targetPlayer.send('6', -1, `Your rank has been changed to ${newRankName} (level ${newLevel}) by ${callerName}`);
             
-            for (const p of this.game.players) {
+            for (const p of targetPlayer.game.players) {
                 if (p.active && p.alive) {
                     p.send('D', targetPlayer.getData(), p.id === targetPlayer.id);
                 }
@@ -1714,6 +1865,53 @@ export class AdminCommands {
         };
     }
 
+    // /balance <username> shows the balance and latest ledger entries, /balance <username> <amount> [reason] adjusts it
+    async handleBalance(params, player) {
+        if (params.length < 1) {
+            return { success: false, message: 'Usage: /balance [username] [amount] [reason]' };
+        }
+
+        if (!this.accountManager) {
+            return { success: false, message: 'Account system not available' };
+        }
+
+        const targetUsername = params[0].toLowerCase();
+        const targetAccount = await this.accountManager.getAccount(targetUsername, false);
+        if (!targetAccount) {
+            return { success: false, message: `Account "${targetUsername}" not found` };
+        }
+
+        if (params.length < 2) {
+            const transactions = await this.accountManager.getTransactions(targetAccount.accountId, 5);
+            const history = transactions
+                .map(entry => `${entry.amount > 0 ? '+' : ''}${entry.amount} ${entry.reason}`)
+                .join(', ');
+            return { success: true, message: `${targetUsername} has ${targetAccount.balance}${history ? ` (latest: ${history})` : ''}` };
+        }
+
+        const amount = parseInt(params[1]);
+        const callerName = player.account?.username || player.name || 'Unknown';
+        const reason = params.slice(2).join(' ') || 'no reason given';
+        const result = await this.accountManager.changeBalance(targetAccount.accountId, amount, 'admin', `${callerName}: ${reason}`);
+
+        if (!result.success) {
+            return { success: false, message: `Could not change balance: ${result.error}` };
+        }
+
+        console.log(`[Admin] ${callerName} changed the balance of ${targetUsername} by ${amount} (${reason})`);
+
+        const targetPlayer = this.rooms.findPlayer(p => p.accountId === targetAccount.accountId);
+        if (targetPlayer) {
+            const summary = await this.accountManager.getBalanceSummary(targetAccount.accountId);
+            if (targetPlayer.account) {
+                targetPlayer.account.balance = summary.balance;
+            }
+            targetPlayer.send('BALANCE', { ...summary, error: null });
+        }
+
+        return { success: true, message: `${targetUsername} now has ${result.balance}` };
+    }
+
     async handleSetRank(params, player) {
         if (params.length < 2) {
             return { success: false, message: 'Usage: /setrank [username] [level 0-6]' };
@@ -1769,7 +1967,7 @@ export class AdminCommands {
         
         console.log(`[Admin] ${callerName} (${player.account?.username || 'N/A'}) set rank for ${targetUsername}: ${oldLevel} (${oldRankName}) -> ${newLevel} (${newRankName})`);
         
-        const targetPlayer = this.game.players.find(p => 
+        const targetPlayer = this.rooms.findPlayer(p => 
             p.account && p.account.username.toLowerCase() === targetUsername
         );
         
@@ -1790,7 +1988,7 @@ export class AdminCommands {
             
             targetPlayer.send('6', -1, `Your rank has been changed to ${newRankName} (level ${newLevel}) by ${callerName}`);
             
-            for (const p of this.game.players) {
+            for (const p of targetPlayer.game.players) {
                 if (p.active && p.alive) {
                     p.send('D', targetPlayer.getData(), p.id === targetPlayer.id);
                 }
@@ -1805,16 +2003,26 @@ export class AdminCommands {
     }
 
     handleRestart(params, player) {
-        this.game.server.broadcast('6', -1, 'Server restarting...');
-        // Exit with code 0 - Replit will auto-restart the workflow
-        setImmediate(() => {
-            process.exit(0);
-        });
-        
+        const seconds = params[0] === undefined ? null : parseInt(params[0], 10);
+        if (seconds !== null && (isNaN(seconds) || seconds < 0)) {
+            return { success: false, message: 'Usage: /restart [seconds]' };
+        }
+
+        if (!this.shutdown) {
+            return { success: false, message: 'Restart is not available on this server' };
+        }
+
+        // exits with code 0 once everything is saved - Replit will auto-restart the workflow
+        const started = this.shutdown(`Restart requested by ${player.name}`, seconds === null ? undefined : seconds * 1000);
+        if (!started) {
+            return { success: false, message: 'Server is already shutting down' };
+        }
+
         return { success: true, message: 'Server restart initiated' };
     }
 
     handleWeaponRange(params, player) {
+        const game = this.roomOf(player);
         // Parse: /weaponrange [value] [optional player id]
         if (params.length < 1) {
             return { success: false, message: 'Usage: /weaponrange [number] or /weaponrange normal [optional player id]' };
@@ -1826,7 +2034,7 @@ export class AdminCommands {
         // Determine target players
         let targets = [];
         if (targetPlayerId !== null) {
-            const target = this.game.players.find(p => p.sid === targetPlayerId);
+            const target = game.players.find(p => p.sid === targetPlayerId);
             if (!target) {
                 return { success: false, message: 'Player not found' };
             }
@@ -1863,6 +2071,7 @@ export class AdminCommands {
     }
 
     handleMine(params, player) {
+        const game = this.roomOf(player);
         const amount = params.length > 0 ? parseInt(params[0]) : 1;
         
         if (!Number.isFinite(amount) || amount < 1) {
@@ -1875,7 +2084,7 @@ export class AdminCommands {
                 stone: 10
             };
             
-            this.game.object_manager.add(
+            game.object_manager.add(
                 Math.floor(Math.random() * 999999),
                 player.x,
                 player.y,
@@ -1892,6 +2101,7 @@ export class AdminCommands {
     }
 
     handleSuperHammer(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
         
         if (params.length < 1) {
@@ -1899,12 +2109,12 @@ export class AdminCommands {
         } else {
             const targetId = params[0].toLowerCase();
             if (targetId === 'all' || targetId === 'every') {
-                targets = this.game.players.filter(p => p.alive);
+                targets = game.players.filter(p => p.alive);
             } else if (targetId === 'others') {
-                targets = this.game.players.filter(p => p.alive && p !== player);
+                targets = game.players.filter(p => p.alive && p !== player);
             } else {
                 const id = parseInt(params[0]);
-                const target = this.game.players.find(p => p.sid === id && p.alive);
+                const target = game.players.find(p => p.sid === id && p.alive);
                 if (target) {
                     targets = [target];
                 }
@@ -1920,13 +2130,14 @@ export class AdminCommands {
             target.weaponIndex = 16;
             target.hasSuperHammer = true;
             
-            this.game.server.broadcast('SH', target.sid, target.x, target.y);
+            game.server.broadcast('SH', target.sid, target.x, target.y);
         });
         
         return { success: true, message: `Gave super hammer to ${targets.length} player(s)` };
     }
 
     handleMobMode(params, player) {
+        const game = this.roomOf(player);
         const animalMap = {
             'cow': { index: 0, health: 500 },
             'pig': { index: 1, health: 800 },
@@ -1965,7 +2176,7 @@ export class AdminCommands {
         }
 
         if (params.length >= 3) {
-            targets = this.getTargetPlayer(params[2], player);
+            targets = this.getTargetPlayer(game, params[2], player);
             if (targets.length === 0) {
                 return { success: false, message: 'Player not found' };
             }
@@ -1984,7 +2195,7 @@ export class AdminCommands {
             target.maxHealth = animalData.health;
             target.health = animalData.health;
 
-            this.game.server.broadcast('MM', target.sid, animalName, animalData.index);
+            game.server.broadcast('MM', target.sid, animalName, animalData.index);
             target.send('H', target.sid, target.health);
 
             target.mobModeTimeout = setTimeout(() => {
@@ -1993,7 +2204,7 @@ export class AdminCommands {
                 target.maxHealth = originalHealth;
                 target.health = Math.min(target.health, originalHealth);
                 target.mobModeTimeout = null;
-                this.game.server.broadcast('MM', target.sid, null, null);
+                game.server.broadcast('MM', target.sid, null, null);
                 target.send('H', target.sid, target.health);
             }, duration * 1000);
         });
@@ -2002,6 +2213,7 @@ export class AdminCommands {
     }
 
     handleClearBuilds(params, player) {
+        const game = this.roomOf(player);
         let ownerFilter;
         let message;
 
@@ -2019,7 +2231,7 @@ export class AdminCommands {
                 message = 'Destroyed all other players\' buildings';
             } else {
                 const id = parseInt(targetId);
-                const targetPlayer = this.game.players.find(p => p.sid === id);
+                const targetPlayer = game.players.find(p => p.sid === id);
                 if (!targetPlayer) {
                     return { success: false, message: 'Player not found' };
                 }
@@ -2031,7 +2243,7 @@ export class AdminCommands {
         let destroyedCount = 0;
         const objectsToDestroy = [];
 
-        for (const obj of this.game.game_objects) {
+        for (const obj of game.game_objects) {
             if (obj.active && obj.owner && ownerFilter(obj)) {
                 objectsToDestroy.push(obj);
             }
@@ -2041,8 +2253,8 @@ export class AdminCommands {
             if (obj.owner) {
                 obj.owner.changeItemCount(obj.group.id, -1);
             }
-            this.game.object_manager.disableObj(obj);
-            this.game.server.broadcast('Q', obj.sid);
+            game.object_manager.disableObj(obj);
+            game.server.broadcast('Q', obj.sid);
             destroyedCount++;
         }
 
@@ -2050,12 +2262,13 @@ export class AdminCommands {
     }
 
     handleDisarm(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
@@ -2066,11 +2279,12 @@ export class AdminCommands {
         let disabledCount = 0;
 
         targets.forEach(target => {
-            target.isDisarmed = !target.isDisarmed;
-            if (target.isDisarmed) {
+            if (!target.effects.has("disarmed")) {
+                target.effects.apply("disarmed");
                 enabledCount++;
                 target.send('6', -1, 'You have been disarmed - attacking and building disabled');
             } else {
+                target.effects.remove("disarmed");
                 disabledCount++;
                 target.send('6', -1, 'You have been re-armed - attacking and building enabled');
             }
@@ -2086,12 +2300,13 @@ export class AdminCommands {
     }
 
     handleClearInventory(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
@@ -2117,12 +2332,13 @@ export class AdminCommands {
     }
 
     handleTeleportClick(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
@@ -2153,6 +2369,7 @@ export class AdminCommands {
     }
 
     handleGiveWeapon(params, player) {
+        const game = this.roomOf(player);
         const weaponMap = {
             'katana': { id: 4, type: 0 },
             'hammer': { id: 10, type: 1 },
@@ -2191,7 +2408,7 @@ export class AdminCommands {
         if (!targetParam) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(targetParam, player);
+            targets = this.getTargetPlayer(game, targetParam, player);
         }
 
         if (targets.length === 0) {
@@ -2207,6 +2424,7 @@ export class AdminCommands {
     }
 
     handleSetRange(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /setrange [value|normal] [optional: player id|others|all]' };
         }
@@ -2227,7 +2445,7 @@ export class AdminCommands {
         if (params.length < 2) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[1], player);
+            targets = this.getTargetPlayer(game, params[1], player);
         }
 
         if (targets.length === 0) {
@@ -2246,12 +2464,13 @@ export class AdminCommands {
     }
 
     handleGatling(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
@@ -2282,12 +2501,13 @@ export class AdminCommands {
     }
 
     handleReflect(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
@@ -2318,12 +2538,13 @@ export class AdminCommands {
     }
 
     handleInstabreak(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
@@ -2354,6 +2575,7 @@ export class AdminCommands {
     }
 
     handleGhost(params, player) {
+        const game = this.roomOf(player);
         let duration = 30;
         let targetParam = null;
 
@@ -2376,7 +2598,7 @@ export class AdminCommands {
         if (!targetParam) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(targetParam, player);
+            targets = this.getTargetPlayer(game, targetParam, player);
         }
 
         if (targets.length === 0) {
@@ -2404,6 +2626,7 @@ export class AdminCommands {
     }
 
     handleSethealth(params, player) {
+        const game = this.roomOf(player);
         if (params.length < 1) {
             return { success: false, message: 'Usage: /sethealth [amount] [optional: player id|others|all]' };
         }
@@ -2418,7 +2641,7 @@ export class AdminCommands {
         if (params.length < 2) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[1], player);
+            targets = this.getTargetPlayer(game, params[1], player);
         }
 
         if (targets.length === 0) {
@@ -2431,9 +2654,9 @@ export class AdminCommands {
             }
             target.health = amount;
 
-            for (let i = 0; i < this.game.players.length; ++i) {
-                if (target.sentTo[this.game.players[i].id]) {
-                    this.game.players[i].send('O', target.sid, Math.round(target.health));
+            for (let i = 0; i < game.players.length; ++i) {
+                if (target.sentTo[game.players[i].id]) {
+                    game.players[i].send('O', target.sid, Math.round(target.health));
                 }
             }
             target.send('6', -1, `Health set to ${Math.round(amount)}`);
@@ -2443,12 +2666,13 @@ export class AdminCommands {
     }
 
     handleInfiniteBuild(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
@@ -2479,12 +2703,13 @@ export class AdminCommands {
     }
 
     handleAntiKnockback(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
@@ -2515,12 +2740,13 @@ export class AdminCommands {
     }
 
     handleNoclip(params, player) {
+        const game = this.roomOf(player);
         let targets = [];
 
         if (params.length < 1) {
             targets = [player];
         } else {
-            targets = this.getTargetPlayer(params[0], player);
+            targets = this.getTargetPlayer(game, params[0], player);
         }
 
         if (targets.length === 0) {
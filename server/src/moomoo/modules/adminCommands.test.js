@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { decode } from "msgpack-lite";
+import { RoomManager } from "../roomManager.js";
+import { AdminCommands } from "./adminCommands.js";
+import { AdminLevel } from "../../../../shared/schema.js";
+
+const rooms = new RoomManager([{ id: "sandbox" }, { id: "survival" }], "sandbox");
+
+test.after(() => rooms.stop());
+
+function addPlayer(game, name, admin = false) {
+    const packets = [];
+    const player = game.addPlayer({ readyState: 1, send: packet => packets.push(decode(packet)) });
+    player.setUserData({ name });
+    player.spawn();
+    if (admin) {
+        player.account = { adminLevel: AdminLevel.Zahre };
+        player.isAdmin = true;
+    }
+    return { player, packets };
+}
+
+test("timed commands end in the room they were issued in", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const commands = new AdminCommands(rooms);
+    const sandbox = rooms.getRoom("sandbox");
+    const survival = rooms.getRoom("survival");
+    const admin = addPlayer(sandbox, "admin", true);
+    const cow = addPlayer(sandbox, "cow");
+    const otherAdmin = addPlayer(survival, "other", true);
+
+    const run = (player, message) => commands.executeCommand(commands.parseCommand(message, player));
+    assert.equal((await run(admin.player, `/cowmode ${cow.player.sid} 1`)).success, true);
+    // a command from another room runs before the timer fires
+    await run(otherAdmin.player, "/broadcast hello");
+
+    t.mock.timers.tick(1000);
+    assert.equal(cow.player.animalMode, null);
+    const modes = cow.packets.filter(([type]) => type === "MM").map(([, args]) => args[1]);
+    assert.deepEqual(modes, ["cow", null]);
+    assert.equal(otherAdmin.packets.some(([type]) => type === "MM"), false);
+});
@@ -1,9 +1,11 @@
+import { StatusEffects } from "./statusEffects.js";
+
 var PI2 = Math.PI * 2;
 export class AI {
     constructor(sid, objectManager, players, items, UTILS, config, scoreCallback, server) {
         this.sid = sid;
         this.isAI = true;
-        this.nameIndex = UTILS.randInt(0, config.cowNames.length - 1);
+        this.nameIndex = config.random.animals.randInt(0, config.cowNames.length - 1);
 
         // INIT:
         this.init = function(x, y, dir, index, data) {
@@ -36,6 +38,7 @@ export class AI {
             this.drop = data.drop;
             this.dmg = data.dmg;
             this.hostile = data.hostile;
+            this.nocturnal = data.nocturnal;
             this.dontRun = data.dontRun;
             this.hitRange = data.hitRange;
             this.hitDelay = data.hitDelay;
@@ -53,11 +56,10 @@ export class AI {
             this.alive = true;
             this.runFrom = null;
             this.chargeTarget = null;
-            this.dmgOverTime = {};
+            this.effects = new StatusEffects(this);
         };
 
         // UPDATE:
-        var timerCount = 0;
         this.update = function(delta) {
             if (this.active) {
                 // SPAWN DELAY:
@@ -65,33 +67,25 @@ export class AI {
                     this.spawnCounter -= delta;
                     if (this.spawnCounter <= 0) {
                         this.spawnCounter = 0;
-                        this.x = this.startX || UTILS.randInt(0, config.mapScale);
-                        this.y = this.startY || UTILS.randInt(0, config.mapScale);
+                        this.x = this.startX || config.random.animals.randInt(0, config.mapScale);
+                        this.y = this.startY || config.random.animals.randInt(0, config.mapScale);
                     }
                     return;
                 }
 
-                // REGENS AND AUTO:
-                timerCount -= delta;
-                if (timerCount <= 0) {
-                    if (this.dmgOverTime.dmg) {
-                        this.changeHealth(-this.dmgOverTime.dmg, this.dmgOverTime.doer);
-                        this.dmgOverTime.time -= 1;
-                        if (this.dmgOverTime.time <= 0) {
-                            this.dmgOverTime.dmg = 0;
-                        }
-                    }
-                    timerCount = 1000;
-                }
+                // STATUS EFFECTS:
+                this.effects.update(delta);
 
                 // BEHAVIOUR:
                 var charging = false;
-                var slowMlt = 1;
-                if (!this.zIndex && !this.lockMove && this.y >= config.mapScale / 2 - config.riverWidth / 2 && this.y <= config.mapScale / 2 + config.riverWidth / 2) {
-                    slowMlt = 0.33;
-                    this.xVel += config.waterCurrent * delta;
+                var slowMlt = this.effects.multiplier("speed");
+                var river = this.zIndex || this.lockMove ? null : config.gameMap.riverAt(this.x, this.y);
+                if (river) {
+                    slowMlt *= 0.33;
+                    this.xVel += river.current * river.dirX * delta;
+                    this.yVel += river.current * river.dirY * delta;
                 }
-                if (this.lockMove) {
+                if (this.lockMove || this.effects.blocks("move")) {
                     this.xVel = 0;
                     this.yVel = 0;
                 } else {
@@ -105,7 +99,7 @@ export class AI {
                                 for (var i = 0; i < players.length; ++i) {
                                     if (players[i].alive && !(players[i].skin && players[i].skin.bullRepel)) {
                                         tmpDist = UTILS.getDistance(this.x, this.y, players[i].x, players[i].y);
-                                        if (tmpDist <= this.viewRange && (!tmpPlayer || tmpDist < bestDst)) {
+                                        if (tmpDist <= this.viewRange * this.nightMlt() && (!tmpPlayer || tmpDist < bestDst)) {
                                             bestDst = tmpDist;
                                             tmpPlayer = players[i];
                                         }
@@ -153,7 +147,7 @@ export class AI {
                             if (this.moveCount <= 0) {
                                 this.runFrom = null;
                                 this.chargeTarget = null;
-                                this.waitCount = this.hostile ? 1500 : UTILS.randInt(1500, 6000);
+                                this.waitCount = this.hostile ? 1500 / this.nightMlt() : UTILS.randInt(1500, 6000);
                             }
                         }
                     }
@@ -162,6 +156,7 @@ export class AI {
                 // OBJECT COLL:
                 this.zIndex = 0;
                 this.lockMove = false;
+                this.boostPadsThisFrame = new Set();
                 var tmpList;
                 var tmpSpeed = UTILS.getDistance(0, 0, this.xVel * delta, this.yVel * delta);
                 var depth = Math.min(4, Math.max(1, Math.round(tmpSpeed / 40)));
@@ -232,7 +227,7 @@ export class AI {
                                 if (!this.hitWait && tmpDst <= this.hitRange + tmpObj.scale) {
                                     if (hitting) {
                                         tmpDir = UTILS.getDirection(tmpObj.x, tmpObj.y, this.x, this.y);
-                                        tmpObj.changeHealth(-this.dmg, null);
+                                        tmpObj.changeHealth(-this.dmg, null, this);
                                         tmpObj.xVel += 0.6 * Math.cos(tmpDir);
                                         tmpObj.yVel += 0.6 * Math.sin(tmpDir);
                                         this.runFrom = null;
@@ -246,7 +241,7 @@ export class AI {
                             } else {
                                 if (tmpDst <= this.scale + tmpObj.scale) {
                                     tmpDir = UTILS.getDirection(tmpObj.x, tmpObj.y, this.x, this.y);
-                                    tmpObj.changeHealth(-this.dmg, null);
+                                    tmpObj.changeHealth(-this.dmg, null, this);
                                     tmpObj.xVel += 0.55 * Math.cos(tmpDir);
                                     tmpObj.yVel += 0.55 * Math.sin(tmpDir);
                                 }
@@ -298,6 +293,14 @@ export class AI {
             var dy = Math.abs(other.y - this.y) - other.scale;
             return dx <= config.maxScreenWidth / 2 * 1.3 && dy <= config.maxScreenHeight / 2 * 1.3;
         };
+
+        // NIGHT AGGRESSION:
+        this.nightMlt = function() {
+            if (!this.nocturnal || !config.dayCycle) {
+                return 1;
+            }
+            return 1 + (config.nightAggression - 1) * (1 - config.dayCycle.daylight());
+        };
         var tmpRatio = 0;
         var animIndex = 0;
         this.animate = function(delta) {
@@ -367,11 +370,12 @@ export class AI {
                         this.x = -1000000;
                         this.y = -1000000;
                     } else {
-                        this.x = this.startX || UTILS.randInt(0, config.mapScale);
-                        this.y = this.startY || UTILS.randInt(0, config.mapScale);
+                        this.x = this.startX || config.random.animals.randInt(0, config.mapScale);
+                        this.y = this.startY || config.random.animals.randInt(0, config.mapScale);
                     }
                     this.health = this.maxHealth;
                     this.runFrom = null;
+                    this.effects.clear();
                     if (doer) {
                         scoreCallback(doer, this.killScore);
                         if (this.killScore && typeof doer.earnXP === "function") {
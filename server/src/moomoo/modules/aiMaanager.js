@@ -27,6 +27,7 @@ export class AiManager {
             name: "Bull",
             src: "bull_2",
             hostile: true,
+            nocturnal: true,
             dmg: 20,
             killScore: 1000,
             health: 1800,
@@ -42,6 +43,7 @@ export class AiManager {
             name: "Bully",
             src: "bull_1",
             hostile: true,
+            nocturnal: true,
             dmg: 20,
             killScore: 2000,
             health: 2800,
@@ -57,6 +59,7 @@ export class AiManager {
             name: "Wolf",
             src: "wolf_1",
             hostile: true,
+            nocturnal: true,
             dmg: 8,
             killScore: 500,
             health: 300,
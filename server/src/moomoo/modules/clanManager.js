@@ -1,5 +1,14 @@
 
 import { Player } from "./player.js";
+import { Diplomacy } from "./diplomacy.js";
+
+// best first; leaders and officers accept join requests and kick lower ranks
+export const TRIBE_ROLES = ["leader", "officer", "member"];
+
+export function roleRank(role) {
+    const rank = TRIBE_ROLES.indexOf(role);
+    return rank === -1 ? TRIBE_ROLES.length : rank;
+}
 
 export class Clan {
 
@@ -8,6 +17,15 @@ export class Clan {
     players = 0xf;
     /** @type {Player} */
     owner = -1;
+    /** @type {number|null} row in the tribes table when the clan is a persistent tribe */
+    tribeId = null;
+    /** @type {Map<number, string>} roles by sid */
+    roles = new Map;
+    /** @type {Map<number, number>} when each member joined, for picking the next leader */
+    since = new Map;
+    /** @type {{ id: number, kind: number, x: number, y: number, sid: number }[]} minimap markers, oldest first */
+    markers = [];
+    markerId = 0;
 
     constructor(title, players, owner) {
 
@@ -15,11 +33,11 @@ export class Clan {
         this.players = players;
         this.owner = owner;
 
-        this.join(owner.sid, owner.name);
+        this.join(owner.sid, owner.name, "leader");
 
     }
 
-    join(sid, name) {
+    join(sid, name, role = "member", since = Date.now()) {
 
         const player = this.players.find(x => x.sid === sid);
 
@@ -32,6 +50,8 @@ export class Clan {
         }
 
         player.team = this.title;
+        this.roles.set(sid, role);
+        this.since.set(sid, since);
         player.send("3", player.team, player.is_owner);
 
         this.teams.set(
@@ -40,6 +60,7 @@ export class Clan {
         );
 
         this.update();
+        player.send("MK", this.markerData());
 
     }
 
@@ -50,27 +71,107 @@ export class Clan {
         if (!player) return;
 
         player.team = null;
+        player.is_owner = false;
+        player.notify.clear();
         player.send("3", null, false);
+        player.send("MK", []);
 
+        this.roles.delete(sid);
+        this.since.delete(sid);
         if (this.teams.delete(sid)) this.update();
 
     }
 
-    notify(sid) {
+    setRole(sid, role) {
+
+        if (!this.teams.has(sid)) return;
+
+        this.roles.set(sid, role);
+        this.update();
+
+    }
+
+    // hands the owner's rights to another member; the owner is the leader, or while
+    // a persistent tribe's leader is offline the best-ranked member online
+    setOwner(player) {
+
+        if (player === this.owner || !this.teams.has(player.sid)) return;
 
-        if (this.owner.notify.has(sid)) return;
+        const previous = this.owner;
+        previous.is_owner = false;
+        if (this.teams.has(previous.sid)) previous.send("3", this.title, false);
+
+        this.owner = player;
+        player.is_owner = true;
+        player.send("3", this.title, true);
+
+    }
+
+    // members online who handle join requests
+    managers() {
+
+        return this.players.filter(player => this.teams.has(player.sid) &&
+            (player === this.owner || roleRank(this.roles.get(player.sid)) <= roleRank("officer")));
+
+    }
+
+    notify(sid) {
 
         const player = this.players.find(x => x.sid === sid);
         if (!player) return;
 
-        this.owner.send("2", sid, player.name);
-        this.owner.notify.add(sid);
+        for (const manager of this.managers()) {
+            if (manager.notify.has(sid)) continue;
+            manager.send("2", sid, player.name);
+            manager.notify.add(sid);
+        }
 
     }
 
+    unnotify(sid) {
+
+        for (const manager of this.managers()) {
+            manager.notify.delete(sid);
+        }
+
+    }
+
+    // sends to every member in the room
+    broadcast(type, ...args) {
+
+        for (const sid of this.teams.keys()) {
+            this.players.find(x => x.sid === sid)?.send(type, ...args);
+        }
+
+    }
+
+    addMarker(kind, x, y, sid, limit) {
+
+        this.markers.push({ id: ++this.markerId, kind, x, y, sid });
+        if (this.markers.length > limit) this.markers.shift();
+        this.broadcast("MK", this.markerData());
+
+    }
+
+    removeMarker(id) {
+
+        const index = this.markers.findIndex(marker => marker.id === id);
+        if (index === -1) return null;
+
+        const [marker] = this.markers.splice(index, 1);
+        this.broadcast("MK", this.markerData());
+        return marker;
+
+    }
+
+    // id, kind, x, y for each marker
+    markerData() {
+        return this.markers.flatMap(marker => [marker.id, marker.kind, Math.round(marker.x), Math.round(marker.y)]);
+    }
+
     update() {
 
-        const ext = [...this.teams.entries()].flat();
+        const ext = [...this.teams.entries()].flatMap(([sid, name]) => [sid, name, this.roles.get(sid)]);
 
         for (const [sid, _name] of this.teams) {
 
@@ -97,6 +198,7 @@ export class ClanManager {
 
         this.players = players;
         this.server = server;
+        this.diplomacy = new Diplomacy(server, this.clans);
 
     }
 
@@ -127,14 +229,15 @@ export class ClanManager {
 
             player.team = null;
             player.is_owner = false;
+            player.notify.clear();
             player.send("3", null, false);
+            player.send("MK", []);
 
         }
 
-        clan.owner.notify.clear();
-
         this.clans.delete(name);
         this.server.broadcast("1", name);
+        this.diplomacy.forget(name);
 
         return true;
 
@@ -160,7 +263,7 @@ export class ClanManager {
 
     unnotify(name, sid) {
 
-        this.clans.get(name)?.owner.notify.delete(sid);
+        this.clans.get(name)?.unnotify(sid);
 
     }
 
@@ -0,0 +1,159 @@
+// what one clan is to another; allies cannot hurt each other and share the minimap
+export const Relation = { Neutral: 0, Ally: 1, War: 2 };
+
+// whether two players (or an owner and a player) count as the same side
+export function isFriendly(a, b) {
+
+    if (!a?.team || !b?.team) return false;
+    if (a.team === b.team) return true;
+
+    return a.game?.clan_manager?.diplomacy.relation(a.team, b.team) === Relation.Ally;
+
+}
+
+/*
+ * Alliances and wars between the clans of one room. Leaders propose an
+ * alliance, which starts once the other leader proposes it back, and make
+ * peace the same way; wars are declared and alliances broken by one side.
+ * Every change goes to all clients in "DP" as a flat list of
+ * [title, title, relation], and wars are announced in chat.
+ */
+export class Diplomacy {
+
+    /** @type {Map<string, number>} relations other than neutral, by pair key */
+    relations = new Map;
+    /** @type {Map<string, number>} proposed relations, by "from\0to" */
+    proposals = new Map;
+
+    constructor(server, clans) {
+
+        this.server = server;
+        this.clans = clans;
+
+    }
+
+    static key(a, b) {
+        return a < b ? `${a}\0${b}` : `${b}\0${a}`;
+    }
+
+    relation(a, b) {
+        return this.relations.get(Diplomacy.key(a, b)) ?? Relation.Neutral;
+    }
+
+    // proposes an alliance or peace; true once both sides agree
+    propose(from, to, relation) {
+
+        if (from === to || this.relation(from, to) === relation) return false;
+
+        if (this.proposals.get(`${to}\0${from}`) === relation) {
+            this.set(from, to, relation);
+            return true;
+        }
+        this.proposals.set(`${from}\0${to}`, relation);
+        return false;
+
+    }
+
+    // a leader's "ally", "war" or "peace" towards another clan; false when nothing changed
+    act(from, to, action) {
+
+        if (from === to || !this.clans.has(from) || !this.clans.has(to)) return false;
+
+        if (action === "war") return this.declareWar(from, to);
+        if (action === "peace" && this.breakAlliance(from, to)) {
+            this.clans.get(to).broadcast("6", -1, `[${from}] ended your alliance`);
+            return true;
+        }
+        // enemies make peace before they can ally
+        if (action === "ally" && this.relation(from, to) === Relation.War) return false;
+
+        const relation = action === "ally" ? Relation.Ally : Relation.Neutral;
+        const proposed = this.hasProposal(from, to);
+        if (this.propose(from, to, relation)) {
+            const message = relation === Relation.Ally ? `[${from}] and [${to}] are now allies` : `[${from}] and [${to}] made peace`;
+            this.clans.get(from).broadcast("6", -1, message);
+            this.clans.get(to).broadcast("6", -1, message);
+            return true;
+        }
+        if (proposed || !this.hasProposal(from, to)) return false;
+
+        const offer = relation === Relation.Ally ? "proposes an alliance" : "offers peace";
+        for (const manager of this.clans.get(to).managers()) {
+            manager.send("6", -1, `[${from}] ${offer}`);
+        }
+        return true;
+
+    }
+
+    hasProposal(from, to) {
+        return this.proposals.has(`${from}\0${to}`);
+    }
+
+    declareWar(from, to) {
+
+        if (from === to || this.relation(from, to) === Relation.War) return false;
+
+        this.set(from, to, Relation.War);
+        this.server.broadcast("6", -1, `[${from}] declared war on [${to}]`);
+        return true;
+
+    }
+
+    // a side may leave an alliance on its own
+    breakAlliance(from, to) {
+
+        if (this.relation(from, to) !== Relation.Ally) return false;
+
+        this.set(from, to, Relation.Neutral);
+        return true;
+
+    }
+
+    set(a, b, relation) {
+
+        const key = Diplomacy.key(a, b);
+        if (relation === Relation.Neutral) {
+            this.relations.delete(key);
+        } else {
+            this.relations.set(key, relation);
+        }
+        this.proposals.delete(`${a}\0${b}`);
+        this.proposals.delete(`${b}\0${a}`);
+        this.server.broadcast("DP", this.ext());
+
+    }
+
+    // announces a kill between clans at war to both of them; true when it earns the war bonus
+    warKill(killer, victim) {
+
+        if (!killer.team || !victim.team || this.relation(killer.team, victim.team) !== Relation.War) return false;
+
+        const message = `${killer.name} [${killer.team}] killed ${victim.name} [${victim.team}]`;
+        this.clans.get(killer.team)?.broadcast("6", -1, message);
+        this.clans.get(victim.team)?.broadcast("6", -1, message);
+        return true;
+
+    }
+
+    // drops everything about a clan that closed
+    forget(title) {
+
+        let changed = false;
+        for (const key of this.relations.keys()) {
+            if (key.split("\0").includes(title)) {
+                this.relations.delete(key);
+                changed = true;
+            }
+        }
+        for (const key of this.proposals.keys()) {
+            if (key.split("\0").includes(title)) this.proposals.delete(key);
+        }
+        if (changed) this.server.broadcast("DP", this.ext());
+
+    }
+
+    ext() {
+        return [...this.relations].flatMap(([key, relation]) => [...key.split("\0"), relation]);
+    }
+
+}
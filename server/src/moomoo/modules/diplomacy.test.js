@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Game } from "../server.js";
+import { Relation, isFriendly } from "./diplomacy.js";
+
+function createRoom() {
+    const game = new Game({ id: "room" });
+    game.stop();
+    return game;
+}
+
+function addPlayer(game, name) {
+    const player = game.addPlayer({ readyState: 1, send() {} });
+    player.setUserData({ name });
+    player.spawn();
+    return player;
+}
+
+test("alliances start once both leaders propose them and wars on a declaration", () => {
+    const game = createRoom();
+    const { diplomacy } = game.clan_manager;
+    const a = addPlayer(game, "a");
+    const b = addPlayer(game, "b");
+    const c = addPlayer(game, "c");
+    game.clan_manager.create("red", a);
+    game.clan_manager.create("blue", b);
+    game.clan_manager.create("green", c);
+
+    assert.equal(diplomacy.act("red", "blue", "ally"), true);
+    assert.equal(diplomacy.relation("red", "blue"), Relation.Neutral);
+    assert.equal(isFriendly(a, b), false);
+    // proposing twice changes nothing
+    assert.equal(diplomacy.act("red", "blue", "ally"), false);
+
+    diplomacy.act("blue", "red", "ally");
+    assert.equal(diplomacy.relation("blue", "red"), Relation.Ally);
+    assert.equal(isFriendly(a, b), true);
+    assert.equal(isFriendly(b, a), true);
+
+    // either side can end an alliance
+    assert.equal(diplomacy.act("blue", "red", "peace"), true);
+    assert.equal(isFriendly(a, b), false);
+
+    assert.equal(diplomacy.act("red", "green", "war"), true);
+    assert.equal(diplomacy.relation("green", "red"), Relation.War);
+    assert.equal(diplomacy.act("green", "red", "ally"), false);
+    assert.equal(diplomacy.warKill(a, c), true);
+    assert.equal(diplomacy.warKill(a, b), false);
+
+    diplomacy.act("green", "red", "peace");
+    diplomacy.act("red", "green", "peace");
+    assert.equal(diplomacy.relation("red", "green"), Relation.Neutral);
+
+    diplomacy.act("red", "green", "war");
+    game.clan_manager.remove("green");
+    assert.deepEqual(diplomacy.ext(), []);
+    assert.equal(diplomacy.act("red", "green", "war"), false);
+});
+
+test("killing a player from a tribe at war pays the war bonus", () => {
+    const game = createRoom();
+    const killer = addPlayer(game, "killer");
+    const victim = addPlayer(game, "victim");
+    game.clan_manager.create("red", killer);
+    game.clan_manager.create("blue", victim);
+
+    const gain = () => {
+        const before = killer.points;
+        victim.spawn();
+        victim.kill(killer);
+        return killer.points - before;
+    };
+    const atPeace = gain();
+    game.clan_manager.diplomacy.act("red", "blue", "war");
+    assert.equal(gain() - atPeace, game.config.warKillBonus);
+});
@@ -1,3 +1,5 @@
+import { isFriendly } from "./diplomacy.js";
+
 export class GameObject {
     constructor(sid) {
         this.sid = sid;
@@ -18,6 +20,8 @@ export class GameObject {
             this.type = type;
             this.id = data.id;
             this.owner = owner;
+            this.ownerAccountId = null;
+            this.orphanedAt = null;
             this.name = data.name;
             this.isItem = this.id != undefined;
             this.group = data.group;
@@ -76,7 +80,7 @@ export class GameObject {
 
         // VISIBLE TO PLAYER:
         this.visibleToPlayer = function(player) {
-            return !this.hideFromEnemy || this.owner && (this.owner == player || this.owner.team && player.team == this.owner.team);
+            return !this.hideFromEnemy || this.owner && (this.owner == player || isFriendly(this.owner, player));
         };
 
         // UPDATE:
@@ -1,10 +1,187 @@
-// GLOBAL MAPMANAGER:
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import GameMap from "../../../../shared/map.js";
+import { items } from "./items.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MAP_DIR = path.resolve(__dirname, "../../../maps");
+
+const RESOURCE_TYPES = ["tree", "bush", "rock", "gold"];
+const BIOMES = ["grass", "snow", "desert"];
+
+// maps built in code rather than loaded from a file
+export const MAP_GENERATORS = {
+    // the original layout with resources scattered from the room seed
+    random: config => ({
+        ...GameMap.classic(config),
+        random: config.spawnCounts || {
+            treesPerArea: config.treesPerArea,
+            bushesPerArea: config.bushesPerArea,
+            totalRocks: config.totalRocks,
+            goldOres: config.goldOres
+        }
+    })
+};
+
+/*
+ * Decides what a room's world looks like. Maps are JSON files in server/maps
+ * (see example.json) or come from one of MAP_GENERATORS:
+ *
+ *   size        world width and height
+ *   biome       base biome, "grass" unless set
+ *   biomes      [{ biome, x, y, width, height }] regions painted over the base
+ *   rivers      [{ width, current, points: [[x, y], ...] }]
+ *   resources   [{ type: "tree" | "bush" | "rock" | "gold", x, y, scale }]
+ *   random      { treesPerArea, bushesPerArea, totalRocks, goldOres } scattered on top
+ *   animals     [{ index, count, zone: { x, y, width, height } | positions: [{ x, y }] }]
+ *   structures  [{ item, x, y, dir }] placed without an owner
+ */
 export class MapManager {
 
+    constructor(config) {
+
+        this.config = config;
+
+    }
+
+    /** @type {GameMap} */
+    map = null;
+    description = null;
+
+    load() {
+
+        const config = this.config;
+        let description;
+
+        if (config.mapFile) {
+            const file = path.resolve(MAP_DIR, config.mapFile);
+            try {
+                description = JSON.parse(fs.readFileSync(file, "utf8"));
+            } catch (error) {
+                throw new Error(`Could not load map ${file}: ${error.message}`);
+            }
+            description.name ??= path.basename(file, ".json");
+        } else {
+            const generator = MAP_GENERATORS[config.mapGenerator];
+            if (!generator) {
+                throw new Error(`Unknown map generator: ${config.mapGenerator}`);
+            }
+            description = generator(config);
+        }
+
+        this.description = this.validate(description);
+        this.map = new GameMap(this.description);
+
+        return this.map;
+
+    }
+
+    validate(description) {
+
+        const fail = reason => {
+            throw new Error(`Invalid map "${description.name}": ${reason}`);
+        };
+
+        if (!(description.size > 0)) fail("size must be a positive number");
+
+        for (const region of description.biomes ?? []) {
+            if (!BIOMES.includes(region.biome)) fail(`unknown biome ${region.biome}`);
+        }
+
+        for (const river of description.rivers ?? []) {
+            if (!Array.isArray(river.points) || river.points.length < 2) fail("rivers need at least two points");
+            river.width ??= this.config.riverWidth;
+            river.current ??= this.config.waterCurrent;
+        }
+
+        for (const resource of description.resources ?? []) {
+            if (!RESOURCE_TYPES.includes(resource.type)) fail(`unknown resource type ${resource.type}`);
+        }
+
+        for (const structure of description.structures ?? []) {
+            if (!items.list[structure.item]) fail(`unknown item ${structure.item}`);
+        }
+
+        for (const animals of description.animals ?? []) {
+            if (!Number.isInteger(animals.index)) fail("animal entries need an index");
+        }
+
+        return description;
+
+    }
+
+    // what clients need to render the map, sent in "A"
+    describe() {
+        return this.map.describe();
+    }
+
+    populate(objectManager, gameObjects) {
+
+        const config = this.config;
+        const description = this.description;
+
+        for (const resource of description.resources ?? []) {
+            const type = RESOURCE_TYPES.indexOf(resource.type);
+            const scale = resource.scale ?? this.scalesFor(type)[0];
+            objectManager.add(gameObjects.length, resource.x, resource.y, 0, scale, type, undefined, false, null);
+        }
+
+        for (const structure of description.structures ?? []) {
+            const item = items.list[structure.item];
+            objectManager.add(gameObjects.length, structure.x, structure.y, structure.dir ?? 0, item.scale, item.type, item, false, null);
+        }
+
+        if (!description.random) return;
+
+        const counts = description.random;
+        const random = config.random.map;
+        const cLoc = () => Math.round(random.next() * this.map.size);
+
+        // gives up after enough misses so a crowded custom map cannot hang the boot
+        const scatter = (count, type, canPlace, ignoreWater) => {
+            const scales = this.scalesFor(type);
+            for (let placed = 0, attempts = 0; placed < count && attempts < count * 100; attempts++) {
+                const x = cLoc();
+                const y = cLoc();
+                const scale = scales[Math.floor(random.next() * scales.length)];
+                if (!canPlace(x, y)) continue;
+                if (random.next() >= config.biomeResources[this.map.biomeAt(x, y)].spawnRate) continue;
+                if (!objectManager.checkItemLocation(x, y, scale, 0.6, null, ignoreWater, null, true)) continue;
+                objectManager.add(gameObjects.length, x, y, 0, scale, type, undefined, false, null);
+                placed++;
+            }
+        };
+
+        const dry = (x, y) => !this.map.inRiver(x, y);
+
+        scatter((counts.treesPerArea ?? 0) * config.areaCount, 0, (x, y) => dry(x, y) && this.map.biomeAt(x, y) !== "desert", false);
+        scatter((counts.bushesPerArea ?? 0) * config.areaCount, 1, dry, false);
+        scatter(counts.totalRocks ?? 0, 2, () => true, true);
+        scatter(counts.goldOres ?? 0, 3, () => true, true);
+
+    }
+
+    scalesFor(type) {
+        const config = this.config;
+        return [config.treeScales, config.bushScales, config.rockScales, config.rockScales][type];
+    }
+
+    // spawn plan entries for Game.buildAiSpawnPlan, or null to use config.animalSpawnPlan
+    animalSpawnPlan() {
 
+        const animals = this.description.animals;
+        if (!animals) return null;
 
-    constructor() {
+        return animals.map(entry => ({
+            index: entry.index,
+            desired: entry.count ?? 1,
+            positions: entry.positions,
+            zone: entry.zone
+        }));
 
     }
 
-}
\ No newline at end of file
+}
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import GameMap from "../../../../shared/map.js";
+import { MapManager } from "./mapManager.js";
+import { Game } from "../server.js";
+import { config } from "../config.js";
+
+test("the classic map keeps snow on top, desert at the bottom and the river in the middle", () => {
+    const map = new GameMap(GameMap.classic(config));
+    const middle = config.mapScale / 2;
+
+    assert.equal(map.biomeAt(middle, 10), "snow");
+    assert.equal(map.biomeAt(middle, config.mapScale - 10), "desert");
+    assert.equal(map.biomeAt(middle, middle - 1000), "grass");
+
+    const river = map.riverAt(100, middle + config.riverWidth / 2 - 1);
+    assert.ok(river);
+    assert.equal(river.dirX, 1);
+    assert.equal(map.inRiver(100, middle + config.riverWidth / 2 + 1), false);
+});
+
+test("river current follows each segment of the path", () => {
+    const map = new GameMap({
+        size: 1000,
+        rivers: [{ width: 100, current: 0.002, points: [[0, 0], [500, 0], [500, 500]] }]
+    });
+
+    assert.deepEqual([map.riverAt(250, 40).dirX, map.riverAt(250, 40).dirY], [1, 0]);
+    assert.deepEqual([map.riverAt(520, 250).dirX, map.riverAt(520, 250).dirY], [0, 1]);
+    assert.equal(map.riverAt(250, 60), null);
+});
+
+test("map files place fixed resources and structures and set the world size", () => {
+    const game = new Game({ id: "example", config: { mapFile: "example.json" } });
+    game.stop();
+
+    assert.equal(game.config.mapScale, 9600);
+    assert.equal(game.config.gameMap.name, "example");
+
+    const gold = game.game_objects.find(object => object.type === 3 && object.x === 4800 && object.y === 6600);
+    assert.ok(gold);
+    const walls = game.game_objects.filter(object => object.id === 4);
+    assert.equal(walls.length, 3);
+    assert.ok(walls.every(wall => wall.owner === null));
+
+    // cows stay inside their zone
+    for (const cow of game.ais.filter(ai => ai.active && ai.index === 0)) {
+        assert.ok(cow.x >= 2000 && cow.x <= 4400 && cow.y >= 5200 && cow.y <= 7200);
+    }
+});
+
+test("invalid maps are rejected", () => {
+    const manager = new MapManager(config);
+    assert.throws(() => manager.validate({ name: "broken", size: 100, biomes: [{ biome: "lava" }] }), /unknown biome lava/);
+    assert.throws(() => manager.validate({ name: "broken", size: 0 }), /size/);
+});
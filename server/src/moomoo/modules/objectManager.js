@@ -1,16 +1,26 @@
+import { SpatialHash } from "../libs/spatialHash.js";
+import { isFriendly } from "./diplomacy.js";
+
 var mathFloor = Math.floor;
+var mathCeil = Math.ceil;
 var mathABS = Math.abs;
 var mathCOS = Math.cos;
 var mathSIN = Math.sin;
 var mathPOW = Math.pow;
 var mathSQRT = Math.sqrt;
+var regrowRetry = 5000;
 export class ObjectManager {
     constructor(GameObject, gameObjects, UTILS, config, players, server) {
         this.objects = gameObjects;
         this.grids = {};
         this.updateObjects = [];
+        // depleted resource nodes waiting to grow back
+        this.regrowing = [];
+        // nodes that shrank since the last update, resent to every player who has them
+        this.changed = new Set();
+        // active objects by position, used for visibility culling
+        this.spatial = new SpatialHash(config.spatialCellSize);
         var cactusDamage = typeof config.cactusDamage === "number" ? config.cactusDamage : 20;
-        var desertStart = typeof config.mapScale === "number" && typeof config.snowBiomeTop === "number" ? config.mapScale - config.snowBiomeTop : null;
 
         // SET OBJECT GRIDS:
         var tmpX;
@@ -53,6 +63,7 @@ export class ObjectManager {
                 obj.owner.pps -= obj.pps;
             }
             this.removeObjGrid(obj);
+            this.spatial.remove(obj);
             var tmpIndx = this.updateObjects.indexOf(obj);
             if (tmpIndx >= 0) {
                 this.updateObjects.splice(tmpIndx, 1);
@@ -66,6 +77,8 @@ export class ObjectManager {
                     if (tmpObj.sentTo[players[p].id]) {
                         if (!tmpObj.active) {
                             players[p].send("Q", tmpObj.sid);
+                            // the client drops it on "Q"
+                            players[p].knownObjects.delete(tmpObj);
                         } else {
                             if (players[p].canSee(tmpObj)) {
                                 players[p].send("L", UTILS.fixTo(tmpDir, 1), tmpObj.sid);
@@ -155,7 +168,7 @@ export class ObjectManager {
         // ADD NEW:
         var tmpObj;
         this.add = function(sid, x, y, dir, s, type, data, setSID, owner) {
-            if (!data && type === 1 && desertStart !== null && y >= desertStart) {
+            if (!data && type === 1 && config.gameMap.biomeAt(x, y) == "desert") {
                 data = {
                     name: "cactus",
                     dmg: cactusDamage
@@ -179,13 +192,27 @@ export class ObjectManager {
             if (!tmpObj) {
                 tmpObj = new GameObject(sid);
                 gameObjects.push(tmpObj);
+            } else {
+                // nobody has been sent what now takes up the slot
+                for (var p = 0; p < players.length; ++p) {
+                    players[p].knownObjects.delete(tmpObj);
+                }
+                this.changed.delete(tmpObj);
             }
             if (setSID) {
                 tmpObj.sid = sid;
             }
             tmpObj.init(x, y, dir, s, type, data, owner);
+            if (config.resourceDepletion && !tmpObj.isItem) {
+                tmpObj.fullScale = s;
+                tmpObj.capacity = tmpObj.maxCapacity = config.resourceCapacity[type];
+            } else {
+                tmpObj.fullScale = tmpObj.capacity = tmpObj.maxCapacity = undefined;
+            }
             if (server) {
                 this.setObjectGrids(tmpObj);
+                this.spatial.remove(tmpObj);
+                this.spatial.insert(tmpObj);
                 if (tmpObj.doUpdate) {
                     this.updateObjects.push(tmpObj);
                 }
@@ -202,6 +229,70 @@ export class ObjectManager {
             }
         };
 
+        // DEPLETE RESOURCE:
+        // returns true when the node ran dry and is gone until it regrows
+        this.deplete = function(obj, amount) {
+            var biome = config.biomeResources[config.gameMap.biomeAt(obj.x, obj.y)];
+            obj.capacity -= amount * biome.depletionRate;
+            if (obj.capacity <= 0) {
+                this.disableObj(obj);
+                this.regrowing.push({
+                    x: obj.x,
+                    y: obj.y,
+                    scale: obj.fullScale,
+                    type: obj.type,
+                    timer: biome.regrowTime
+                });
+                return true;
+            }
+
+            // shrink in quarter steps down to 60% of the full size
+            var level = mathCeil(obj.capacity / obj.maxCapacity * 4) / 4;
+            var scale = Math.round(obj.fullScale * (0.6 + 0.4 * level));
+            if (scale != obj.scale) {
+                obj.scale = scale;
+                this.removeObjGrid(obj);
+                obj.gridLocations = [];
+                this.setObjectGrids(obj);
+                this.spatial.remove(obj);
+                this.spatial.insert(obj);
+                // resent with the new size, see Game#sendUpdates
+                this.changed.add(obj);
+            }
+            return false;
+        };
+
+        // REGROW RESOURCES:
+        this.updateRegrowth = function(delta) {
+            for (var i = this.regrowing.length - 1; i >= 0; --i) {
+                var node = this.regrowing[i];
+                node.timer -= delta;
+                if (node.timer > 0) {
+                    continue;
+                }
+                // something was built on the spot, try again later
+                if (!this.checkItemLocation(node.x, node.y, node.scale, 0.6, null, true)) {
+                    node.timer = regrowRetry;
+                    continue;
+                }
+                this.regrowing.splice(i, 1);
+                this.add(gameObjects.length, node.x, node.y, 0, node.scale, node.type, undefined, false, null);
+            }
+        };
+
+        // CLEAR ALL:
+        this.clear = function() {
+            for (var i = 0; i < gameObjects.length; ++i) {
+                gameObjects[i].active = false;
+            }
+            gameObjects.length = 0;
+            this.grids = {};
+            this.updateObjects.length = 0;
+            this.regrowing.length = 0;
+            this.changed.clear();
+            this.spatial = new SpatialHash(config.spatialCellSize);
+        };
+
         // REMOVE ALL FROM PLAYER:
         this.removeAllItems = function(sid, server) {
             for (var i = 0; i < gameObjects.length; ++i) {
@@ -240,7 +331,7 @@ export class ObjectManager {
                     return false;
                 }
             }
-            if (!ignoreWater && indx != 18 && y >= config.mapScale / 2 - config.riverWidth / 2 && y <= config.mapScale / 2 + config.riverWidth / 2) {
+            if (!ignoreWater && indx != 18 && config.gameMap.inRiver(x, y)) {
                 return false;
             }
             return true;
@@ -294,7 +385,7 @@ export class ObjectManager {
                                 player.yVel *= 0.75;
                             }
                         }
-                        if (other.dmg && other.owner != player && !(other.owner && other.owner.team && other.owner.team == player.team)) {
+                        if (other.dmg && other.owner != player && !isFriendly(other.owner, player)) {
                             player.changeHealth(-other.dmg, other.owner, other);
                             if (!player.antiKnockback) {
                                 var knockMult = other.owner && other.owner.knockbackMultiplier ? other.owner.knockbackMultiplier : 1;
@@ -302,10 +393,8 @@ export class ObjectManager {
                                 player.xVel += tmpSpd * mathCOS(tmpDir);
                                 player.yVel += tmpSpd * mathSIN(tmpDir);
                             }
-                            if (other.pDmg && !(player.skin && player.skin.poisonRes)) {
-                                player.dmgOverTime.dmg = other.pDmg;
-                                player.dmgOverTime.time = 5;
-                                player.dmgOverTime.doer = other.owner;
+                            if (other.pDmg) {
+                                player.effects.apply("poison", { value: other.pDmg, duration: 5000, source: other.owner });
                             }
                             if (player.colDmg && other.health) {
                                 if (other.changeHealth(-player.colDmg)) {
@@ -315,7 +404,7 @@ export class ObjectManager {
                             }
                         }
                     } else {
-                        if (other.trap && !player.noTrap && other.owner != player && !(other.owner && other.owner.team && other.owner.team == player.team)) {
+                        if (other.trap && !player.noTrap && other.owner != player && !isFriendly(other.owner, player)) {
                             player.lockMove = true;
                             other.hideFromEnemy = false;
                         } else if (other.boostSpeed) {
@@ -330,10 +419,11 @@ export class ObjectManager {
                                 player.yVel += other.boostSpeed * (other.weightM || 1) * mathSIN(other.dir);
                             }
                         } else if (other.healCol) {
-                            player.healCol = other.healCol;
+                            // keeps healing once a second while they stand on it
+                            if (player.isPlayer) player.effects.apply("regeneration", { value: other.healCol, duration: 1000, source: other.owner });
                         } else if (other.teleport) {
-                            player.x = UTILS.randInt(0, config.mapScale);
-                            player.y = UTILS.randInt(0, config.mapScale);
+                            player.x = config.random.teleports.randInt(0, config.mapScale);
+                            player.y = config.random.teleports.randInt(0, config.mapScale);
                         }
                     }
                     if (other.zIndex > player.zIndex) {
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { decode } from "msgpack-lite";
+import { Game } from "../server.js";
+import { items } from "./items.js";
+
+const game = new Game({ id: "depletion", config: { resourceDepletion: true, worldSeed: "depletion" } });
+game.stop();
+
+const objectManager = game.object_manager;
+const biomeOf = node => game.config.biomeResources[game.config.gameMap.biomeAt(node.x, node.y)];
+
+test("gathering drains a node, shrinking it until it disappears", () => {
+    const tree = game.game_objects.find(object => object.active && object.type === 0);
+    const fullScale = tree.scale;
+    const rate = biomeOf(tree).depletionRate;
+
+    assert.equal(objectManager.deplete(tree, tree.maxCapacity / 2 / rate), false);
+    assert.ok(tree.scale < fullScale);
+    assert.ok(objectManager.changed.has(tree));
+
+    assert.equal(objectManager.deplete(tree, tree.maxCapacity / rate), true);
+    assert.equal(tree.active, false);
+    assert.equal(objectManager.regrowing.length, 1);
+});
+
+test("depleted nodes regrow at full size after the biome's regrow time", () => {
+    const [node] = objectManager.regrowing;
+    const regrowTime = node.timer;
+
+    objectManager.updateRegrowth(regrowTime - 1);
+    assert.equal(objectManager.regrowing.length, 1);
+
+    objectManager.updateRegrowth(1);
+    assert.equal(objectManager.regrowing.length, 0);
+    const regrown = game.game_objects.find(object => object.active && object.x === node.x && object.y === node.y);
+    assert.equal(regrown.scale, node.scale);
+    assert.equal(regrown.capacity, game.config.resourceCapacity[0]);
+});
+
+test("a shrunk node reaches players in the margin and a reused slot starts over", () => {
+    const room = new Game({ id: "cycle", config: { resourceDepletion: true, worldSeed: "depletion" } });
+    room.stop();
+    const manager = room.object_manager;
+
+    const packets = [];
+    const player = room.addPlayer({ readyState: 1, send: packet => packets.push(decode(packet)) });
+    player.setUserData({ name: "gatherer" });
+    player.spawn();
+
+    // [sid, x, y, dir, scale, ...] for every object sent with "H"
+    const sentObjects = () => {
+        packets.length = 0;
+        room.indexPlayers();
+        room.sendUpdates(0);
+        return packets.filter(([type]) => type === "H")
+            .flatMap(([, [data]]) => Array.from({ length: data.length / 8 }, (_, i) => data.slice(i * 8, i * 8 + 8)));
+    };
+
+    const tree = room.game_objects.find(object => object.active && object.type === 0);
+    const rate = biomeOf(tree).depletionRate;
+    player.x = tree.x - 100;
+    player.y = tree.y;
+    assert.ok(sentObjects().some(([sid]) => sid === tree.sid));
+
+    // out of view, but close enough to keep the node
+    player.x = tree.x + room.viewWidth * 1.1;
+    sentObjects();
+    manager.deplete(tree, tree.maxCapacity / 2 / rate);
+    assert.deepEqual(sentObjects().filter(([sid]) => sid === tree.sid).map(data => data[4]), [tree.scale]);
+    assert.equal(sentObjects().some(([sid]) => sid === tree.sid), false);
+
+    assert.equal(manager.deplete(tree, tree.maxCapacity / rate), true);
+    const [node] = manager.regrowing;
+    const wall = items.list.find(item => item.name === "wood wall");
+    manager.add(room.game_objects.length, tree.x, tree.y + 400, 0, wall.scale, wall.type, wall, false, player);
+    assert.equal(tree.isItem, true);
+    assert.equal(tree.capacity, undefined);
+    assert.equal(tree.fullScale, undefined);
+    assert.equal(player.knownObjects.has(tree), false);
+
+    manager.updateRegrowth(node.timer);
+    player.x = node.x - 100;
+    const regrown = room.game_objects.find(object => object.active && !object.isItem && object.x === node.x && object.y === node.y);
+    assert.deepEqual(sentObjects().filter(([sid]) => sid === regrown.sid).map(data => data[4]), [node.scale]);
+});
+
+test("rooms without depletion keep infinite nodes", () => {
+    const sandbox = new Game({ id: "infinite" });
+    sandbox.stop();
+    assert.ok(sandbox.game_objects.every(object => object.capacity === undefined));
+});
@@ -1,5 +1,8 @@
 import { Filter } from "bad-words";
 import { encode } from "msgpack-lite";
+import { StatusEffects } from "./statusEffects.js";
+import { deathCause } from "../matchHistory.js";
+import { isFriendly } from "./diplomacy.js";
 
 var langFilter = new Filter();
 var mathABS = Math.abs;
@@ -18,11 +21,17 @@ export class Player {
     is_bot = false;
     packet_spam = 0;
 
+    // game objects this player's client holds, see Game.sendUpdates
+    knownObjects = new Set;
+
     async send(type, ...data) {
 
         if (!this.socket) return;
 
-        this.socket.send(encode([type, data]));
+        const packet = encode([type, data]);
+        this.socket.send(packet);
+        this.game?.replay?.record(this.id, type, packet);
+        this.game?.spectator_manager.mirror(this, type, packet);
 
     }
 
@@ -93,14 +102,12 @@ export class Player {
         this.sessionToken = null;
         this.sessionUserId = null;
         this.lastActivity = Date.now();
-        this.isFrozen = false;
         this.isInvisible = false;
         this.isInvincible = false;
         this.customDamage = null;
         this.weaponSpeed = 1;
         this.weaponVariant = 0;
         this.knockbackMultiplier = 1;
-        this.speedMultiplier = 1;
         this.hatEffect = null;
         this.animalMode = null;
         this.sizeScale = 1;
@@ -112,7 +119,6 @@ export class Player {
         this.policeInterval = null;
         this.hasSuperHammer = false;
         this.bypassShield = false;
-        this.isDisarmed = false;
         this.teleportClickMode = false;
         this.mobMode = null;
         this.mobModeIndex = null;
@@ -128,6 +134,13 @@ export class Player {
         this.lowDamageTimeout = null;
         this.deaths = 0;
 
+        // last "a" values this client has for each sid, see network/playerSnapshot.js
+        this.snapshotBaselines = new Map();
+        // ids of the players whose clients were sent this player with "D", reset on spawn
+        this.sentTo = {};
+        // poison, shame, admin freezes and the like, see statusEffects.js
+        this.effects = new StatusEffects(this);
+
         // SPAWN:
         this.spawn = function(moofoll) {
             this.active = true;
@@ -137,7 +150,6 @@ export class Player {
             this.minimapCounter = 0;
             this.chatCountdown = 0;
             this.shameCount = 0;
-            this.shameTimer = 0;
             this.sentTo = {};
             this.gathering = 0;
             this.autoGather = 0;
@@ -146,7 +158,9 @@ export class Player {
             this.mouseState = 0;
             this.buildIndex = -1;
             this.weaponIndex = 0;
-            this.dmgOverTime = {};
+            this.effects.clear();
+            // this life's entry in the match history, see matchHistory.js
+            this.match = { startedAt: Date.now(), resources: {}, structures: 0, weapons: new Set };
             this.noMovTimer = 0;
             this.maxXP = config.experience ? config.experience.initialXP : 300;
             this.XP = 0;
@@ -281,7 +295,7 @@ export class Player {
 
         // GET DATA TO SEND:
         this.getData = function() {
-            return [this.id, this.sid, this.name, UTILS.fixTo(this.x, 2), UTILS.fixTo(this.y, 2), UTILS.fixTo(this.dir, 3), this.health, this.maxHealth, this.scale, this.skinColor, this.isAdmin ? 1 : 0, this.isInvincible ? 1 : 0];
+            return [this.id, this.sid, this.name, UTILS.fixTo(this.x, 2), UTILS.fixTo(this.y, 2), UTILS.fixTo(this.dir, 3), this.health, this.maxHealth, this.scale, this.skinColor, this.isAdmin ? 1 : 0, this.isInvincible ? 1 : 0, this.nameColor || null];
         };
 
         this.getInfo = function() {
@@ -301,7 +315,8 @@ export class Player {
                 this.zIndex,
                 Number.isFinite(this.clientCps) ? Math.max(0, Math.round(this.clientCps)) : 0,
                 Number.isFinite(this.clientPing) ? Math.max(-1, Math.round(this.clientPing)) : -1,
-                this.isAdmin ? 1 : 0
+                this.isAdmin ? 1 : 0,
+                this.effects.mask()
             ];
         };
 
@@ -338,19 +353,11 @@ export class Player {
                 this.ping_cooldown -= delta;
             }
 
-            // SHAME SHAME SHAME:
-            if (this.shameTimer > 0) {
-                this.skinIndex = 45;
-                this.shameTimer -= delta;
-                if (this.shameTimer <= 0) {
-                    this.skinIndex = this.skin.id || 0;
-                    this.shameTimer = 0;
-                    this.shameCount = 0;
-                }
-            }
+            // STATUS EFFECTS:
+            this.effects.update(delta);
 
             // REGENS AND AUTO:
-            timerCount -= 1;
+            timerCount -= delta;
             if (timerCount <= 0) {
 
                 if (this.pps) {
@@ -370,17 +377,7 @@ export class Player {
                 if (regenAmount) {
                     this.changeHealth(regenAmount, this);
                 }
-                if (this.dmgOverTime.dmg) {
-                    this.changeHealth(-this.dmgOverTime.dmg, this.dmgOverTime.doer);
-                    this.dmgOverTime.time -= 1;
-                    if (this.dmgOverTime.time <= 0) {
-                        this.dmgOverTime.dmg = 0;
-                    }
-                }
-                if (this.healCol) {
-                    this.changeHealth(this.healCol, this);
-                }
-                timerCount = config.serverUpdateRate;
+                timerCount = 1000;
 
                 this.packet_spam = 0;
             }
@@ -403,20 +400,24 @@ export class Player {
             if (this.xVel || this.yVel) {
                 this.noMovTimer = 0;
             }
-            if (this.lockMove || this.isFrozen) {
+            if (this.lockMove || this.effects.blocks("move")) {
                 this.xVel = 0;
                 this.yVel = 0;
             } else {
                 var buildPenalty = (this.buildIndex >= 0) ? (config.physics ? config.physics.buildingSpeedPenalty : 0.5) : 1;
-                var spdMult = buildPenalty * (items.weapons[this.weaponIndex].spdMult || 1) * (this.skin ? this.skin.spdMult || 1 : 1) * (this.tail ? this.tail.spdMult || 1 : 1) * (this.y <= config.snowBiomeTop ? this.skin && this.skin.coldM ? 1 : config.snowSpeed : 1) * this.slowMult * (this.speedMultiplier || 1);
-                if (!this.zIndex && this.y >= config.mapScale / 2 - config.riverWidth / 2 && this.y <= config.mapScale / 2 + config.riverWidth / 2) {
+                var spdMult = buildPenalty * (items.weapons[this.weaponIndex].spdMult || 1) * (this.skin ? this.skin.spdMult || 1 : 1) * (this.tail ? this.tail.spdMult || 1 : 1) * (config.gameMap.biomeAt(this.x, this.y) == "snow" ? this.skin && this.skin.coldM ? 1 : this.weatherSetting("snowSpeed") : 1) * this.slowMult * this.effects.multiplier("speed");
+                var river = this.zIndex ? null : config.gameMap.riverAt(this.x, this.y);
+                if (river) {
+                    var currentEffect;
                     if (this.skin && this.skin.watrImm) {
                         spdMult *= (config.water ? config.water.immunitySpeedMultiplier : 0.75);
-                        this.xVel += config.waterCurrent * (config.water ? config.water.immunityCurrentEffect : 0.4) * delta;
+                        currentEffect = config.water ? config.water.immunityCurrentEffect : 0.4;
                     } else {
                         spdMult *= (config.water ? config.water.normalSpeedMultiplier : 0.33);
-                        this.xVel += config.waterCurrent * (config.water ? config.water.normalCurrentEffect : 1.0) * delta;
+                        currentEffect = config.water ? config.water.normalCurrentEffect : 1.0;
                     }
+                    this.xVel += river.current * river.dirX * currentEffect * delta;
+                    this.yVel += river.current * river.dirY * currentEffect * delta;
                 }
                 var xVel = this.moveDir != undefined ? mathCOS(this.moveDir) : 0;
                 var yVel = this.moveDir != undefined ? mathSIN(this.moveDir) : 0;
@@ -436,7 +437,6 @@ export class Player {
             // OBJECT COLL:
             this.zIndex = 0;
             this.lockMove = false;
-            this.healCol = 0;
             this.boostPadsThisFrame = new Set();
             this.boostedThisFrame = false;
 
@@ -546,6 +546,9 @@ export class Player {
                         }
                         this.gathering = this.mouseState;
                         if (worked) {
+                            if (this.match) {
+                                this.match.weapons.add(this.weaponIndex);
+                            }
                             if (this.gatlingMode) {
                                 this.reloads[this.weaponIndex] = 1;
                             } else {
@@ -570,7 +573,7 @@ export class Player {
             if (this.skinIndex != 53) return;
             let getDist = (tmpObj) => UTILS.getDistance(this.x, this.y, tmpObj.x, tmpObj.y);
             let getDirect = (tmpObj) => UTILS.getDirection(tmpObj.x, tmpObj.y, this.x, this.y)
-            let nearPlayer = players.filter(tmpObj => tmpObj.alive && tmpObj.skinIndex != 22 && !(this == tmpObj || (this.team && this.team == tmpObj.team))).sort(function (tmp1, tmp2) {
+            let nearPlayer = players.filter(tmpObj => tmpObj.alive && tmpObj.skinIndex != 22 && !(this == tmpObj || isFriendly(this, tmpObj))).sort(function (tmp1, tmp2) {
                 return getDist(tmp1) - getDist(tmp2);
             })[0];
             if (!nearPlayer) return;
@@ -610,7 +613,8 @@ export class Player {
         };
 
         // CHANGE HEALTH:
-        this.changeHealth = function(amount, doer) {
+        // source is what dealt the damage when that is not doer itself: an animal, a structure
+        this.changeHealth = function(amount, doer, source) {
             if (this.isInvincible && amount < 0 && !(doer && doer.bypassShield)) {
                 if (doer && doer.canSee(this)) {
                     doer.send("IX", Math.round(this.x), Math.round(this.y));
@@ -641,7 +645,7 @@ export class Player {
                 this.health = this.maxHealth;
             }
             if (this.health <= 0) {
-                this.kill(doer);
+                this.kill(doer, source);
             }
             for (var i = 0; i < players.length; ++i) {
                 if (this.sentTo[players[i].id]) {
@@ -660,7 +664,8 @@ export class Player {
         };
 
         // KILL:
-        this.kill = function(doer) {
+        this.kill = function(doer, source) {
+            this.game?.matches?.finish(this, deathCause(this, doer, source));
             if (doer && doer.alive) {
                 doer.kills++;
                 var goldStealPct = config.combat ? config.combat.goldStealPercent : 0.5;
@@ -671,10 +676,14 @@ export class Player {
                     scoreCallback(doer, Math.round(this.age * killScoreMult * (doer.skin && doer.skin.kScrM ? doer.skin.kScrM : 1)));
                 }
                 doer.send("N", "kills", doer.kills, 1);
+                if (this.game?.clan_manager.diplomacy.warKill(doer, this)) {
+                    scoreCallback(doer, config.warKillBonus);
+                }
             }
             this.deaths++;
             this.send("N", "deaths", this.deaths, 1);
             this.alive = false;
+            this.effects.clear();
             this.send("P");
             iconCallback();
         };
@@ -683,6 +692,10 @@ export class Player {
         this.addResource = function(type, amount, auto) {
             if (!auto && amount > 0) {
                 this.addWeaponXP(amount);
+                if (this.match) {
+                    var resource = config.resourceTypes[type];
+                    this.match.resources[resource] = (this.match.resources[resource] || 0) + amount;
+                }
             }
                 this[config.resourceTypes[type]] += amount;
                 this.send("N", config.resourceTypes[type], this[config.resourceTypes[type]], 1);
@@ -715,7 +728,7 @@ export class Player {
                         if (timeSinceHit <= 120) {
                             this.shameCount++;
                             if (this.shameCount >= 8) {
-                                this.shameTimer = 30000;
+                                this.effects.apply("shame", { duration: 30000 });
                                 this.shameCount = 0;
                             }
                         } else {
@@ -725,11 +738,14 @@ export class Player {
                             }
                         }
                     }
-                    if (this.shameTimer <= 0) {
+                    if (!this.effects.blocks("eat")) {
                         worked = item.consume(this);
                     }
                 } else {
                     worked = true;
+                    if (this.match) {
+                        this.match.structures++;
+                    }
                     if (item.group && item.group.limit) {
                         this.changeItemCount(item.group.id, 1);
                     }
@@ -804,13 +820,18 @@ export class Player {
             return this.hasRes(item);
         };
 
+        // a weather-scaled setting where the player stands
+        this.weatherSetting = function(key) {
+            return this.game ? this.game.weather_manager.setting(key, this.x, this.y) : config[key];
+        };
+
         // GATHER:
         this.gather = function() {
             // SHOW:
             this.noMovTimer = 0;
 
             // SLOW MOVEMENT:
-            this.slowMult -= items.weapons[this.weaponIndex].hitSlow || 0.3;
+            this.slowMult -= items.weapons[this.weaponIndex].hitSlow || this.weatherSetting("defaultHitSlow");
             if (this.slowMult < 0) {
                 this.slowMult = 0;
             }
@@ -858,6 +879,9 @@ export class Player {
                                         this.addResource(3, 1);
                                     }
                                     this.addResource(tmpObj.type, count);
+                                    if (config.resourceDepletion) {
+                                        objectManager.deplete(tmpObj, count);
+                                    }
                                 }
                                 hitSomething = true;
                                 objectManager.hitObj(tmpObj, tmpDir);
@@ -870,7 +894,7 @@ export class Player {
             // CHECK IF HIT PLAYER:
             for (var i = 0; i < players.length + ais.length; ++i) {
                 tmpObj = players[i] || ais[i - players.length];
-                if (tmpObj != this && tmpObj.alive && !(tmpObj.team && tmpObj.team == this.team)) {
+                if (tmpObj != this && tmpObj.alive && !isFriendly(this, tmpObj)) {
                     tmpDist = UTILS.getDistance(this.x, this.y, tmpObj.x, tmpObj.y) - tmpObj.scale * 1.8;
                     if (tmpDist <= weaponRange) {
                         tmpDir = UTILS.getDirection(tmpObj.x, tmpObj.y, this.x, this.y);
@@ -910,15 +934,15 @@ export class Player {
                             if (tmpObj.tail && tmpObj.tail.dmg) {
                                 this.changeHealth(-dmgVal * tmpObj.tail.dmg, tmpObj);
                             }
-                            if (tmpObj.dmgOverTime && this.skin && this.skin.poisonDmg && !(tmpObj.skin && tmpObj.skin.poisonRes)) {
-                                tmpObj.dmgOverTime.dmg = this.skin.poisonDmg;
-                                tmpObj.dmgOverTime.time = this.skin.poisonTime || 1;
-                                tmpObj.dmgOverTime.doer = this;
+                            if (tmpObj.effects && this.skin && this.skin.poisonDmg) {
+                                tmpObj.effects.apply("poison", { value: this.skin.poisonDmg, duration: (this.skin.poisonTime || 1) * 1000, source: this });
                             }
-                            if (tmpObj.dmgOverTime && applyPoison && !(tmpObj.skin && tmpObj.skin.poisonRes)) {
-                                tmpObj.dmgOverTime.dmg = 5;
-                                tmpObj.dmgOverTime.time = 5;
-                                tmpObj.dmgOverTime.doer = this;
+                            if (tmpObj.effects && applyPoison) {
+                                tmpObj.effects.apply("poison", {
+                                    value: config.combat ? config.combat.poisonDamage : 5,
+                                    duration: (config.combat ? config.combat.poisonDuration : 5) * 1000,
+                                    source: this
+                                });
                             }
                             if (tmpObj.skin && tmpObj.skin.dmgK) {
                                 this.xVel -= tmpObj.skin.dmgK * mathCOS(tmpDir);
@@ -999,7 +1023,8 @@ export class Player {
             }
             var dx = mathABS(other.x - this.x) - other.scale;
             var dy = mathABS(other.y - this.y) - other.scale;
-            return dx <= config.maxScreenWidth / 2 * 1.3 && dy <= config.maxScreenHeight / 2 * 1.3;
+            var viewMlt = config.dayCycle ? config.dayCycle.viewScale(this.skin && this.skin.nightVision) : 1;
+            return dx <= config.maxScreenWidth / 2 * 1.3 * viewMlt && dy <= config.maxScreenHeight / 2 * 1.3 * viewMlt;
         };
     };
 }
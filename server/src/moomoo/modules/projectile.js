@@ -1,5 +1,10 @@
+import { isFriendly } from "./diplomacy.js";
+
 export class Projectile {
-    constructor(players, ais, objectManager, items, config, UTILS, server) {
+    constructor(players, ais, objectManager, items, config, UTILS, server, playerIndex, aiIndex) {
+        var viewWidth = config.maxScreenWidth / 2 * 1.3;
+        var viewHeight = config.maxScreenHeight / 2 * 1.3;
+
         // INIT:
         this.init = function(indx, x, y, dir, spd, dmg, rng, scl, owner) {
             this.active = true;
@@ -20,6 +25,7 @@ export class Projectile {
 
         // UPDATE:
         var objectsHit = [];
+        var nearby = [];
         var tmpObj;
         this.update = function(delta) {
             if (this.active) {
@@ -40,16 +46,23 @@ export class Projectile {
                     this.skipMov = false;
                 }
                 if (server) {
-                    for (var i = 0; i < players.length; ++i) {
-                        if (!this.sentTo[players[i].id] && players[i].canSee(this)) {
-                            this.sentTo[players[i].id] = 1;
-                            players[i].send("X", UTILS.fixTo(this.x, 1), UTILS.fixTo(this.y, 1), UTILS.fixTo(this.dir, 2), UTILS.fixTo(this.range, 1), this.speed, this.indx, this.layer, this.sid);
+                    nearby.length = 0;
+                    playerIndex.query(this.x - viewWidth - this.scale, this.y - viewHeight - this.scale, this.x + viewWidth + this.scale, this.y + viewHeight + this.scale, nearby);
+                    for (var i = 0; i < nearby.length; ++i) {
+                        if (!this.sentTo[nearby[i].id] && nearby[i].canSee(this)) {
+                            this.sentTo[nearby[i].id] = 1;
+                            nearby[i].send("X", UTILS.fixTo(this.x, 1), UTILS.fixTo(this.y, 1), UTILS.fixTo(this.dir, 2), UTILS.fixTo(this.range, 1), this.speed, this.indx, this.layer, this.sid);
                         }
                     }
                     objectsHit.length = 0;
-                    for (var i = 0; i < players.length + ais.length; ++i) {
-                        tmpObj = players[i] || ais[i - players.length];
-                        if (tmpObj.alive && tmpObj != this.owner && !(this.owner.team && tmpObj.team == this.owner.team)) {
+                    nearby.length = 0;
+                    var endX = this.x + tmpSpeed * Math.cos(this.dir);
+                    var endY = this.y + tmpSpeed * Math.sin(this.dir);
+                    playerIndex.query(Math.min(this.x, endX), Math.min(this.y, endY), Math.max(this.x, endX), Math.max(this.y, endY), nearby);
+                    aiIndex.query(Math.min(this.x, endX), Math.min(this.y, endY), Math.max(this.x, endX), Math.max(this.y, endY), nearby);
+                    for (var i = 0; i < nearby.length; ++i) {
+                        tmpObj = nearby[i];
+                        if (tmpObj.alive && tmpObj != this.owner && !isFriendly(this.owner, tmpObj)) {
                             if (UTILS.lineInRect(tmpObj.x - tmpObj.scale, tmpObj.y - tmpObj.scale, tmpObj.x + tmpObj.scale, tmpObj.y + tmpObj.scale, this.x, this.y, this.x + tmpSpeed * Math.cos(this.dir), this.y + tmpSpeed * Math.sin(this.dir))) {
                                 objectsHit.push(tmpObj);
                             }
@@ -99,6 +112,7 @@ export class Projectile {
                                             }
                                         } else {
                                             players[i].send("Q", hitObj.sid);
+                                            players[i].knownObjects.delete(hitObj);
                                         }
                                     }
                                     if (!hitObj.active && hitObj.owner == players[i]) {
@@ -1,5 +1,5 @@
 export class ProjectileManager {
-    constructor(Projectile, projectiles, players, ais, objectManager, items, config, UTILS, server) {
+    constructor(Projectile, projectiles, players, ais, objectManager, items, config, UTILS, server, playerIndex, aiIndex) {
         this.addProjectile = function(x, y, dir, range, speed, indx, owner, ignoreObj, layer) {
             var tmpData = items.projectiles[indx];
             var tmpProj;
@@ -10,7 +10,7 @@ export class ProjectileManager {
                 }
             }
             if (!tmpProj) {
-                tmpProj = new Projectile(players, ais, objectManager, items, config, UTILS, server);
+                tmpProj = new Projectile(players, ais, objectManager, items, config, UTILS, server, playerIndex, aiIndex);
                 tmpProj.sid = projectiles.length;
                 projectiles.push(tmpProj);
             }
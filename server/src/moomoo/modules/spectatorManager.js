@@ -0,0 +1,271 @@
+import { UNRECORDED_TYPES } from "../replays.js";
+import { UTILS } from "../libs/utils.js";
+
+// never copied to followers: logins and tokens, admin tools, upgrade picks, packets that would end the viewer's game
+// and what only the target's tribe and allies may know (markers, map pings, the minimap)
+const PRIVATE_TYPES = new Set([
+    ...UNRECORDED_TYPES,
+    "A",
+    "B",
+    "P",
+    "U",
+    "6",
+    "KICKED",
+    "BANNED",
+    "SESSION_EXPIRED",
+    "SECURITY_KICK",
+    "RATE_LIMIT_WARNING",
+    "RATE_LIMIT_FREEZE",
+    "ADMIN_LOGIN",
+    "SHOW_IDS",
+    "TC",
+    "SPECTATE",
+    "MK",
+    "9",
+    "7"
+]);
+
+/*
+ * Lets a connection watch a room without playing. A spectator is a player
+ * that is not alive (a dead player who opted in, or a ?spectate=1 connection
+ * that never spawns) and either follows a target or roams. Followers get a
+ * copy of every packet sent to their target alone on top of the broadcasts,
+ * so their client runs the game exactly as the target sees it; Game skips
+ * them in sendUpdates. A roaming spectator reports its camera in "SP" and
+ * gets the usual updates around it. Spectators do not count as players.
+ *
+ * "SPECTATE" tells the client who it follows (null while roaming), who it
+ * can follow and whether to drop its world because the view changed, or is
+ * null once it stops spectating.
+ */
+export class SpectatorManager {
+
+    /** @type {Map<object, object|null>} spectator -> followed player, null while roaming */
+    spectators = new Map;
+    /** @type {Map<object, Set<object>>} followed player -> its followers */
+    followers = new Map;
+    listTimer = 0;
+
+    constructor(game) {
+
+        this.game = game;
+        this.config = game.config;
+
+    }
+
+    get size() {
+        return this.spectators.size;
+    }
+
+    has(player) {
+        return this.spectators.has(player);
+    }
+
+    isFull() {
+        return this.size >= this.config.maxSpectators;
+    }
+
+    // the player whose view a spectator gets, null while roaming or not spectating
+    targetOf(spectator) {
+        return this.spectators.get(spectator) ?? null;
+    }
+
+    // who can be followed, in sid order so next/prev go round the same way for everyone
+    targets() {
+        return this.game.players
+            .filter(player => player.alive && !player.isInvisible)
+            .sort((a, b) => a.sid - b.sid);
+    }
+
+    start(spectator) {
+
+        if (this.has(spectator)) return true;
+        if (spectator.alive || this.isFull()) return false;
+
+        // players hear about nearby spectators through canSee, which needs a size
+        spectator.scale ??= 0;
+        this.spectators.set(spectator, null);
+        this.follow(spectator, this.targets()[0] ?? null);
+        return true;
+
+    }
+
+    stop(spectator) {
+
+        if (!this.has(spectator)) return;
+
+        this.detach(spectator);
+        this.forgetView(spectator);
+        this.spectators.delete(spectator);
+        spectator.send("SPECTATE", null);
+
+    }
+
+    // a null target roams from wherever the camera is
+    follow(spectator, target) {
+
+        if (!this.has(spectator)) return;
+
+        this.detach(spectator);
+        this.forgetView(spectator);
+        this.spectators.set(spectator, target);
+
+        if (target) {
+            let followers = this.followers.get(target);
+            if (!followers) this.followers.set(target, followers = new Set);
+            followers.add(spectator);
+            spectator.x = target.x;
+            spectator.y = target.y;
+        } else if (!Number.isFinite(spectator.x) || !Number.isFinite(spectator.y)) {
+            spectator.x = spectator.y = this.config.mapScale / 2;
+        }
+
+        this.sendState(spectator, true);
+        if (target) this.sendView(spectator, target);
+
+    }
+
+    followSid(spectator, sid) {
+        const target = this.targets().find(player => player.sid === sid);
+        if (target) this.follow(spectator, target);
+    }
+
+    cycle(spectator, step) {
+
+        const targets = this.targets();
+        if (targets.length === 0) return void this.follow(spectator, null);
+
+        const current = targets.indexOf(this.targetOf(spectator));
+        const index = current === -1
+            ? (step > 0 ? 0 : targets.length - 1)
+            : (current + step + targets.length) % targets.length;
+        this.follow(spectator, targets[index]);
+
+    }
+
+    moveCamera(spectator, x, y) {
+
+        if (!this.has(spectator) || this.targetOf(spectator)) return;
+
+        const scale = this.config.mapScale;
+        spectator.x = Math.min(Math.max(x, 0), scale);
+        spectator.y = Math.min(Math.max(y, 0), scale);
+
+    }
+
+    // copies a packet sent to one player to everyone following them
+    mirror(player, type, packet) {
+
+        const followers = this.followers.get(player);
+        if (!followers || PRIVATE_TYPES.has(type)) return;
+
+        for (const spectator of followers) {
+            spectator.socket?.send(packet);
+        }
+
+    }
+
+    // followers of someone who died, vanished or left move on to the next player
+    update(delta) {
+
+        if (this.size === 0) return;
+
+        const targets = this.targets();
+        for (const [spectator, target] of this.spectators) {
+            if (target && !targets.includes(target)) {
+                this.cycle(spectator, 1);
+            }
+        }
+
+        this.listTimer -= delta;
+        if (this.listTimer > 0) return;
+        this.listTimer = this.config.spectatorListRate;
+
+        for (const spectator of this.spectators.keys()) {
+            this.sendState(spectator);
+        }
+
+    }
+
+    remove(player) {
+
+        if (this.has(player)) {
+            this.detach(player);
+            this.spectators.delete(player);
+        }
+
+        for (const spectator of this.followers.get(player) ?? []) {
+            this.cycle(spectator, 1);
+        }
+        this.followers.delete(player);
+
+    }
+
+    detach(spectator) {
+
+        const target = this.targetOf(spectator);
+        const followers = target && this.followers.get(target);
+        if (!followers) return;
+
+        followers.delete(spectator);
+        if (followers.size === 0) this.followers.delete(target);
+
+    }
+
+    // the client drops its world on "SPECTATE" or "RW", so nothing counts as sent any more
+    forgetView(spectator) {
+
+        for (const player of this.game.players) {
+            delete player.sentTo[spectator.id];
+        }
+        for (const object of spectator.knownObjects) {
+            delete object.sentTo[spectator.id];
+        }
+        spectator.knownObjects.clear();
+        spectator.snapshotBaselines.clear();
+
+    }
+
+    sendState(spectator, reset = false) {
+
+        const target = this.targetOf(spectator);
+        spectator.send("SPECTATE", {
+            target: target ? target.sid : null,
+            players: this.targets().flatMap(player => [player.sid, player.name]),
+            reset
+        });
+
+    }
+
+    // what the target's client already has, so the follower can pick up its packets from here;
+    // Game#resendWorld also sends a player their own view this way
+    sendView(spectator, target) {
+
+        spectator.send("C", target.sid);
+        for (const player of this.game.players) {
+            if (player.alive && player.sentTo[target.id]) {
+                spectator.send("D", player.getData(), player === target);
+            }
+        }
+
+        const objects = [...target.knownObjects].filter(object => object.active);
+        if (objects.length > 0) {
+            spectator.send("H", objects.flatMap(object => this.game.getObjectData(object)));
+        }
+
+        for (const resource of this.config.resourceTypes) {
+            spectator.send("N", resource, target[resource] || 0, 1);
+        }
+        spectator.send("V", target.items, 0);
+        spectator.send("V", target.weapons, 1);
+        spectator.send("T", target.XP, UTILS.fixTo(target.maxXP, 1), target.age);
+        for (const index in target.itemCounts) {
+            spectator.send("S", Number(index), target.itemCounts[index]);
+        }
+
+        // the next "a" is a keyframe for the target and every follower alike
+        target.snapshotBaselines.clear();
+
+    }
+
+}
@@ -0,0 +1,106 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { decode } from "msgpack-lite";
+import { Game } from "../server.js";
+
+function createGame() {
+    const game = new Game({ id: "spectators" });
+    game.stop();
+    return game;
+}
+
+function connect(game) {
+    const packets = [];
+    const player = game.addPlayer({ readyState: 1, send: packet => packets.push(decode(packet)) });
+    const received = type => packets.filter(([name]) => name === type).map(([, data]) => data);
+    received.clear = () => packets.length = 0;
+    return [player, received];
+}
+
+function spawn(game, name) {
+    const [player, received] = connect(game);
+    player.setUserData({ name });
+    player.spawn();
+    return [player, received];
+}
+
+test("a follower sees what its target is sent and does not count as a player", () => {
+    const game = createGame();
+    const [target] = spawn(game, "target");
+    const [spectator, received] = connect(game);
+
+    game.indexPlayers();
+    game.sendUpdates(0);
+    received.clear();
+
+    assert.equal(game.spectator_manager.start(spectator), true);
+    assert.equal(game.spectator_manager.targetOf(spectator), target);
+    assert.deepEqual(received("SPECTATE")[0][0], { target: target.sid, players: [target.sid, "target"], reset: true });
+    assert.deepEqual(received("C"), [[target.sid]]);
+    assert.equal(received("D")[0][1], true);
+
+    received.clear();
+    target.send("N", "wood", 50, 1);
+    target.send("6", -1, "only for the target");
+    game.sendUpdates(0);
+
+    assert.deepEqual(received("N"), [["wood", 50, 1]]);
+    assert.deepEqual(received("6"), []);
+    // one "a", copied from the target rather than worked out for the spectator
+    assert.equal(received("a").length, 1);
+    assert.equal(received("G")[0][0].length, 3);
+    assert.equal(game.countPlayers(), 1);
+});
+
+test("a follower is not sent its target's tribe markers, pings or minimap", () => {
+    const game = createGame();
+    const [target, sentToTarget] = spawn(game, "target");
+    const [ally] = spawn(game, "ally");
+    const [spectator, received] = connect(game);
+    game.clan_manager.create("red", target);
+    game.clan_manager.create("blue", ally);
+    game.clan_manager.diplomacy.act("red", "blue", "ally");
+    game.clan_manager.diplomacy.act("blue", "red", "ally");
+
+    game.spectator_manager.start(spectator);
+    game.spectator_manager.followSid(spectator, target.sid);
+    received.clear();
+
+    game.clan_manager.clans.get("red").broadcast("9", target.x, target.y);
+    target.send("MK", [[1, 0, 100, 100]]);
+    game.minimapCooldown = 0;
+    game.indexPlayers();
+    game.sendUpdates(0);
+
+    // the target still gets them, with its ally on the minimap
+    assert.deepEqual(sentToTarget("7").at(-1), [[ally.x, ally.y]]);
+    assert.deepEqual(received("9"), []);
+    assert.deepEqual(received("MK"), []);
+    assert.deepEqual(received("7"), []);
+});
+
+test("followers move on when their target dies and roam when nobody is left", () => {
+    const game = createGame();
+    const [first] = spawn(game, "first");
+    const [second] = spawn(game, "second");
+    const [spectator] = connect(game);
+    const spectators = game.spectator_manager;
+
+    spectators.start(spectator);
+    assert.equal(spectators.targetOf(spectator), first);
+
+    // prev goes round to the last player
+    spectators.cycle(spectator, -1);
+    assert.equal(spectators.targetOf(spectator), second);
+
+    second.alive = false;
+    game.sendUpdates(0);
+    assert.equal(spectators.targetOf(spectator), first);
+
+    game.removePlayer(first.id);
+    assert.equal(spectators.targetOf(spectator), null);
+    assert.equal(spectators.followers.size, 0);
+
+    spectators.moveCamera(spectator, -50, 100);
+    assert.deepEqual([spectator.x, spectator.y], [0, 100]);
+});
@@ -0,0 +1,171 @@
+import sharedEffects from "../../../../shared/config/effects.js";
+
+export const effects = sharedEffects.effects;
+const effectsByName = new Map(effects.map(type => [type.name, type]));
+
+// what effects do, named by onStart, onTick and onEnd in shared/config/effects.js
+export const effectHandlers = {
+    damage(owner, effect) {
+        owner.changeHealth(-effect.value, effect.source);
+    },
+    heal(owner, effect) {
+        owner.changeHealth(effect.value, owner);
+    },
+    shame(owner) {
+        owner.skinIndex = 45;
+    },
+    unshame(owner) {
+        owner.skinIndex = owner.skin ? owner.skin.id : 0;
+        owner.shameCount = 0;
+    }
+};
+
+/*
+ * The status effects one player or animal carries. Anything that poisons,
+ * freezes or speeds up its carrier applies a named effect from
+ * shared/config/effects.js with a value, a duration and whoever caused it,
+ * and the effect's stack rule decides what happens when it is already
+ * running. The owner calls update every step to run ticks and expire
+ * effects, and asks blocks/multiplier where it moves, attacks or eats.
+ *
+ * Clients learn which effects someone carries from mask(), sent with the
+ * player snapshot in "a" and the animal data in "I".
+ */
+export class StatusEffects {
+
+    /** @type {Map<string, { type: object, value: number, remaining: number, timer: number, source: object|null }>} */
+    active = new Map;
+
+    constructor(owner) {
+
+        this.owner = owner;
+
+    }
+
+    // a duration of Infinity lasts until removed; false when the owner is immune
+    apply(name, { value = 1, duration = Infinity, source = null } = {}) {
+
+        const type = effectsByName.get(name);
+        if (!type) throw new Error(`Unknown status effect: ${name}`);
+        if (type.resist && this.resists(type.resist)) return false;
+
+        const effect = this.active.get(name);
+        if (!effect) {
+            const started = { type, value, remaining: duration, timer: type.tick ?? 0, source };
+            this.active.set(name, started);
+            this.run(type.onStart, started);
+            return true;
+        }
+
+        switch (type.stack) {
+            case "replace":
+                effect.value = value;
+                effect.remaining = duration;
+                effect.timer = type.tick ?? 0;
+                break;
+            case "strongest":
+                if (value < effect.value) return true;
+                effect.remaining = value > effect.value ? duration : Math.max(effect.remaining, duration);
+                effect.value = value;
+                break;
+            case "add":
+                effect.value = Math.min(effect.value + value, type.maxValue ?? Infinity);
+                effect.remaining = Math.max(effect.remaining, duration);
+                break;
+            default:
+                effect.remaining = Math.max(effect.remaining, duration);
+        }
+        effect.source = source;
+        return true;
+
+    }
+
+    remove(name) {
+
+        const effect = this.active.get(name);
+        if (!effect) return;
+
+        this.active.delete(name);
+        this.run(effect.type.onEnd, effect);
+
+    }
+
+    // drops everything but persist effects without running onEnd, for deaths and respawns
+    clear() {
+
+        for (const [name, { type }] of this.active) {
+            if (!type.persist) this.active.delete(name);
+        }
+
+    }
+
+    has(name) {
+        return this.active.has(name);
+    }
+
+    value(name) {
+        return this.active.get(name)?.value ?? 0;
+    }
+
+    blocks(action) {
+
+        for (const { type } of this.active.values()) {
+            if (type.blocks?.includes(action)) return true;
+        }
+        return false;
+
+    }
+
+    multiplier(stat) {
+
+        let multiplier = 1;
+        for (const effect of this.active.values()) {
+            const modifier = effect.type.modifiers?.[stat];
+            if (modifier !== undefined) {
+                multiplier *= modifier === "value" ? effect.value : modifier;
+            }
+        }
+        return multiplier;
+
+    }
+
+    resists(flag) {
+        return !!(this.owner.skin?.[flag] || this.owner.tail?.[flag]);
+    }
+
+    update(delta) {
+
+        for (const [name, effect] of this.active) {
+            const { type } = effect;
+            if (type.onTick) {
+                effect.timer -= delta;
+                if (effect.timer <= 0) {
+                    effect.timer += type.tick;
+                    this.run(type.onTick, effect);
+                }
+            }
+            // a tick can kill the owner, which clears everything
+            if (this.active.get(name) !== effect) continue;
+
+            effect.remaining -= delta;
+            if (effect.remaining <= 0) this.remove(name);
+        }
+
+    }
+
+    // one bit per active effect id
+    mask() {
+
+        let mask = 0;
+        for (const { type } of this.active.values()) {
+            mask |= 1 << type.id;
+        }
+        return mask;
+
+    }
+
+    run(handler, effect) {
+        if (handler) effectHandlers[handler](this.owner, effect);
+    }
+
+}
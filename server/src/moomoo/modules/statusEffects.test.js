@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { StatusEffects } from "./statusEffects.js";
+
+function carrier(skin = null) {
+    const owner = { skin, tail: null, skinIndex: 0, shameCount: 3, hits: [] };
+    owner.changeHealth = (amount, doer) => owner.hits.push([amount, doer]);
+    owner.effects = new StatusEffects(owner);
+    return owner;
+}
+
+test("poison ticks once a second for its duration and hats can resist it", () => {
+    const owner = carrier();
+    const spike = { name: "spike" };
+    owner.effects.apply("poison", { value: 5, duration: 3000, source: spike });
+
+    for (let step = 0; step < 40; step++) owner.effects.update(100);
+
+    assert.deepEqual(owner.hits, [[-5, spike], [-5, spike], [-5, spike]]);
+    assert.equal(owner.effects.has("poison"), false);
+
+    const immune = carrier({ id: 21, poisonRes: 1 });
+    assert.equal(immune.effects.apply("poison", { value: 5, duration: 3000 }), false);
+    assert.equal(immune.effects.mask(), 0);
+});
+
+test("stack rules, blocks and modifiers", () => {
+    const owner = carrier({ id: 7 });
+    const { effects } = owner;
+
+    effects.apply("regeneration", { value: 10, duration: 1000 });
+    effects.apply("regeneration", { value: 4, duration: 5000 });
+    assert.equal(effects.value("regeneration"), 10);
+
+    effects.apply("speed", { value: 2 });
+    effects.apply("speed", { value: 0.5 });
+    assert.equal(effects.multiplier("speed"), 0.5);
+
+    effects.apply("shame", { duration: 200 });
+    effects.update(100);
+    assert.equal(owner.skinIndex, 45);
+    assert.equal(effects.blocks("eat"), true);
+    effects.update(100);
+    assert.equal(owner.skinIndex, 7);
+    assert.equal(owner.shameCount, 0);
+    assert.equal(effects.blocks("eat"), false);
+
+    effects.apply("frozen");
+    assert.equal(effects.mask(), 1 << 2 | 1 << 4 | 1 << 5);
+
+    // deaths keep only what admins handed out
+    effects.clear();
+    assert.equal(effects.mask(), 1 << 2 | 1 << 4);
+    assert.equal(effects.blocks("move"), true);
+});
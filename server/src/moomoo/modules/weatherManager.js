@@ -0,0 +1,135 @@
+// settings a weather event may scale while it lasts
+export const WEATHER_SETTINGS = ["snowSpeed", "waterCurrent", "riverWidth", "defaultHitSlow"];
+
+/*
+ * Runs a room's weather. With dynamicWeather on, the sky stays clear for a
+ * weatherCalm stretch, then one of config.weatherEvents runs for its duration
+ * and scales some of WEATHER_SETTINGS. Events without a biome scale them in
+ * config for the whole map; events tied to a biome leave config alone and only
+ * scale them inside the biome, read per position through setting(). Rivers keep
+ * their width and current on the map, so those two go through
+ * GameMap.setRiverScale. Every change is announced to clients in "WE".
+ */
+export class WeatherManager {
+
+    constructor(config, server) {
+
+        this.config = config;
+        this.server = server;
+        this.random = config.random.weather;
+        this.base = Object.fromEntries(WEATHER_SETTINGS.map(key => [key, config[key]]));
+        this.timer = this.calmTime();
+
+    }
+
+    // name of the running event, null while the sky is clear
+    current = null;
+    timer = 0;
+
+    update(delta) {
+
+        // rooms without dynamic weather only count down events an admin started
+        if (!this.current && !this.config.dynamicWeather) return;
+
+        this.timer -= delta;
+        if (this.timer > 0) return;
+
+        if (this.current) {
+            this.clear();
+        } else {
+            const name = this.pickEvent();
+            if (name) {
+                this.start(name);
+            } else {
+                this.timer = this.calmTime();
+            }
+        }
+
+    }
+
+    start(name, duration) {
+
+        const event = this.config.weatherEvents[name];
+        if (!event) return false;
+
+        this.current = name;
+        this.timer = duration ?? this.random.randInt(event.duration[0], event.duration[1]);
+        this.apply(event.modifiers, event.biome);
+        this.announce();
+        return true;
+
+    }
+
+    clear() {
+
+        this.current = null;
+        this.timer = this.calmTime();
+        this.apply({});
+        this.announce();
+
+    }
+
+    apply(modifiers, biome = null) {
+
+        for (const key of WEATHER_SETTINGS) {
+            this.config[key] = this.base[key] * (biome ? 1 : modifiers[key] ?? 1);
+        }
+        this.config.gameMap.setRiverScale(modifiers.riverWidth ?? 1, modifiers.waterCurrent ?? 1);
+
+    }
+
+    // a setting's value at (x, y), which differs from config inside the biome of a running event
+    setting(key, x, y) {
+
+        const event = this.current ? this.config.weatherEvents[this.current] : null;
+        if (!event?.biome || this.config.gameMap.biomeAt(x, y) !== event.biome) return this.config[key];
+
+        return this.base[key] * (event.modifiers[key] ?? 1);
+
+    }
+
+    canHappen(event) {
+        const map = this.config.gameMap;
+        if (event.biome && !map.hasBiome(event.biome)) return false;
+        if (event.modifiers.riverWidth && !map.rivers.length) return false;
+        return true;
+    }
+
+    pickEvent() {
+
+        const events = Object.entries(this.config.weatherEvents).filter(([, event]) => this.canHappen(event));
+        const total = events.reduce((sum, [, event]) => sum + event.weight, 0);
+
+        let roll = this.random.next() * total;
+        for (const [name, event] of events) {
+            roll -= event.weight;
+            if (roll < 0) return name;
+        }
+        return null;
+
+    }
+
+    calmTime() {
+        return this.random.randInt(this.config.weatherCalm[0], this.config.weatherCalm[1]);
+    }
+
+    // what clients need to render the running event, sent in "A" and "WE"
+    describe() {
+
+        if (!this.current) return null;
+
+        const event = this.config.weatherEvents[this.current];
+        return {
+            type: this.current,
+            biome: event.biome ?? null,
+            modifiers: event.modifiers,
+            remaining: Math.round(this.timer)
+        };
+
+    }
+
+    announce() {
+        this.server.broadcast("WE", this.describe());
+    }
+
+}
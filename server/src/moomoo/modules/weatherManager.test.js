@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Game } from "../server.js";
+
+function createGame(config) {
+    const game = new Game({ id: "weather", config });
+    game.stop();
+    return game;
+}
+
+test("an event scales its settings and the rivers until it clears", () => {
+    const game = createGame();
+    const config = game.config;
+    const weather = game.weather_manager;
+    const baseSlow = config.defaultHitSlow;
+    const [river] = config.gameMap.segments;
+    const baseWidth = river.halfWidth;
+
+    // without dynamic weather nothing starts on its own
+    weather.update(config.weatherCalm[1]);
+    assert.equal(weather.current, null);
+
+    weather.start("flood", 1000);
+    assert.equal(config.riverWidth, weather.base.riverWidth * config.weatherEvents.flood.modifiers.riverWidth);
+    assert.equal(config.gameMap.segments[0].halfWidth, baseWidth * config.weatherEvents.flood.modifiers.riverWidth);
+    assert.deepEqual(weather.describe(), { type: "flood", biome: null, modifiers: config.weatherEvents.flood.modifiers, remaining: 1000 });
+
+    weather.start("rain", 1000);
+    assert.equal(config.riverWidth, weather.base.riverWidth);
+    assert.equal(config.defaultHitSlow, baseSlow * config.weatherEvents.rain.modifiers.defaultHitSlow);
+
+    weather.update(1000);
+    assert.equal(weather.current, null);
+    assert.equal(config.defaultHitSlow, baseSlow);
+    assert.equal(config.gameMap.segments[0].halfWidth, baseWidth);
+});
+
+test("events tied to a biome only scale settings inside it", () => {
+    const game = createGame();
+    const config = game.config;
+    const weather = game.weather_manager;
+    const baseSlow = config.defaultHitSlow;
+    const at = biome => {
+        const region = config.gameMap.biomes.find(region => region.biome === biome);
+        return [region.x + region.width / 2, region.y + region.height / 2];
+    };
+
+    weather.start("sandstorm", 1000);
+    assert.equal(config.defaultHitSlow, baseSlow);
+    assert.equal(weather.setting("defaultHitSlow", ...at("desert")), baseSlow * config.weatherEvents.sandstorm.modifiers.defaultHitSlow);
+    assert.equal(weather.setting("defaultHitSlow", ...at("snow")), baseSlow);
+
+    const player = game.addPlayer({ readyState: 1, send() {} });
+    player.setUserData({ name: "walker" });
+    player.spawn();
+    [player.x, player.y] = at("snow");
+    assert.equal(player.weatherSetting("defaultHitSlow"), baseSlow);
+});
+
+test("scheduled events skip biomes the map does not have", () => {
+    const game = createGame({ dynamicWeather: true, worldSeed: "dry" });
+    const weather = game.weather_manager;
+    game.config.gameMap.biomes = [];
+
+    for (let i = 0; i < 50; i++) {
+        weather.update(weather.timer);
+        if (weather.current) {
+            assert.ok(["rain", "flood"].includes(weather.current));
+        }
+    }
+});
@@ -0,0 +1,339 @@
+import crypto from "node:crypto";
+import { UTILS } from "./libs/utils.js";
+
+const PARTY_CODE_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+const PARTY_CODE_LENGTH = 6;
+const PARTY_MAX_MEMBERS = 8;
+const PARTY_REJOIN_GRACE = 30 * 1000;
+const PARTY_STATUS_INTERVAL = 1000;
+const PARTY_SPAWN_RADIUS = 220;
+
+function generatePartyCode() {
+    let code = "";
+    for (let i = 0; i < PARTY_CODE_LENGTH; i++) {
+        code += PARTY_CODE_CHARS.charAt(Math.floor(Math.random() * PARTY_CODE_CHARS.length));
+    }
+    return code;
+}
+
+/*
+ * Parties live outside of rooms so they survive the reconnect a room switch
+ * needs. Every member holds a token; presenting it again on connect puts the
+ * new player object back into the same slot (host included). They live in
+ * this process only: a party follows its host between the rooms of one
+ * server, never to another server.
+ */
+export class PartyManager {
+
+    /** @type {Map<string, { code: string, room: string, hostToken: string, members: Map<string, object> }>} */
+    parties = new Map;
+
+    constructor(rooms) {
+
+        this.rooms = rooms;
+        this.statusInterval = setInterval(() => this.update(), PARTY_STATUS_INTERVAL);
+
+    }
+
+    get(code) {
+        return this.parties.get(code) ?? null;
+    }
+
+    create(player) {
+
+        this.leave(player);
+
+        let code = generatePartyCode();
+        while (this.parties.has(code)) {
+            code = generatePartyCode();
+        }
+
+        const party = {
+            code,
+            room: player.game.id,
+            hostToken: null,
+            members: new Map
+        };
+        this.parties.set(code, party);
+
+        const member = this.addMember(party, player);
+        party.hostToken = member.token;
+        player.isPartyHost = true;
+
+        console.log(`[Party] Player ${player.sid} created party: ${code}`);
+        this.sync(party);
+
+        return { success: true, code, token: member.token, room: party.room };
+
+    }
+
+    join(code, player) {
+
+        const party = this.parties.get(code);
+        if (!party) {
+            return { success: false, error: "Party not found" };
+        }
+
+        if (player.partyCode === code) {
+            return { success: true, code, token: player.partyToken, room: party.room };
+        }
+
+        if (party.members.size >= PARTY_MAX_MEMBERS) {
+            return { success: false, error: "Party is full" };
+        }
+
+        this.leave(player);
+        const member = this.addMember(party, player);
+
+        console.log(`[Party] Player ${player.sid} joined party: ${code}`);
+
+        // members in another room reconnect into the host's room before they are allied
+        if (party.room === player.game.id) {
+            this.ally(party);
+        }
+        this.sync(party);
+
+        return { success: true, code, token: member.token, room: party.room };
+
+    }
+
+    // reattach a reconnecting player to the slot their token belongs to
+    resume(code, token, player) {
+
+        const party = this.parties.get(code);
+        const member = party?.members.get(token);
+        if (!member) return false;
+
+        member.player = player;
+        member.leftAt = 0;
+        player.partyCode = code;
+        player.partyToken = token;
+        player.isPartyHost = party.hostToken === token;
+
+        if (party.room === player.game.id) {
+            this.ally(party);
+        }
+        this.sync(party);
+
+        return true;
+
+    }
+
+    leave(player) {
+
+        const party = this.parties.get(player.partyCode);
+        if (!party) return;
+
+        party.members.delete(player.partyToken);
+        this.unally(party, player);
+
+        player.partyCode = null;
+        player.partyToken = null;
+        player.isPartyHost = false;
+        player.send("PARTY_UPDATE", null);
+
+        if (party.members.size === 0) {
+            this.parties.delete(party.code);
+            return;
+        }
+        if (!party.members.has(party.hostToken)) {
+            this.promote(party);
+            this.ally(party);
+        }
+        this.sync(party);
+
+    }
+
+    // called when a socket closes; the slot is kept for PARTY_REJOIN_GRACE
+    disconnect(player) {
+
+        const party = this.parties.get(player.partyCode);
+        const member = party?.members.get(player.partyToken);
+        if (!member || member.player !== player) return;
+
+        member.player = null;
+        member.leftAt = Date.now();
+        this.sync(party);
+
+    }
+
+    // only the host can move the party; everyone reconnects into the new room,
+    // which has to be one of this server's
+    move(player, roomId) {
+
+        const party = this.parties.get(player.partyCode);
+        if (!party || !player.isPartyHost) {
+            return { success: false, error: "Only the party host can change rooms" };
+        }
+        if (!this.rooms.getRoom(roomId)) {
+            return { success: false, error: "Room not found on this server" };
+        }
+
+        party.room = roomId;
+        for (const member of party.members.values()) {
+            member.player?.send("PARTY_MOVE", { success: true, code: party.code, room: roomId });
+        }
+
+        console.log(`[Party] Party ${party.code} moving to room ${roomId}`);
+        return { success: true };
+
+    }
+
+    // spawn next to the host and pick up the party tribe
+    spawned(player) {
+
+        const party = this.parties.get(player.partyCode);
+        if (!party) return;
+
+        const member = party.members.get(player.partyToken);
+        if (member) member.name = player.name;
+
+        this.placeNearHost(party, player);
+        this.ally(party);
+        this.sync(party);
+
+    }
+
+    placeNearHost(party, player) {
+
+        const host = party.members.get(party.hostToken)?.player;
+        if (!host || host === player || !host.alive || host.game !== player.game) return;
+
+        const mapScale = player.game.config.mapScale;
+        const angle = UTILS.randFloat(-Math.PI, Math.PI);
+        const distance = UTILS.randInt(host.scale * 2, PARTY_SPAWN_RADIUS);
+
+        player.x = Math.min(Math.max(host.x + Math.cos(angle) * distance, player.scale), mapScale - player.scale);
+        player.y = Math.min(Math.max(host.y + Math.sin(angle) * distance, player.scale), mapScale - player.scale);
+
+    }
+
+    addMember(party, player) {
+
+        const token = crypto.randomUUID();
+        party.members.set(token, {
+            token,
+            name: player.name,
+            player,
+            leftAt: 0
+        });
+
+        player.partyCode = party.code;
+        player.partyToken = token;
+        player.isPartyHost = party.hostToken === token;
+
+        return party.members.get(token);
+
+    }
+
+    promote(party) {
+
+        const next = [...party.members.values()].find(member => member.player) ?? party.members.values().next().value;
+        party.hostToken = next ? next.token : null;
+
+        for (const member of party.members.values()) {
+            if (member.player) {
+                member.player.isPartyHost = member.token === party.hostToken;
+            }
+        }
+
+    }
+
+    // party members share the host's tribe, or one named after the party code.
+    // Only spawned players are allied so the tribe list shows their real names.
+    ally(party) {
+
+        const host = party.members.get(party.hostToken)?.player;
+        if (party.members.size < 2 || !host || !host.alive || host.game.id !== party.room) return;
+
+        const clans = host.game.clan_manager;
+        if (!host.team && !clans.clans.has(party.code)) {
+            clans.create(party.code, host);
+        }
+        const team = host.team ?? party.code;
+
+        for (const member of party.members.values()) {
+            const player = member.player;
+            if (!player || player === host || !player.alive || player.team || player.game !== host.game) continue;
+            clans.join(team, player);
+        }
+
+    }
+
+    unally(party, player) {
+
+        if (player.team !== party.code || !player.game) return;
+
+        const clans = player.game.clan_manager;
+        if (player.is_owner) {
+            clans.remove(party.code);
+        } else {
+            clans.kick(party.code, player.sid);
+        }
+
+    }
+
+    status(party) {
+
+        return {
+            code: party.code,
+            room: party.room,
+            members: [...party.members.values()].map(member => ({
+                name: member.name,
+                sid: member.player?.sid ?? null,
+                isHost: member.token === party.hostToken,
+                online: Boolean(member.player),
+                alive: Boolean(member.player?.alive),
+                room: member.player?.game.id ?? null,
+                health: member.player?.alive ? Math.round(member.player.health) : 0,
+                score: member.player?.points ?? 0
+            }))
+        };
+
+    }
+
+    sync(party) {
+
+        const status = this.status(party);
+        for (const member of party.members.values()) {
+            if (!member.player) continue;
+            member.player.send("PARTY_UPDATE", {
+                ...status,
+                isHost: member.token === party.hostToken
+            });
+        }
+
+    }
+
+    update() {
+
+        const now = Date.now();
+
+        for (const party of this.parties.values()) {
+
+            for (const member of party.members.values()) {
+                if (!member.player && now - member.leftAt > PARTY_REJOIN_GRACE) {
+                    party.members.delete(member.token);
+                }
+            }
+
+            if (party.members.size === 0) {
+                this.parties.delete(party.code);
+                continue;
+            }
+            if (!party.members.has(party.hostToken)) {
+                this.promote(party);
+                this.ally(party);
+            }
+
+            this.sync(party);
+
+        }
+
+    }
+
+    stop() {
+        clearInterval(this.statusInterval);
+    }
+
+}
@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { RoomManager } from "./roomManager.js";
+import { PartyManager } from "./partyManager.js";
+import { UTILS } from "./libs/utils.js";
+
+const rooms = new RoomManager([{ id: "a" }, { id: "b" }], "a");
+const parties = new PartyManager(rooms);
+
+test.after(() => {
+    parties.stop();
+    rooms.stop();
+});
+
+const socket = () => ({ readyState: 1, send() {} });
+
+function spawn(player, name) {
+    player.setUserData({ name });
+    player.spawn();
+    parties.spawned(player);
+}
+
+test("members spawn near the host and share a tribe", () => {
+    const game = rooms.getRoom("a");
+    const host = game.addPlayer(socket());
+    const member = game.addPlayer(socket());
+
+    const created = parties.create(host);
+    assert.equal(created.success, true);
+    assert.equal(parties.join(created.code, member).success, true);
+
+    spawn(host, "host");
+    spawn(member, "member");
+
+    assert.equal(host.team, created.code);
+    assert.equal(member.team, created.code);
+    assert.ok(UTILS.getDistance(host.x, host.y, member.x, member.y) <= 220 + 1);
+
+    parties.leave(member);
+    assert.equal(member.team, null);
+    assert.equal(member.partyCode, null);
+});
+
+test("a reconnecting host resumes its slot in the new room", () => {
+    const host = rooms.getRoom("a").addPlayer(socket());
+    const { code, token } = parties.create(host);
+
+    assert.equal(parties.move(host, "b").success, true);
+    parties.disconnect(host);
+
+    const rejoined = rooms.getRoom("b").addPlayer(socket());
+    assert.equal(parties.resume(code, token, rejoined), true);
+    assert.equal(rejoined.isPartyHost, true);
+    assert.equal(parties.get(code).room, "b");
+
+    assert.equal(parties.resume(code, "wrong-token", rooms.getRoom("b").addPlayer(socket())), false);
+});
+
+test("the whole party follows its host into another room of the server", () => {
+    const host = rooms.getRoom("a").addPlayer(socket());
+    const member = rooms.getRoom("a").addPlayer(socket());
+    const created = parties.create(host);
+    const joined = parties.join(created.code, member);
+
+    // a room on another server is not one of ours
+    assert.deepEqual(parties.move(host, "elsewhere"), { success: false, error: "Room not found on this server" });
+    assert.equal(parties.get(created.code).room, "a");
+
+    assert.equal(parties.move(host, "b").success, true);
+    parties.disconnect(host);
+    parties.disconnect(member);
+
+    const game = rooms.getRoom("b");
+    const movedHost = game.addPlayer(socket());
+    const movedMember = game.addPlayer(socket());
+    assert.equal(parties.resume(created.code, created.token, movedHost), true);
+    assert.equal(parties.resume(created.code, joined.token, movedMember), true);
+    spawn(movedHost, "host");
+    spawn(movedMember, "member");
+
+    assert.equal(movedMember.team, created.code);
+    assert.equal(game.clan_manager.clans.get(created.code).owner, movedHost);
+});
+
+test("only the host can move the party", () => {
+    const game = rooms.getRoom("a");
+    const host = game.addPlayer(socket());
+    const member = game.addPlayer(socket());
+    const { code } = parties.create(host);
+    parties.join(code, member);
+
+    assert.equal(parties.move(member, "b").success, false);
+    assert.equal(parties.move(host, "missing").success, false);
+});
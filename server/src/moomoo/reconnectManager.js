@@ -0,0 +1,133 @@
+// packets queued for a held player before they are given up on
+const MAX_HELD_PACKETS = 8192;
+
+// stands in for the socket of a held player and keeps what they are sent
+class HeldSocket {
+
+    readyState = 1;
+    packets = [];
+
+    constructor(onClose) {
+
+        this.onClose = onClose;
+
+    }
+
+    send(packet) {
+        if (this.readyState !== 1) return;
+        if (this.packets.length >= MAX_HELD_PACKETS) return void this.close();
+        this.packets.push(packet);
+    }
+
+    // kicks and bans close it like any other socket
+    close() {
+        if (this.readyState !== 1) return;
+        this.readyState = 3;
+        this.onClose();
+    }
+
+}
+
+/*
+ * Lets a player survive a dropped connection. Every player gets a resume token
+ * in "io-init"; when their socket drops, hold() keeps them in the world frozen
+ * in place for the room's reconnectGrace while everything sent to them is
+ * queued. A new socket presenting the token takes the player back and gets the
+ * queue first, so the client carries on as if nothing happened. A token can
+ * also take over a socket the server still thinks is open; packets lost on it
+ * cannot be told apart, so that client is sent its world again from scratch.
+ */
+export class ReconnectManager {
+
+    /** @type {Map<string, object>} */
+    players = new Map;
+    /** @type {Map<object, { timer: NodeJS.Timeout, leave: Function }>} */
+    held = new Map;
+    replaced = new WeakSet;
+
+    track(player) {
+        this.players.set(player.resumeToken, player);
+    }
+
+    forget(player) {
+        if (this.players.get(player.resumeToken) === player) {
+            this.players.delete(player.resumeToken);
+        }
+    }
+
+    find(token) {
+        return (token && this.players.get(token)) ?? null;
+    }
+
+    // returns false if the room has no grace, the caller should remove the player itself
+    hold(player, leave) {
+
+        const grace = player.game.config.reconnectGrace;
+        if (!(grace > 0) || this.find(player.resumeToken) !== player) return false;
+
+        player.socket = new HeldSocket(() => this.release(player));
+        player.moveDir = null;
+        player.mouseState = 0;
+        player.autoGather = false;
+
+        this.held.set(player, {
+            timer: setTimeout(() => this.release(player), grace),
+            leave
+        });
+
+        return true;
+
+    }
+
+    isHeld(player) {
+        return this.held.has(player);
+    }
+
+    // gives up on a held player, they leave the room for good
+    release(player) {
+
+        const hold = this.held.get(player);
+        if (!hold) return;
+
+        clearTimeout(hold.timer);
+        this.held.delete(player);
+        this.forget(player);
+        hold.leave();
+
+    }
+
+    resume(player, socket) {
+
+        const previous = player.socket;
+        const hold = this.held.get(player);
+        player.socket = socket;
+
+        if (hold) {
+            clearTimeout(hold.timer);
+            this.held.delete(player);
+            for (const packet of previous.packets) {
+                socket.send(packet);
+            }
+        } else if (previous) {
+            // its close handler has to leave the player alone
+            this.replaced.add(previous);
+            try { previous.close(); } catch (e) {}
+            // whatever was still in flight on it is lost
+            player.game.resendWorld(player);
+        }
+
+        return player;
+
+    }
+
+    wasReplaced(socket) {
+        return this.replaced.has(socket);
+    }
+
+    stop() {
+        for (const hold of this.held.values()) {
+            clearTimeout(hold.timer);
+        }
+    }
+
+}
@@ -0,0 +1,115 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import { decode } from "msgpack-lite";
+import { Game } from "./server.js";
+import { ReconnectManager } from "./reconnectManager.js";
+import { SNAPSHOT_KEYFRAME } from "../network/playerSnapshot.js";
+import { items } from "./modules/items.js";
+
+mock.timers.enable({ apis: ["setTimeout"] });
+test.after(() => mock.timers.reset());
+
+function createGame() {
+    const game = new Game({ id: "reconnect", config: { reconnectGrace: 1000 } });
+    game.stop();
+    return game;
+}
+
+function socket() {
+    return { readyState: 1, sent: [], send(packet) { this.sent.push(packet); }, close() { this.readyState = 3; } };
+}
+
+function join(game, reconnects) {
+    const player = game.addPlayer(socket());
+    player.setUserData({ name: "blip" });
+    player.spawn();
+    reconnects.track(player);
+    return player;
+}
+
+test("a resumed player gets everything sent while they were held", () => {
+    const game = createGame();
+    const reconnects = new ReconnectManager();
+    const player = join(game, reconnects);
+    let left = false;
+
+    player.moveDir = 1;
+    assert.equal(reconnects.hold(player, () => left = true), true);
+    assert.equal(player.moveDir, null);
+
+    game.server.broadcast("6", -1, "while you were away");
+    mock.timers.tick(999);
+
+    const fresh = socket();
+    assert.equal(reconnects.resume(reconnects.find(player.resumeToken), fresh), player);
+    assert.deepEqual(fresh.sent.map(packet => decode(packet)), [["6", [-1, "while you were away"]]]);
+
+    mock.timers.tick(1000);
+    assert.equal(left, false);
+    assert.ok(game.players.includes(player));
+});
+
+test("held players leave once the grace runs out or they are kicked", () => {
+    const game = createGame();
+    const reconnects = new ReconnectManager();
+    const gone = [];
+
+    const idle = join(game, reconnects);
+    reconnects.hold(idle, () => gone.push("idle"));
+    mock.timers.tick(1000);
+
+    const kicked = join(game, reconnects);
+    reconnects.hold(kicked, () => gone.push("kicked"));
+    kicked.socket.close();
+
+    assert.deepEqual(gone, ["idle", "kicked"]);
+    assert.equal(reconnects.find(idle.resumeToken), null);
+    assert.equal(reconnects.find(kicked.resumeToken), null);
+});
+
+test("a token takes over a connection the server still thinks is open", () => {
+    const game = createGame();
+    const reconnects = new ReconnectManager();
+    const player = join(game, reconnects);
+    const stale = player.socket;
+
+    reconnects.resume(player, socket());
+
+    assert.equal(stale.readyState, 3);
+    assert.equal(reconnects.wasReplaced(stale), true);
+    assert.notEqual(player.socket, stale);
+});
+
+test("taking over a connection sends the world again from scratch", () => {
+    const game = createGame();
+    const reconnects = new ReconnectManager();
+    const player = join(game, reconnects);
+    const wall = items.list.find(item => item.name === "wood wall");
+    game.object_manager.add(game.game_objects.length, player.x + 100, player.y, 0, wall.scale, wall.type, wall, false, null);
+    const object = game.game_objects.at(-1);
+
+    const update = (socket) => {
+        socket.sent.length = 0;
+        game.indexPlayers();
+        game.sendUpdates(0);
+        return socket.sent.map(packet => decode(packet));
+    };
+    update(player.socket);
+    update(player.socket);
+
+    // these never reach the client: the socket is dead but not closed yet
+    player.x += 10;
+    update(player.socket);
+
+    const fresh = socket();
+    reconnects.resume(player, fresh);
+    const resent = fresh.sent.map(packet => decode(packet));
+    assert.deepEqual(resent[0], ["RW", []]);
+    assert.ok(resent.some(([type, data]) => type === "D" && data[1] === true));
+    const objects = resent.filter(([type]) => type === "H").flatMap(([, [data]]) => data);
+    assert.ok(objects.includes(object.sid));
+
+    const [, [snapshot]] = update(fresh).find(([type]) => type === "a");
+    assert.equal(snapshot[0], player.sid);
+    assert.ok(snapshot[1] & SNAPSHOT_KEYFRAME);
+});
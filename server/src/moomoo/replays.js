@@ -0,0 +1,221 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import crypto from "node:crypto";
+import { encode } from "msgpack-lite";
+
+export const REPLAY_VERSION = 2;
+export const REPLAY_EXTENSION = ".replay.gz";
+
+const REPLAY_NAME_PATTERN = /^[\w-]+\.replay\.gz$/;
+const REPLAY_TOKEN_TTL = 10 * 60 * 1000;
+const REPLAY_FLUSH_INTERVAL = 5000;
+
+// private to the receiving player (sessions, party tokens) or pure noise
+export const UNRECORDED_TYPES = new Set([
+    "0",
+    "io-init",
+    "AUTH_RESULT",
+    "REGISTER_RESULT",
+    "BALANCE",
+    "MATCHES",
+    "TRIBE",
+    "PARTY_CREATED",
+    "PARTY_JOIN_RESULT",
+    "PARTY_UPDATE",
+    "PARTY_MOVE",
+    "REPLAY_LINK"
+]);
+
+/*
+ * Writes everything a room sends into gzipped msgpack segments. A segment is
+ * a header (room info plus the world as it was when the segment opened)
+ * followed by `[ms since start, player id or null for broadcasts, type,
+ * encoded packet]` frames. The client viewer replays the frames addressed to
+ * one player through the normal packet handlers.
+ */
+export class ReplayRecorder {
+
+    constructor(game, directory, { segmentMs, maxFiles }) {
+
+        this.game = game;
+        this.directory = directory;
+        this.segmentMs = segmentMs;
+        this.maxFiles = maxFiles;
+
+    }
+
+    file = null;
+    stream = null;
+    output = null;
+    startedAt = 0;
+    segmentTimer = null;
+    flushTimer = null;
+
+    start() {
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.openSegment();
+        this.segmentTimer = setInterval(() => this.rotate(), this.segmentMs);
+        // keep the file readable up to the last few seconds if the process dies
+        this.flushTimer = setInterval(() => this.stream?.flush(), REPLAY_FLUSH_INTERVAL);
+
+    }
+
+    openSegment() {
+
+        this.startedAt = Date.now();
+        this.file = path.join(this.directory, `${this.game.id}-${this.startedAt}${REPLAY_EXTENSION}`);
+
+        this.stream = zlib.createGzip();
+        this.stream.on("error", error => console.error(`[Replay] Failed writing ${this.file}:`, error));
+        this.output = fs.createWriteStream(this.file);
+        this.stream.pipe(this.output);
+        this.stream.write(encode(this.header()));
+
+        // snapshot deltas are relative to what each player already has, start everyone from keyframes
+        for (const player of this.game.players) {
+            player.snapshotBaselines.clear();
+        }
+
+    }
+
+    header() {
+
+        const game = this.game;
+
+        return {
+            version: REPLAY_VERSION,
+            room: {
+                id: game.id,
+                name: game.name,
+                isSandbox: Boolean(game.config.isSandbox),
+                seed: game.seed
+            },
+            startedAt: this.startedAt,
+            teams: game.clan_manager.ext(),
+            map: game.map_manager.describe(),
+            dayCycle: game.day_cycle?.describe() ?? null,
+            weather: game.weather_manager.describe(),
+            players: game.players.filter(player => player.alive).map(player => player.getData()),
+            objects: game.game_objects.filter(object => object.active).flatMap(object => game.getObjectData(object))
+        };
+
+    }
+
+    record(target, type, packet) {
+
+        if (!this.stream || UNRECORDED_TYPES.has(type)) return;
+
+        this.stream.write(encode([Date.now() - this.startedAt, target, type, packet]));
+
+    }
+
+    // resolves once the segment is fully on disk
+    closeSegment() {
+
+        if (!this.stream) return Promise.resolve();
+
+        const output = this.output;
+        const closed = new Promise(resolve => output.once("close", resolve));
+
+        this.stream.end();
+        this.stream = null;
+        this.output = null;
+
+        return closed;
+
+    }
+
+    // closes the running segment and returns its file name
+    rotate() {
+
+        const closed = path.basename(this.file);
+
+        this.closeSegment();
+        pruneReplays(this.directory, this.maxFiles);
+        this.openSegment();
+
+        return closed;
+
+    }
+
+    stop() {
+
+        clearInterval(this.segmentTimer);
+        clearInterval(this.flushTimer);
+        return this.closeSegment();
+
+    }
+
+}
+
+export function pruneReplays(directory, maxFiles) {
+
+    const files = listReplays(directory);
+
+    for (const file of files.slice(maxFiles)) {
+        fs.rm(path.join(directory, file.name), { force: true }, () => {});
+    }
+
+}
+
+// newest first
+export function listReplays(directory, roomId = null) {
+
+    if (!fs.existsSync(directory)) return [];
+
+    return fs.readdirSync(directory)
+        .filter(name => REPLAY_NAME_PATTERN.test(name))
+        .filter(name => !roomId || name.startsWith(`${roomId}-`))
+        .map(name => {
+            const stat = fs.statSync(path.join(directory, name));
+            return { name, size: stat.size, modifiedAt: stat.mtimeMs };
+        })
+        .sort((a, b) => b.modifiedAt - a.modifiedAt);
+
+}
+
+/*
+ * Replays hold every player's view, so they are only handed out through
+ * short-lived tokens that staff get from the /replay command.
+ */
+export class ReplayAccess {
+
+    /** @type {Map<string, { name: string, expiresAt: number }>} */
+    tokens = new Map;
+
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    resolve(name) {
+
+        if (typeof name !== "string" || !REPLAY_NAME_PATTERN.test(name)) return null;
+
+        const file = path.join(this.directory, name);
+        return fs.existsSync(file) ? file : null;
+
+    }
+
+    issueToken(name) {
+
+        const now = Date.now();
+        for (const [token, grant] of this.tokens) {
+            if (grant.expiresAt <= now) this.tokens.delete(token);
+        }
+
+        const token = crypto.randomBytes(16).toString("hex");
+        this.tokens.set(token, { name, expiresAt: now + REPLAY_TOKEN_TTL });
+        return token;
+
+    }
+
+    check(name, token) {
+
+        const grant = this.tokens.get(token);
+        return Boolean(grant && grant.name === name && grant.expiresAt > Date.now());
+
+    }
+
+}
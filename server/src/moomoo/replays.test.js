@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import msgpack from "msgpack-lite";
+import { Game } from "./server.js";
+import { ReplayRecorder, ReplayAccess, listReplays } from "./replays.js";
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "replays-"));
+const game = new Game({ id: "rec" });
+game.stop();
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function readReplay(file) {
+    const decoder = new msgpack.Decoder();
+    const values = [];
+    decoder.on("data", value => values.push(value));
+    decoder.decode(zlib.gunzipSync(fs.readFileSync(file)));
+    return values;
+}
+
+test("segments hold the world header and addressed frames", async () => {
+    const recorder = new ReplayRecorder(game, directory, { segmentMs: 60000, maxFiles: 10 });
+    game.replay = recorder;
+    recorder.start();
+
+    const player = game.addPlayer({ readyState: 1, send() {} });
+    player.send("6", -1, "hello");
+    game.server.broadcast("G", []);
+
+    const file = recorder.file;
+    await recorder.stop();
+    game.replay = null;
+
+    const [header, ...frames] = readReplay(file);
+    assert.equal(header.room.id, "rec");
+    assert.equal(header.objects.length, game.game_objects.filter(object => object.active).length * 8);
+
+    // io-init is never recorded, "A" is
+    assert.deepEqual(frames.map(frame => [frame[1], frame[2]]), [
+        [player.id, "A"],
+        [player.id, "6"],
+        [null, "G"]
+    ]);
+    assert.deepEqual(msgpack.decode(frames[1][3]), ["6", [-1, "hello"]]);
+});
+
+test("replays are only served with a matching token", () => {
+    const access = new ReplayAccess(directory);
+    const [replay] = listReplays(directory, "rec");
+
+    const token = access.issueToken(replay.name);
+    assert.equal(access.check(replay.name, token), true);
+    assert.equal(access.check("other-1.replay.gz", token), false);
+    assert.equal(access.check(replay.name, "nope"), false);
+
+    assert.ok(access.resolve(replay.name));
+    assert.equal(access.resolve("../bans.json"), null);
+});
@@ -0,0 +1,104 @@
+import { Game } from "./server.js";
+
+export class RoomManager {
+
+    /** @type {Map<string, Game>} */
+    rooms = new Map;
+
+    constructor(definitions = [], defaultRoomId = null) {
+
+        for (const definition of definitions) {
+            this.createRoom(definition);
+        }
+
+        if (this.rooms.size === 0) {
+            this.createRoom({ id: "main" });
+        }
+
+        this.defaultRoomId = this.rooms.has(defaultRoomId) ? defaultRoomId : this.rooms.keys().next().value;
+
+    }
+
+    createRoom({ id, name, overrides }) {
+
+        if (this.rooms.has(id)) {
+            throw new Error(`Duplicate room id: ${id}`);
+        }
+
+        const game = new Game({
+            id,
+            name,
+            config: overrides
+        });
+
+        this.rooms.set(id, game);
+        console.log(`[Rooms] Started room "${id}"${game.config.isSandbox ? " (sandbox)" : ""} with seed ${game.seed}`);
+
+        return game;
+
+    }
+
+    getRoom(id) {
+        return this.rooms.get(id) ?? null;
+    }
+
+    get defaultRoom() {
+        return this.rooms.get(this.defaultRoomId);
+    }
+
+    // unknown or missing ids fall back to the default room
+    resolveRoom(id) {
+        return (id && this.rooms.get(id)) || this.defaultRoom;
+    }
+
+    all() {
+        return [...this.rooms.values()];
+    }
+
+    allPlayers() {
+        return this.all().flatMap(game => game.players);
+    }
+
+    findPlayer(predicate) {
+        for (const game of this.rooms.values()) {
+            const player = game.players.find(predicate);
+            if (player) return player;
+        }
+        return null;
+    }
+
+    setAntiCheat(antiCheatController) {
+        for (const game of this.rooms.values()) {
+            game.setAntiCheat(antiCheatController);
+        }
+    }
+
+    broadcast(type, ...data) {
+        for (const game of this.rooms.values()) {
+            game.server.broadcast(type, ...data);
+        }
+    }
+
+    stats() {
+        return this.all().map(game => {
+            const active = game.players.filter(player => player.alive);
+            return {
+                id: game.id,
+                name: game.name,
+                isSandbox: Boolean(game.config.isSandbox),
+                seed: game.seed,
+                maxPlayers: game.config.maxPlayers,
+                maxPlayersHard: game.config.maxPlayersHard,
+                totalConnected: game.countPlayers(),
+                activeCount: active.length,
+                spectators: game.spectator_manager.size
+            };
+        });
+    }
+
+    // resolves once every room has written its last world snapshot
+    stop() {
+        return Promise.allSettled(this.all().map(game => game.stop()));
+    }
+
+}
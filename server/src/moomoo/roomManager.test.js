@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { RoomManager } from "./roomManager.js";
+
+const rooms = new RoomManager([{
+    id: "sandbox",
+    name: "Sandbox"
+}, {
+    id: "survival",
+    name: "Survival",
+    overrides: { isSandbox: false, maxPlayersHard: 4, maxSpectators: 2 }
+}], "sandbox");
+
+test.after(() => rooms.stop());
+
+test("resolveRoom falls back to the default room", () => {
+    assert.equal(rooms.resolveRoom("survival").id, "survival");
+    assert.equal(rooms.resolveRoom("missing").id, "sandbox");
+    assert.equal(rooms.resolveRoom(null).id, "sandbox");
+});
+
+test("rooms keep separate worlds and config overrides", () => {
+    const sandbox = rooms.getRoom("sandbox");
+    const survival = rooms.getRoom("survival");
+    assert.notEqual(sandbox.game_objects, survival.game_objects);
+    assert.notEqual(sandbox.clan_manager, survival.clan_manager);
+    assert.equal(survival.config.isSandbox, false);
+    assert.equal(survival.id_storage.length, 6);
+    assert.equal(sandbox.config.isSandbox, true);
+});
+
+test("createRoom rejects duplicate ids", () => {
+    assert.throws(() => rooms.createRoom({ id: "sandbox" }));
+});
+
+test("stats reports per-room player counts", () => {
+    const stats = rooms.stats();
+    assert.deepEqual(stats.map(room => room.id), ["sandbox", "survival"]);
+    assert.equal(stats[1].isSandbox, false);
+    assert.equal(stats[0].totalConnected, 0);
+});
@@ -1,8 +1,9 @@
 
+import crypto from "node:crypto";
 import { Player } from "./modules/player.js";
 import { AI } from "./modules/ai.js";
 import { UTILS } from "./libs/utils.js";
-import { config } from "./config.js";
+import { config as defaultConfig } from "./config.js";
 import { ProjectileManager } from "./modules/projectileManager.js";
 import { Projectile } from "./modules/projectile.js";
 import { ObjectManager } from "./modules/objectManager.js";
@@ -11,8 +12,16 @@ import { items } from "./modules/items.js";
 import { AiManager } from "./modules/aiMaanager.js";
 import { accessories, hats } from "./modules/store.js";
 import { ClanManager } from "./modules/clanManager.js";
+import { Relation, isFriendly } from "./modules/diplomacy.js";
+import { MapManager } from "./modules/mapManager.js";
+import { WeatherManager } from "./modules/weatherManager.js";
+import { SpectatorManager } from "./modules/spectatorManager.js";
+import DayCycle from "../../../shared/dayCycle.js";
+import { writePlayerDelta } from "../network/playerSnapshot.js";
+import { SpatialHash } from "./libs/spatialHash.js";
+import { TickStats } from "./libs/tickStats.js";
+import { SeededRandom, randomSeed } from "./libs/random.js";
 
-import NanoTimer from "nanotimer";
 import { encode } from "msgpack-lite";
 
 export class Game {
@@ -28,34 +37,94 @@ export class Game {
         this.antiCheat = antiCheatController;
     }
 
+    // set when the room is being recorded, see replays.js
+    replay = null;
+    // set when the room is persisted to disk, see worldStore.js
+    world = null;
+
     server = {
         broadcast: async (type, ...data) => {
+            const packet = encode([type, data]);
             for (const player of this.players) {
                 if (!player.socket) continue;
-                player.socket.send(encode([
-                    type,
-                    data
-                ]));
+                player.socket.send(packet);
             }
+            this.replay?.record(null, type, packet);
 
         },
         send: async (playerId, type, ...data) => {
             if (!playerId) return;
             const target = this.players.find(p => p.id === playerId);
             if (!target || !target.socket) return;
-            target.socket.send(encode([type, data]));
+            const packet = encode([type, data]);
+            target.socket.send(packet);
+            this.replay?.record(target.id, type, packet);
+            this.spectator_manager.mirror(target, type, packet);
         }
     };
 
     // managers
+    map_manager = null;
     ai_manager = null;
     object_manager = null;
     projectile_manager = null;
     clan_manager = null;
+    weather_manager = null;
+    spectator_manager = null;
+
+    // world clock, null when the room has no day/night cycle
+    day_cycle = null;
+
+    // spatial indexes, rebuilt every step (objects live in object_manager.spatial)
+    player_index = null;
+    ai_index = null;
+
+    // fixed-step loop
+    tickStats = new TickStats(["players", "projectiles", "ai", "turrets", "resources", "serialization"]);
+    stepAccumulator = 0;
+    sendAccumulator = 0;
+
+    id_storage = [];
 
-    id_storage = new Array(config.maxPlayersHard).fill(true);
+    constructor(options = {}) {
 
-    constructor() {
+        this.id = options.id ?? "main";
+        this.name = options.name ?? this.id;
+        this.config = { ...defaultConfig, ...options.config };
+        // spectators take sids too, but not player slots
+        this.id_storage = new Array(this.config.maxPlayersHard + this.config.maxSpectators).fill(true);
+
+        const config = this.config;
+
+        // map generation, animal spawns and teleports each draw from their own stream of the room seed
+        this.seed = String(config.worldSeed ?? randomSeed());
+        const random = new SeededRandom(this.seed);
+        config.random = {
+            map: random.fork("map"),
+            animals: random.fork("animals"),
+            teleports: random.fork("teleports"),
+            weather: random.fork("weather")
+        };
+
+        // the map decides the world size, biomes and rivers every module reads from config
+        this.map_manager = new MapManager(config);
+        const map = this.map_manager.load();
+        config.mapScale = map.size;
+        config.gameMap = map;
+
+        if (config.dayNightCycle) {
+            this.day_cycle = new DayCycle(DayCycle.fromConfig(config));
+            this.dayCycleSyncTimer = config.dayNightSyncRate;
+        }
+        config.dayCycle = this.day_cycle;
+
+        this.weather_manager = new WeatherManager(config, this.server);
+        this.spectator_manager = new SpectatorManager(this);
+
+        this.player_index = new SpatialHash(config.spatialCellSize);
+        this.ai_index = new SpatialHash(config.spatialCellSize);
+        this.viewWidth = config.maxScreenWidth / 2 * 1.3;
+        this.viewHeight = config.maxScreenHeight / 2 * 1.3;
 
         this.object_manager = new ObjectManager(GameObject, this.game_objects, UTILS, config, this.players, this.server);
         this.ai_manager = new AiManager(this.ais, AI, this.players, items, this.object_manager, config, UTILS, (player, score) => {
@@ -63,264 +132,334 @@ export class Game {
                 player.addResource(3, score); // 3 = points/gold
             }
         }, this.server);
-        this.projectile_manager = new ProjectileManager(Projectile, this.projectiles, this.players, this.ais, this.object_manager, items, config, UTILS, this.server);
+        this.projectile_manager = new ProjectileManager(Projectile, this.projectiles, this.players, this.ais, this.object_manager, items, config, UTILS, this.server, this.player_index, this.ai_index);
         this.clan_manager = new ClanManager(this.players, this.server);
         this.aiSpawnPlan = this.buildAiSpawnPlan();
         this.aiSpawnCheckTimer = 0;
+        this.minimapCooldown = config.minimapRate;
+        this.tribeLeaderboardCooldown = 0;
 
-        const nano = (1000 / config.serverUpdateRate);
-        const timer = new NanoTimer;
+        // the world always advances in steps of stepMs; state goes out every sendMs
+        this.stepMs = 1000 / config.simulationRate;
+        this.sendMs = 1000 / config.serverUpdateRate;
+        this.lastAdvance = performance.now();
 
-        let last = 0;
-        let minimap_cd = config.minimapRate;
+        this.tickInterval = setInterval(() => this.advance(performance.now()), this.stepMs);
 
-        setInterval(() => {
+        this.map_manager.populate(this.object_manager, this.game_objects);
+        this.ensureAnimals();
 
-            const t = performance.now();
+    }
 
-            const delta = t - last;
-            last = t;
+    advance(now) {
 
-            let kills = 0;
-            let leader = null;
+        const elapsed = now - this.lastAdvance;
+        this.lastAdvance = now;
 
-            const updt_map = minimap_cd <= 0;
+        this.stepAccumulator += elapsed;
+        this.sendAccumulator += elapsed;
 
-            if (updt_map) {
-                minimap_cd = config.minimapRate;
-            } else {
-                minimap_cd -= delta;
-            }
+        let steps = 0;
+        while (this.stepAccumulator >= this.stepMs && steps < this.config.maxCatchUpSteps) {
+            this.step(this.stepMs);
+            this.stepAccumulator -= this.stepMs;
+            steps++;
+        }
 
-            const minimap_ext = [];
+        if (steps > 1) {
+            this.tickStats.catchUpSteps += steps - 1;
+        }
 
-            for (const player of this.players) {
-                const prevX = player.x;
-                const prevY = player.y;
+        // too far behind to catch up: drop the backlog instead of spiralling
+        if (this.stepAccumulator >= this.stepMs) {
+            const dropped = Math.floor(this.stepAccumulator / this.stepMs);
+            this.tickStats.droppedSteps += dropped;
+            this.stepAccumulator -= dropped * this.stepMs;
+        }
 
-                player.update(delta);
-                player.iconIndex = 0;
+        if (this.sendAccumulator >= this.sendMs) {
+            this.sendAccumulator = Math.min(this.sendAccumulator - this.sendMs, this.sendMs);
+            this.sendUpdates(this.sendMs);
+        }
+
+    }
 
-                if (this.antiCheat && player.alive && !player.isAdmin && !player.noclipMode) {
-                    const movementResult = this.antiCheat.validateMovement(player, player.x, player.y, delta);
+    step(delta) {
+
+        let mark = performance.now();
+
+        if (this.day_cycle) this.updateDayCycle(delta);
+        this.weather_manager.update(delta);
+
+        for (const player of this.players) {
+            const prevX = player.x;
+            const prevY = player.y;
+
+            player.update(delta);
+
+            if (this.antiCheat && player.alive && !player.isAdmin && !player.noclipMode) {
+                const movementResult = this.antiCheat.validateMovement(player, player.x, player.y, delta);
+                
+                if (!movementResult.valid) {
+                    player.x = prevX;
+                    player.y = prevY;
+                    player.xVel = 0;
+                    player.yVel = 0;
                     
-                    if (!movementResult.valid) {
-                        player.x = prevX;
-                        player.y = prevY;
-                        player.xVel = 0;
-                        player.yVel = 0;
-                        
-                        if (movementResult.suspicionScore > 30) {
-                            this.antiCheat.checkAndEnforce(player.id, player.socket, player.ipAddress);
-                        }
+                    if (movementResult.suspicionScore > 30) {
+                        this.antiCheat.checkAndEnforce(player.id, player.socket, player.ipAddress);
                     }
-                    
-                    this.antiCheat.setPlayerActive(player.id, player.alive);
                 }
+                
+                this.antiCheat.setPlayerActive(player.id, player.alive);
+            }
+        }
 
-                if (!player.alive) continue;
+        this.indexPlayers();
+        this.indexAis();
+        mark = this.tickStats.lap("players", mark);
 
-                if (kills < player.kills) {
-                    kills = player.kills;
-                    leader = player;
-                }
+        for (const projectile of this.projectiles)
+            projectile.update(delta);
+        mark = this.tickStats.lap("projectiles", mark);
 
-                if (updt_map) {
-                    minimap_ext.push({
-                        sid: player.sid,
-                        x: player.x,
-                        y: player.y,
-                        team: player.team || null
-                    });
-                }
+        this.updateAnimals(delta);
+        this.indexAis();
+        mark = this.tickStats.lap("ai", mark);
 
-            }
+        this.updateTurrets(delta);
+        mark = this.tickStats.lap("turrets", mark);
 
-            if (leader) leader.iconIndex = 1;
+        this.object_manager.updateRegrowth(delta);
+        this.tickStats.lap("resources", mark);
 
-            for (const projectile of this.projectiles)
-                projectile.update(delta);
+        this.tickStats.steps++;
 
-            this.updateAnimals(delta);
-            this.updateTurrets(delta);
+    }
 
-            {
+    sendUpdates(delta) {
 
-                const metric = (player) => player.points
-                const sort = this.players.filter(x => x.alive).sort((a, b) => {
-                    return metric(b) - metric(a);
-                });
-                const sorts = [];
-                const maxEntries = Math.min(config.leaderboardMaxPlayers || 10, sort.length);
-                for (let i = 0; i < maxEntries; i++) {
-                    sorts.push(sort[i]);
-                }
+        const config = this.config;
+        const start = performance.now();
 
-                this.server.broadcast("G", sorts.flatMap(p => [p.sid, p.name, metric(p)]));
+        let kills = 0;
+        let leader = null;
 
+        const updt_map = this.minimapCooldown <= 0;
+
+        if (updt_map) {
+            this.minimapCooldown = config.minimapRate;
+        } else {
+            this.minimapCooldown -= delta;
+        }
+
+        const minimap_ext = [];
+
+        this.spectator_manager.update(delta);
+
+        for (const player of this.players) {
+
+            player.iconIndex = 0;
+
+            if (!player.alive) continue;
+
+            if (kills < player.kills) {
+                kills = player.kills;
+                leader = player;
             }
 
-            const activeAis = this.ais.filter(ai => ai.active);
+            if (updt_map) {
+                minimap_ext.push({
+                    sid: player.sid,
+                    x: player.x,
+                    y: player.y,
+                    team: player.team || null,
+                    party: player.partyCode || null
+                });
+            }
 
-            for (const player of this.players) {
+        }
 
-                const sent_players = [];
-                const sent_objects = [];
-            
-                for (const player2 of this.players) {
+        if (leader) leader.iconIndex = 1;
 
-                    if (!player.canSee(player2) || !player2.alive) {
-                        continue;
-                    }
+        {
 
-                    if (!player2.sentTo[player.id]) {
-                        player2.sentTo[player.id] = true;
-                        player.send("D", player2.getData(), player.id === player2.id);
-                    }
-                    if (player.id === player2.id && player2.needsResourceSync) {
-                        player2.needsResourceSync = false;
-                        player2.syncResources();
-                    }
-                    sent_players.push(player2.getInfo());
+            const metric = (player) => player.points
+            const sort = this.players.filter(x => x.alive).sort((a, b) => {
+                return metric(b) - metric(a);
+            });
+            const sorts = [];
+            const maxEntries = Math.min(config.leaderboardMaxPlayers || 10, sort.length);
+            for (let i = 0; i < maxEntries; i++) {
+                sorts.push(sort[i]);
+            }
 
-                }
+            this.server.broadcast("G", sorts.flatMap(p => [p.sid, p.name, metric(p)]));
 
-                for (const object of this.game_objects) {
+        }
 
-                    if (
-                        !object.sentTo[player.id] && object.active && object.visibleToPlayer(player) && player.canSee(object)
-                    ) {
-                        sent_objects.push(object);
-                        object.sentTo[player.id] = true;
-                    }
+        this.tribeLeaderboardCooldown -= delta;
+        if (this.tribeLeaderboardCooldown <= 0) {
+            this.tribeLeaderboardCooldown = config.tribeLeaderboardRate;
+            const standings = this.tribeStandings().slice(0, config.tribeLeaderboardMaxTribes);
+            this.server.broadcast("TG", standings.flatMap(t => [t.title, t.members, t.score, t.kills, t.structures]));
+        }
+
+        for (const player of this.players) {
+
+            // followers get a copy of what their target is sent
+            if (this.spectator_manager.targetOf(player)) continue;
+
+            const snapshot = [];
+            const sent_objects = [];
+        
+            for (const player2 of this.queryView(this.player_index, player)) {
+
+                if (!player.canSee(player2) || !player2.alive) {
+                    continue;
+                }
 
+                if (!player2.sentTo[player.id]) {
+                    player2.sentTo[player.id] = true;
+                    player.send("D", player2.getData(), player.id === player2.id);
+                    // the client rebuilds the player on "D", so start it from a keyframe
+                    player.snapshotBaselines.delete(player2.sid);
+                }
+                if (player.id === player2.id && player2.needsResourceSync) {
+                    player2.needsResourceSync = false;
+                    player2.syncResources();
                 }
+                writePlayerDelta(snapshot, player.snapshotBaselines, player2.getInfo(), config.snapshotAngleSteps);
 
-                player.send("a", sent_players.flatMap(data => data));
+            }
 
-                // ais
-                const aiPayload = [];
-                for (const ai of activeAis) {
-                    if (!ai.alive) continue;
-                    if (!player.canSee(ai)) {
-                        continue;
-                    }
-                    aiPayload.push(
-                        ai.sid,
-                        ai.index,
-                        UTILS.fixTo(ai.x, 1),
-                        UTILS.fixTo(ai.y, 1),
-                        UTILS.fixTo(ai.dir, 3),
-                        Math.round(ai.health),
-                        ai.nameIndex ?? 0
-                    );
+            // destroyed objects were already removed with "Q" or "R"
+            const despawned = [];
+            for (const object of player.knownObjects) {
+                if (object.active && this.keepsInterest(player, object)) {
+                    // in view or in the margin alike
+                    if (this.object_manager.changed.has(object)) sent_objects.push(object);
+                    continue;
                 }
-                player.send("I", aiPayload.length > 0 ? aiPayload : null);
-
-                if (sent_objects.length > 0) {
-                    player.send("H", sent_objects.flatMap(object => [
-                        object.sid,
-                        UTILS.fixTo(object.x, 1),
-                        UTILS.fixTo(object.y, 1),
-                        object.dir,
-                        object.scale,
-                        object.type,
-                        object.id,
-                        object.owner ? object.owner.sid : -1
-                    ]));
+                player.knownObjects.delete(object);
+                if (object.active) {
+                    delete object.sentTo[player.id];
+                    despawned.push(object.sid);
                 }
+            }
 
-                if (minimap_ext.length === 0) continue;
+            for (const object of this.queryView(this.object_manager.spatial, player)) {
 
-                const filteredMinimap = minimap_ext.filter(target => {
-                    if (target.sid === player.sid) {
-                        return false;
-                    }
-                    if (config.isSandbox) {
-                        return true;
-                    }
-                    if (player.team && target.team !== player.team) {
-                        return false;
-                    }
-                    return true;
-                });
+                if (
+                    !object.sentTo[player.id] && object.active && object.visibleToPlayer(player) && player.canSee(object)
+                ) {
+                    sent_objects.push(object);
+                    object.sentTo[player.id] = true;
+                    player.knownObjects.add(object);
+                }
+
+            }
 
-                player.send("7", filteredMinimap.flatMap(x => [x.x, x.y]));
+            player.send("a", snapshot);
 
+            // ais
+            const aiPayload = [];
+            for (const ai of this.queryView(this.ai_index, player)) {
+                if (!ai.alive) continue;
+                if (!player.canSee(ai)) {
+                    continue;
+                }
+                aiPayload.push(
+                    ai.sid,
+                    ai.index,
+                    UTILS.fixTo(ai.x, 1),
+                    UTILS.fixTo(ai.y, 1),
+                    UTILS.fixTo(ai.dir, 3),
+                    Math.round(ai.health),
+                    ai.nameIndex ?? 0,
+                    ai.effects.mask()
+                );
             }
+            player.send("I", aiPayload.length > 0 ? aiPayload : null);
 
-        }, nano);
+            if (despawned.length > 0) {
+                player.send("HD", despawned);
+            }
 
-        const init_objects = () => {
+            if (sent_objects.length > 0) {
+                player.send("H", sent_objects.flatMap(object => this.getObjectData(object)));
+            }
 
-            const spawnCounts = config.spawnCounts || {
-                treesPerArea: config.treesPerArea,
-                bushesPerArea: config.bushesPerArea,
-                totalRocks: config.totalRocks,
-                goldOres: config.goldOres
-            };
+            if (minimap_ext.length === 0) continue;
 
-            let treesPerArea = spawnCounts.treesPerArea;
-            let bushesPerArea = spawnCounts.bushesPerArea;
-            let totalRocks = spawnCounts.totalRocks;
-            let goldOres = spawnCounts.goldOres;
-            let treeScales = config.treeScales;
-            let bushScales = config.bushScales;
-            let rockScales = config.rockScales;
-            let cLoc = function () {
-                return Math.round(Math.random() * config.mapScale);
-            };
-            let rScale = function (scales) {
-                return scales[Math.floor(Math.random() * scales.length)];
-            };
-            for (let i = 0; i < treesPerArea * config.areaCount;) {
-                let newObject = [this.game_objects.length, cLoc(), cLoc(), 0, rScale(treeScales), 0, undefined, false, null];
-                if (newObject[2] >= config.mapScale / 2 - config.riverWidth / 2 && newObject[2] <= config.mapScale / 2 + config.riverWidth / 2) continue;
-                if (newObject[2] >= config.mapScale - config.snowBiomeTop) continue;
-                if (this.object_manager.checkItemLocation(newObject[1], newObject[2], newObject[4], 0.6, null, false, null, true)) {
-                    this.object_manager.add(...newObject);
-                } else {
-                    continue;
+            const filteredMinimap = minimap_ext.filter(target => {
+                if (target.sid === player.sid) {
+                    return false;
                 }
-                i++;
-            };
-            for (let i = 0; i < bushesPerArea * config.areaCount;) {
-                let newObject = [this.game_objects.length, cLoc(), cLoc(), 0, rScale(bushScales), 1, undefined, false, null];
-                if (newObject[2] >= config.mapScale / 2 - config.riverWidth / 2 && newObject[2] <= config.mapScale / 2 + config.riverWidth / 2) continue;
-                if (this.object_manager.checkItemLocation(newObject[1], newObject[2], newObject[4], 0.6, null, false, null, true)) {
-                    this.object_manager.add(...newObject);
-                } else {
-                    continue;
+                if (config.isSandbox) {
+                    return true;
                 }
-                i++;
-            };
-            for (let i = 0; i < totalRocks;) {
-                let newObject = [this.game_objects.length, cLoc(), cLoc(), 0, rScale(rockScales), 2, undefined, false, null];
-                if (this.object_manager.checkItemLocation(newObject[1], newObject[2], newObject[4], 0.6, null, true, null, true)) {
-                    this.object_manager.add(...newObject);
-                } else {
-                    continue;
+                if (player.partyCode && target.party === player.partyCode) {
+                    return true;
                 }
-                i++;
-            };
-            for (let i = 0; i < goldOres;) {
-                let newObject = [this.game_objects.length, cLoc(), cLoc(), 0, rScale(rockScales), 3, undefined, false, null];
-                if (this.object_manager.checkItemLocation(newObject[1], newObject[2], newObject[4], 0.6, null, true, null, true)) {
-                    this.object_manager.add(...newObject);
-                } else {
-                    continue;
+                if (player.team) {
+                    return target.team === player.team || this.clan_manager.diplomacy.relation(player.team, target.team) === Relation.Ally;
                 }
-                i++;
-            };
-        };
+                return !player.partyCode;
+            });
 
-        init_objects();
-        this.ensureAnimals();
+            player.send("7", filteredMinimap.flatMap(x => [x.x, x.y]));
+
+        }
+
+        this.object_manager.changed.clear();
+
+        this.tickStats.lap("serialization", start);
+        this.tickStats.sends++;
+
+    }
+
+    // one object's entry in the "H" packet
+    getObjectData(object) {
+        return [
+            object.sid,
+            UTILS.fixTo(object.x, 1),
+            UTILS.fixTo(object.y, 1),
+            object.dir,
+            object.scale,
+            object.type,
+            object.id,
+            object.owner ? object.owner.sid : -1
+        ];
+    }
+
+    // looser than canSee so an object on the edge of the view is not despawned and resent over and over
+    keepsInterest(player, object) {
+        const margin = this.config.objectInterestMargin;
+        return Math.abs(object.x - player.x) - object.scale <= this.viewWidth * margin &&
+            Math.abs(object.y - player.y) - object.scale <= this.viewHeight * margin;
+    }
+
+    indexPlayers() {
+        this.player_index.rebuild(this.players, player => player.active);
+    }
+
+    indexAis() {
+        this.ai_index.rebuild(this.ais, ai => ai.active);
+    }
 
+    // candidates for player.canSee(); callers still run the exact check
+    queryView(index, player) {
+        return index.query(
+            player.x - this.viewWidth,
+            player.y - this.viewHeight,
+            player.x + this.viewWidth,
+            player.y + this.viewHeight
+        );
     }
 
     buildAiSpawnPlan() {
-        const map = config.mapScale;
+        const map = this.config.mapScale;
         const fallbackPlan = [{
             index: 0,
             desired: 12
@@ -365,7 +504,7 @@ export class Game {
             }]
         }];
 
-        const planSource = Array.isArray(config.animalSpawnPlan) && config.animalSpawnPlan.length ? config.animalSpawnPlan : fallbackPlan;
+        const planSource = this.map_manager.animalSpawnPlan() ?? (Array.isArray(this.config.animalSpawnPlan) && this.config.animalSpawnPlan.length ? this.config.animalSpawnPlan : fallbackPlan);
 
         return planSource.map(plan => {
             if (!Number.isInteger(plan.index)) {
@@ -397,6 +536,7 @@ export class Game {
                 index: plan.index,
                 desired: desired,
                 positions: resolvedPositions.length ? resolvedPositions : undefined,
+                zone: plan.zone,
                 nextPosition: 0
             };
         }).filter(Boolean);
@@ -415,7 +555,7 @@ export class Game {
             while (activeOfType < plan.desired && safety < plan.desired * 3) {
                 const spawnPos = this.nextAnimalPosition(plan);
                 if (!spawnPos) break;
-                const dir = UTILS.randFloat(-Math.PI, Math.PI);
+                const dir = this.config.random.animals.randFloat(-Math.PI, Math.PI);
                 this.ai_manager.spawn(spawnPos.x, spawnPos.y, dir, plan.index);
                 activeOfType++;
                 safety++;
@@ -438,14 +578,14 @@ export class Game {
                 };
             }
         }
-        return this.randomAnimalPosition(plan.index);
+        return this.randomAnimalPosition(plan.index, plan.zone);
     }
 
     validateAnimalSpawn(index, x, y) {
         const type = this.ai_manager.aiTypes[index];
         if (!type) return false;
         const scale = type.scale;
-        if (x < scale || y < scale || x > config.mapScale - scale || y > config.mapScale - scale) {
+        if (x < scale || y < scale || x > this.config.mapScale - scale || y > this.config.mapScale - scale) {
             return false;
         }
         if (!this.object_manager.checkItemLocation(x, y, scale, 0.6, null, false, null)) {
@@ -460,12 +600,19 @@ export class Game {
         return true;
     }
 
-    randomAnimalPosition(index) {
+    // zone limits spawns to a map's animal area, otherwise anywhere on the map
+    randomAnimalPosition(index, zone) {
         const type = this.ai_manager.aiTypes[index];
         if (!type) return null;
+        const map = this.config.mapScale;
+        const random = this.config.random.animals;
+        const minX = Math.max(type.scale, zone ? zone.x : 0);
+        const minY = Math.max(type.scale, zone ? zone.y : 0);
+        const maxX = Math.min(map - type.scale, zone ? zone.x + zone.width : map);
+        const maxY = Math.min(map - type.scale, zone ? zone.y + zone.height : map);
         for (let attempt = 0; attempt < 40; attempt++) {
-            const x = UTILS.randInt(type.scale, config.mapScale - type.scale);
-            const y = UTILS.randInt(type.scale, config.mapScale - type.scale);
+            const x = random.randInt(minX, maxX);
+            const y = random.randInt(minY, maxY);
             if (this.validateAnimalSpawn(index, x, y)) {
                 return {
                     x,
@@ -474,11 +621,47 @@ export class Game {
             }
         }
         return {
-            x: UTILS.randInt(type.scale, config.mapScale - type.scale),
-            y: UTILS.randInt(type.scale, config.mapScale - type.scale)
+            x: random.randInt(minX, maxX),
+            y: random.randInt(minY, maxY)
         };
     }
 
+    // every clan in play with its members' combined score and kills and the structures they own, best first
+    tribeStandings() {
+
+        const standings = new Map;
+        for (const title of this.clan_manager.clans.keys()) {
+            standings.set(title, { title, members: 0, score: 0, kills: 0, structures: 0 });
+        }
+
+        for (const player of this.players) {
+            const entry = standings.get(player.team);
+            if (!entry) continue;
+            entry.members++;
+            entry.score += player.points;
+            entry.kills += player.kills;
+        }
+
+        for (const object of this.game_objects) {
+            if (!object.active || !object.owner) continue;
+            const entry = standings.get(object.owner.team);
+            if (entry) entry.structures++;
+        }
+
+        return [...standings.values()].sort((a, b) => b.score - a.score || b.kills - a.kills || b.structures - a.structures);
+
+    }
+
+    // clients run their own copy of the clock, this only keeps them from drifting
+    updateDayCycle(delta) {
+        this.day_cycle.update(delta);
+        this.dayCycleSyncTimer -= delta;
+        if (this.dayCycleSyncTimer <= 0) {
+            this.dayCycleSyncTimer = this.config.dayNightSyncRate;
+            this.server.broadcast("DN", Math.round(this.day_cycle.time));
+        }
+    }
+
     updateAnimals(delta) {
         for (const ai of this.ais) {
             if (ai.active) {
@@ -514,6 +697,11 @@ export class Game {
                 continue;
             }
 
+            // turrets restored from a world snapshot stay quiet until their owner is back
+            if (!structure.owner) {
+                continue;
+            }
+
             if (typeof structure.shootCount !== "number") {
                 structure.shootCount = structure.shootRate;
             }
@@ -565,7 +753,6 @@ export class Game {
         let bestTarget = null;
         let bestDist = Infinity;
         const owner = structure.owner;
-        const ownerTeam = owner && owner.team ? owner.team : null;
 
         const consider = (candidate) => {
             const distance = UTILS.getDistance(structure.x, structure.y, candidate.x, candidate.y);
@@ -578,16 +765,18 @@ export class Game {
             }
         };
 
-        for (const player of this.players) {
+        const range = structure.shootRange;
+
+        for (const player of this.player_index.queryRadius(structure.x, structure.y, range)) {
             if (!player.active || !player.alive) continue;
             if (player === owner) continue;
             if (player.skinIndex === 22) continue;
-            if (ownerTeam && player.team && player.team === ownerTeam) continue;
+            if (isFriendly(owner, player)) continue;
             if (player.skin && player.skin.invisTimer && player.noMovTimer >= player.skin.invisTimer) continue;
             consider(player);
         }
 
-        for (const ai of this.ais) {
+        for (const ai of this.ai_index.queryRadius(structure.x, structure.y, range)) {
             if (!ai.active || !ai.alive) continue;
             consider(ai);
         }
@@ -612,7 +801,7 @@ export class Game {
         const player = new Player(
             string_id,
             sid,
-            config,
+            this.config,
             UTILS,
             this.projectile_manager,
             this.object_manager,
@@ -629,10 +818,25 @@ export class Game {
             },
             () => {}
         );
+        player.game = this;
 
-        player.send("io-init", player.id);
+        // presented again by the client to take this player back after a dropped connection
+        player.resumeToken = crypto.randomUUID();
+
+        player.send("io-init", player.id, player.resumeToken);
         player.send("A", {
-            teams: this.clan_manager.ext()
+            teams: this.clan_manager.ext(),
+            relations: this.clan_manager.diplomacy.ext(),
+            room: {
+                id: this.id,
+                name: this.name,
+                isSandbox: Boolean(this.config.isSandbox),
+                cosmeticsUseBalance: Boolean(this.config.cosmeticsUseBalance),
+                seed: this.seed
+            },
+            map: this.map_manager.describe(),
+            dayCycle: this.day_cycle?.describe() ?? null,
+            weather: this.weather_manager.describe()
         });
 
         this.id_storage[sid] = false;
@@ -650,9 +854,18 @@ export class Game {
 
             if (player.id === id) {
                 this.server.broadcast("E", player.id);
+                for (const other of this.players) {
+                    other.snapshotBaselines.delete(player.sid);
+                    delete other.sentTo[player.id];
+                }
+                for (const object of player.knownObjects) {
+                    delete object.sentTo[player.id];
+                }
+                player.knownObjects.clear();
                 this.object_manager.removeAllItems(player.sid, this.server);
                 this.players.splice(i, 1);
                 this.id_storage[player.sid] = true;
+                this.spectator_manager.remove(player);
                 break;
             }
 
@@ -660,4 +873,32 @@ export class Game {
 
     }
 
+    // for a client that may have lost packets: it drops its world on "RW" and is sent it again from scratch
+    resendWorld(player) {
+
+        const spectators = this.spectator_manager;
+        if (spectators.has(player)) {
+            return void spectators.follow(player, spectators.targetOf(player));
+        }
+
+        player.send("RW");
+        if (player.alive) {
+            spectators.sendView(player, player);
+        } else {
+            spectators.forgetView(player);
+        }
+
+    }
+
+    // connected players, spectators do not take up a slot
+    countPlayers() {
+        return this.players.length - this.spectator_manager.size;
+    }
+
+    stop() {
+        clearInterval(this.tickInterval);
+        this.replay?.stop();
+        return this.world?.stop();
+    }
+
 }
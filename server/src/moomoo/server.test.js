@@ -0,0 +1,139 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Game } from "./server.js";
+import { decode } from "msgpack-lite";
+import { hats } from "./modules/store.js";
+import { items } from "./modules/items.js";
+
+const game = new Game({ id: "loop", config: { simulationRate: 10, serverUpdateRate: 5 } });
+game.stop();
+
+test("the loop runs fixed steps and sends at the network rate", () => {
+    const deltas = [];
+    const sends = [];
+    game.step = delta => deltas.push(delta);
+    game.sendUpdates = delta => sends.push(delta);
+
+    // whole numbers keep the accumulator exact
+    let clock = game.lastAdvance = 0;
+    for (let i = 0; i < 6; i++) {
+        clock += game.stepMs / 2;
+        game.advance(clock);
+    }
+
+    assert.deepEqual(deltas, [100, 100, 100]);
+    assert.deepEqual(sends, [200]);
+});
+
+test("a long stall catches up a bounded number of steps", () => {
+    let steps = 0;
+    game.step = () => steps++;
+    game.sendUpdates = () => {};
+
+    const dropped = game.tickStats.droppedSteps;
+    game.lastAdvance = 0;
+    game.advance(game.stepMs * 20);
+
+    assert.equal(steps, game.config.maxCatchUpSteps);
+    assert.equal(game.tickStats.droppedSteps - dropped, 20 - game.config.maxCatchUpSteps);
+});
+
+test("rooms with the same seed generate the same world", () => {
+    const layout = game => game.game_objects.map(object => [object.x, object.y, object.scale, object.type]);
+    const animals = game => game.ais.map(ai => [ai.index, ai.x, ai.y]);
+
+    const first = new Game({ id: "a", config: { worldSeed: "tournament" } });
+    const second = new Game({ id: "b", config: { worldSeed: "tournament" } });
+    first.stop();
+    second.stop();
+
+    assert.equal(first.seed, "tournament");
+    assert.deepEqual(layout(first), layout(second));
+    assert.deepEqual(animals(first), animals(second));
+});
+
+test("night shortens how far players see unless they wear night goggles", () => {
+    const room = new Game({ id: "night", config: { dayNightCycle: true } });
+    room.stop();
+
+    const watcher = room.addPlayer({ readyState: 1, send() {} });
+    watcher.setUserData({ name: "watcher" });
+    watcher.spawn();
+    const target = { x: watcher.x + room.viewWidth * 0.8, y: watcher.y, scale: 0 };
+    const wolf = room.ai_manager.spawn(watcher.x, watcher.y, 0, 4);
+
+    assert.equal(room.day_cycle.daylight(), 0);
+    room.day_cycle.time = room.config.dawnDuration;
+    assert.equal(watcher.canSee(target), true);
+    assert.equal(wolf.nightMlt(), 1);
+
+    room.day_cycle.time = room.config.dayLength - room.config.nightLength;
+    assert.equal(room.day_cycle.isNight(), true);
+    assert.equal(watcher.canSee(target), false);
+    assert.equal(wolf.nightMlt(), room.config.nightAggression);
+
+    watcher.skin = hats.find(hat => hat.nightVision);
+    assert.equal(watcher.canSee(target), true);
+});
+
+test("objects are despawned once a player walks away and forgotten when they leave", () => {
+    const room = new Game({ id: "interest" });
+    room.stop();
+
+    const packets = [];
+    const walker = room.addPlayer({ readyState: 1, send: packet => packets.push(decode(packet)) });
+    walker.setUserData({ name: "walker" });
+    walker.spawn();
+
+    const wall = items.list.find(item => item.name === "wood wall");
+    room.object_manager.add(room.game_objects.length, walker.x + 100, walker.y, 0, wall.scale, wall.type, wall, false, null);
+    const object = room.game_objects.at(-1);
+
+    const update = () => {
+        packets.length = 0;
+        room.indexPlayers();
+        room.sendUpdates(0);
+        return type => packets.filter(([name]) => name === type).map(([, data]) => data[0]);
+    };
+
+    assert.ok(update()("H").some(data => data.includes(object.sid)));
+    assert.equal(object.sentTo[walker.id], true);
+
+    // just past the view keeps it, past the margin drops it
+    walker.x = object.x + room.viewWidth * 1.1;
+    assert.ok(!update()("HD").flat().includes(object.sid));
+    walker.x = object.x + room.viewWidth * (room.config.objectInterestMargin + 0.1) + object.scale;
+    assert.ok(update()("HD").flat().includes(object.sid));
+    assert.equal(object.sentTo[walker.id], undefined);
+
+    // someone still on the menu has never been sent anybody
+    room.addPlayer({ readyState: 1, send() {} });
+
+    walker.x = object.x - 100;
+    update();
+    room.removePlayer(walker.id);
+    assert.deepEqual(object.sentTo, {});
+});
+
+test("a destroyed object is dropped from what its viewers know", () => {
+    const room = new Game({ id: "destroyed" });
+    room.stop();
+
+    const packets = [];
+    const viewer = room.addPlayer({ readyState: 1, send: packet => packets.push(decode(packet)) });
+    viewer.setUserData({ name: "viewer" });
+    viewer.spawn();
+
+    const wall = items.list.find(item => item.name === "wood wall");
+    room.object_manager.add(room.game_objects.length, viewer.x + 100, viewer.y, 0, wall.scale, wall.type, wall, false, null);
+    const object = room.game_objects.at(-1);
+    room.indexPlayers();
+    room.sendUpdates(0);
+    assert.ok(viewer.knownObjects.has(object));
+
+    packets.length = 0;
+    room.object_manager.disableObj(object);
+    room.object_manager.hitObj(object, 0);
+    assert.deepEqual(packets.filter(([type]) => type === "Q"), [["Q", [object.sid]]]);
+    assert.equal(viewer.knownObjects.has(object), false);
+});
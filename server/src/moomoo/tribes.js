@@ -0,0 +1,269 @@
+import { roleRank } from "./modules/clanManager.js";
+
+/*
+ * Tribes founded by logged-in players are kept in the tribes and tribe_members
+ * tables through AccountManager, so they outlive the room and the session.
+ * Each room's ClanManager still holds the clans in play: a persistent tribe
+ * is opened in a room by the first of its members to log in there, and closed
+ * there when the last one disconnects. While its leader is offline, the
+ * best-ranked member online holds the clan's owner rights.
+ *
+ * Every clan has a leader, officers and members. Leaders and officers accept
+ * join requests and kick lower ranks, and only the leader promotes, demotes
+ * and hands over leadership. A leader who leaves is followed by the
+ * longest-standing officer, or else member.
+ *
+ * Without a database, or for guests, clans stay in memory.
+ */
+export class TribeStore {
+
+    constructor(game, accountManager) {
+
+        this.game = game;
+        this.accountManager = accountManager;
+
+    }
+
+    get clans() {
+        return this.game.clan_manager;
+    }
+
+    get persistent() {
+        return this.accountManager.isDatabaseAvailable();
+    }
+
+    // opens a clan, saved as a tribe when its founder is logged in
+    async create(player, title) {
+
+        if (this.clans.clans.has(title)) {
+            return { success: false, error: "That name is taken" };
+        }
+
+        let tribe = null;
+        if (player.accountId && this.persistent) {
+            // a saved tribe the player is not playing in, e.g. when its name was taken in this room
+            if (!await this.leaveSaved(player)) {
+                return { success: false, error: "Could not leave your tribe" };
+            }
+            const result = await this.accountManager.createTribe(title, player.accountId);
+            if (!result.success) return result;
+            tribe = result.tribe;
+        } else if (this.persistent && await this.accountManager.getTribe(title)) {
+            return { success: false, error: "That name belongs to another tribe" };
+        }
+
+        // the name or the player may have been taken while the database answered
+        if (player.team || !this.clans.create(title, player)) {
+            if (tribe) await this.accountManager.deleteTribe(tribe.id);
+            return { success: false, error: "That name is taken" };
+        }
+
+        if (tribe) {
+            this.clans.clans.get(title).tribeId = tribe.id;
+        }
+        return { success: true };
+
+    }
+
+    // puts a player who just logged in back into their tribe
+    async rejoin(player) {
+
+        if (!player.accountId || player.team || !this.persistent) return;
+
+        const membership = await this.accountManager.getTribeMembership(player.accountId);
+        if (!membership || player.team) return;
+
+        const { name, role } = membership;
+        const since = new Date(membership.joinedAt).getTime();
+
+        let clan = this.clans.clans.get(name);
+        if (!clan) {
+            this.clans.create(name, player);
+            clan = this.clans.clans.get(name);
+            clan.tribeId = membership.tribeId;
+            clan.since.set(player.sid, since);
+            clan.setRole(player.sid, role);
+        } else if (clan.tribeId === membership.tribeId) {
+            clan.join(player.sid, player.name, role, since);
+        } else {
+            player.send("6", -1, `Another tribe is using the name ${name} in this room`);
+            return;
+        }
+
+        if (roleRank(role) < roleRank(clan.roles.get(clan.owner.sid))) {
+            clan.setOwner(player);
+        }
+
+    }
+
+    // a join request was accepted
+    async joined(clan, player) {
+
+        if (!clan?.tribeId || !player.accountId || player.team !== clan.title) return;
+
+        if (await this.leaveSaved(player, clan.tribeId)) {
+            await this.accountManager.addTribeMember(clan.tribeId, player.accountId);
+        }
+
+    }
+
+    // drops the account's membership of a saved tribe other than `keep`, letting that tribe
+    // pick its next leader; false when it could not be removed
+    async leaveSaved(player, keep = null) {
+
+        const membership = await this.accountManager.getTribeMembership(player.accountId);
+        if (!membership || membership.tribeId === keep) return true;
+
+        const result = await this.accountManager.removeTribeMember(membership.tribeId, player.accountId);
+        return result.success;
+
+    }
+
+    // whether the player answers join requests for their clan
+    canManage(player) {
+
+        const clan = this.clans.clans.get(player.team);
+        return Boolean(clan) && (player.is_owner || roleRank(clan.roles.get(player.sid)) <= roleRank("officer"));
+
+    }
+
+    // whether `actor` may kick `sid` from their clan; only lower ranks can be
+    canKick(actor, sid) {
+
+        const clan = this.clans.clans.get(actor.team);
+        if (!clan || !this.canManage(actor) || !clan.teams.has(sid) || sid === actor.sid) return false;
+
+        return roleRank(clan.roles.get(actor.sid)) < roleRank(clan.roles.get(sid));
+
+    }
+
+    kick(actor, sid) {
+
+        const clan = this.clans.clans.get(actor.team);
+        const target = this.game.players.find(player => player.sid === sid);
+        if (!clan || !target) return;
+
+        clan.kick(sid);
+        if (clan.tribeId && target.accountId) {
+            this.accountManager.removeTribeMember(clan.tribeId, target.accountId);
+        }
+
+    }
+
+    // the leader's "promote", "demote" and "leader" (hand over leadership) actions on a member
+    async setRole(actor, sid, action) {
+
+        const clan = this.clans.clans.get(actor.team);
+        if (!clan || clan.roles.get(actor.sid) !== "leader" || sid === actor.sid || !clan.teams.has(sid)) return false;
+
+        const target = this.game.players.find(player => player.sid === sid);
+        // a saved tribe's roles belong to accounts
+        if (!target || (clan.tribeId && !target.accountId)) return false;
+
+        const current = clan.roles.get(sid);
+        if (action === "leader") {
+            if (clan.tribeId && !await this.accountManager.transferTribe(clan.tribeId, actor.accountId, target.accountId)) {
+                return false;
+            }
+            // the roles may have changed while the database answered
+            if (clan.roles.get(actor.sid) !== "leader" || !clan.teams.has(sid)) return false;
+            clan.setRole(actor.sid, "officer");
+            clan.setRole(sid, "leader");
+            clan.setOwner(target);
+            return true;
+        }
+
+        const role = action === "promote" && current === "member" ? "officer"
+            : action === "demote" && current === "officer" ? "member"
+            : null;
+        if (!role) return false;
+
+        clan.setRole(sid, role);
+        if (clan.tribeId) {
+            this.accountManager.setTribeRole(clan.tribeId, target.accountId, role);
+        }
+        return true;
+
+    }
+
+    // the player leaves their clan for good
+    async leave(player) {
+
+        const clan = this.clans.clans.get(player.team);
+        if (!clan) return;
+
+        if (!clan.tribeId || !player.accountId) {
+            this.close(clan, player, !clan.tribeId);
+            return;
+        }
+
+        this.close(clan, player, false);
+
+        // the database picks the next leader, who may be offline
+        const result = await this.accountManager.removeTribeMember(clan.tribeId, player.accountId);
+        if (!result.success || this.clans.clans.get(clan.title) !== clan) return;
+
+        if (result.disbanded) {
+            // only guests are left, who keep playing in an unsaved clan
+            clan.tribeId = null;
+            clan.setRole(clan.owner.sid, "leader");
+        } else if (result.leader) {
+            const leader = this.game.players.find(member => member.accountId === result.leader && clan.teams.has(member.sid));
+            if (leader) {
+                clan.setRole(leader.sid, "leader");
+                clan.setOwner(leader);
+            }
+        }
+
+    }
+
+    // the player left the room; a saved tribe stays and is led by whoever is still here
+    disconnect(player) {
+
+        const clan = this.clans.clans.get(player.team);
+        if (!clan) return;
+
+        if (!clan.tribeId) {
+            this.leave(player);
+            return;
+        }
+        this.close(clan, player, false);
+
+    }
+
+    // takes the player out of the clan in this room, passing the owner's rights on first,
+    // and the leader role as well when `succeed` is set
+    close(clan, player, succeed) {
+
+        if (clan.owner === player) {
+            const next = this.successor(clan, player);
+            if (!next) {
+                this.clans.remove(clan.title);
+                return;
+            }
+            if (succeed) clan.setRole(next.sid, "leader");
+            clan.setOwner(next);
+        }
+        clan.kick(player.sid);
+
+    }
+
+    // the best-ranked member still in the clan, longest standing on ties
+    successor(clan, leaving) {
+
+        let best = null;
+        for (const sid of clan.teams.keys()) {
+            if (sid === leaving.sid) continue;
+            const member = this.game.players.find(player => player.sid === sid);
+            if (!member) continue;
+            const rank = roleRank(clan.roles.get(sid));
+            const bestRank = best && roleRank(clan.roles.get(best.sid));
+            if (!best || rank < bestRank || (rank === bestRank && clan.since.get(sid) < clan.since.get(best.sid))) {
+                best = member;
+            }
+        }
+        return best;
+
+    }
+
+}
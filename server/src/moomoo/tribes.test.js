@@ -0,0 +1,263 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { decode } from "msgpack-lite";
+import { Game } from "./server.js";
+import { TribeStore } from "./tribes.js";
+import { items } from "./modules/items.js";
+
+// the tribe tables, kept in memory
+function fakeAccounts() {
+    const tribes = new Map;
+    const members = new Map;
+    return {
+        tribes,
+        members,
+        isDatabaseAvailable: () => true,
+        async createTribe(name, accountId) {
+            if ([...tribes.values()].some(tribe => tribe.name === name)) {
+                return { success: false, error: "That name belongs to another tribe" };
+            }
+            const tribe = { id: tribes.size + 1, name };
+            tribes.set(tribe.id, tribe);
+            members.set(accountId, { tribeId: tribe.id, role: "leader" });
+            return { success: true, tribe };
+        },
+        async getTribe(name) {
+            return [...tribes.values()].find(tribe => tribe.name === name) ?? null;
+        },
+        async getTribeMembership(accountId) {
+            const member = members.get(accountId);
+            return member ? { ...member, name: tribes.get(member.tribeId).name } : null;
+        },
+        async addTribeMember(tribeId, accountId, role = "member") {
+            members.set(accountId, { tribeId, role });
+        },
+        async removeTribeMember(tribeId, accountId) {
+            const { role } = members.get(accountId);
+            members.delete(accountId);
+            if (role !== "leader") return { success: true, leader: null, disbanded: false };
+            const [next] = [...members].filter(([, member]) => member.tribeId === tribeId)
+                .sort(([, a], [, b]) => (b.role === "officer") - (a.role === "officer"));
+            if (!next) {
+                tribes.delete(tribeId);
+                return { success: true, leader: null, disbanded: true };
+            }
+            next[1].role = "leader";
+            return { success: true, leader: next[0], disbanded: false };
+        },
+        async setTribeRole(tribeId, accountId, role) {
+            members.get(accountId).role = role;
+        },
+        async transferTribe(tribeId, fromAccountId, toAccountId) {
+            members.get(fromAccountId).role = "officer";
+            members.get(toAccountId).role = "leader";
+            return true;
+        },
+        async deleteTribe(tribeId) {
+            tribes.delete(tribeId);
+            for (const [accountId, member] of members) {
+                if (member.tribeId === tribeId) members.delete(accountId);
+            }
+        }
+    };
+}
+
+function createRoom() {
+    const game = new Game({ id: "room" });
+    game.stop();
+    const accounts = fakeAccounts();
+    game.tribes = new TribeStore(game, accounts);
+    return { game, accounts };
+}
+
+function addPlayer(game, name, accountId) {
+    const player = game.addPlayer({ readyState: 1, send() {} });
+    player.setUserData({ name });
+    player.spawn();
+    player.accountId = accountId;
+    return player;
+}
+
+test("tribes stay saved when their members disconnect and come back on login", async () => {
+    const { game, accounts } = createRoom();
+    const leader = addPlayer(game, "leader", "acc-1");
+    const member = addPlayer(game, "member", "acc-2");
+    const guest = addPlayer(game, "guest", undefined);
+
+    assert.equal((await game.tribes.create(leader, "moo")).success, true);
+    const clan = game.clan_manager.clans.get("moo");
+    for (const joining of [member, guest]) {
+        game.clan_manager.join("moo", joining);
+        await game.tribes.joined(clan, joining);
+    }
+    assert.deepEqual([...accounts.members.keys()], ["acc-1", "acc-2"]);
+
+    // the leader's rights pass to the member, the guest is lower ranked
+    game.tribes.disconnect(leader);
+    assert.equal(clan.owner, member);
+    assert.equal(member.is_owner, true);
+    assert.equal(accounts.members.size, 2);
+
+    game.tribes.disconnect(member);
+    game.tribes.disconnect(guest);
+    assert.equal(game.clan_manager.clans.has("moo"), false);
+
+    const returning = addPlayer(game, "leader", "acc-1");
+    await game.tribes.rejoin(returning);
+    assert.equal(returning.team, "moo");
+    assert.equal(game.clan_manager.clans.get("moo").roles.get(returning.sid), "leader");
+
+    // a guest cannot take the name while it is saved
+    const { success } = await game.tribes.create(addPlayer(game, "other", undefined), "moo");
+    assert.equal(success, false);
+});
+
+test("officers manage lower ranks and a leaving leader is followed by an officer", async () => {
+    const { game, accounts } = createRoom();
+    const leader = addPlayer(game, "leader", "acc-1");
+    const member = addPlayer(game, "member", "acc-2");
+    const officer = addPlayer(game, "officer", "acc-3");
+
+    await game.tribes.create(leader, "moo");
+    const clan = game.clan_manager.clans.get("moo");
+    for (const joining of [member, officer]) {
+        game.clan_manager.join("moo", joining);
+        await game.tribes.joined(clan, joining);
+    }
+
+    assert.equal(await game.tribes.setRole(officer, member.sid, "promote"), false);
+    assert.equal(await game.tribes.setRole(leader, officer.sid, "promote"), true);
+    assert.equal(accounts.members.get("acc-3").role, "officer");
+
+    assert.equal(game.tribes.canManage(officer), true);
+    assert.equal(game.tribes.canManage(member), false);
+    assert.equal(game.tribes.canKick(officer, member.sid), true);
+    assert.equal(game.tribes.canKick(officer, leader.sid), false);
+
+    await game.tribes.leave(leader);
+    assert.equal(leader.team, null);
+    assert.equal(clan.owner, officer);
+    assert.equal(clan.roles.get(officer.sid), "leader");
+    assert.equal(accounts.members.get("acc-3").role, "leader");
+    assert.equal(accounts.members.has("acc-1"), false);
+
+    // an explicit hand over keeps the old leader on as an officer
+    assert.equal(await game.tribes.setRole(officer, member.sid, "leader"), true);
+    assert.equal(clan.owner, member);
+    assert.equal(clan.roles.get(officer.sid), "officer");
+    assert.equal(accounts.members.get("acc-2").role, "leader");
+});
+
+test("a leader founding a second tribe hands the first one on", async () => {
+    const { game, accounts } = createRoom();
+    const leader = addPlayer(game, "leader", "acc-1");
+    const member = addPlayer(game, "member", "acc-2");
+
+    await game.tribes.create(leader, "moo");
+    game.clan_manager.join("moo", member);
+    await game.tribes.joined(game.clan_manager.clans.get("moo"), member);
+    game.tribes.disconnect(leader);
+    game.tribes.disconnect(member);
+
+    // the name is in use when the leader comes back, so they stay out of their tribe
+    game.clan_manager.create("moo", addPlayer(game, "guest", undefined));
+    const returning = addPlayer(game, "leader", "acc-1");
+    await game.tribes.rejoin(returning);
+    assert.equal(returning.team, null);
+
+    assert.equal((await game.tribes.create(returning, "cow")).success, true);
+    const [moo, cow] = accounts.tribes.keys();
+    assert.deepEqual(accounts.members.get("acc-1"), { tribeId: cow, role: "leader" });
+    assert.deepEqual(accounts.members.get("acc-2"), { tribeId: moo, role: "leader" });
+
+    // joining another saved tribe leaves this one the same way
+    const joining = addPlayer(game, "member", "acc-2");
+    game.clan_manager.join("cow", joining);
+    await game.tribes.joined(game.clan_manager.clans.get("cow"), joining);
+    assert.deepEqual(accounts.members.get("acc-2"), { tribeId: cow, role: "member" });
+    assert.equal(accounts.tribes.has(moo), false);
+});
+
+test("unsaved clans pass leadership to the longest-standing member", () => {
+    const game = new Game({ id: "room" });
+    game.stop();
+    game.tribes = new TribeStore(game, { isDatabaseAvailable: () => false });
+
+    const founder = addPlayer(game, "founder", undefined);
+    const first = addPlayer(game, "first", undefined);
+    const second = addPlayer(game, "second", undefined);
+    game.tribes.create(founder, "moo");
+    const clan = game.clan_manager.clans.get("moo");
+    game.clan_manager.join("moo", first);
+    game.clan_manager.join("moo", second);
+    clan.since.set(second.sid, clan.since.get(first.sid) - 1);
+
+    game.tribes.disconnect(founder);
+    assert.equal(clan.owner, second);
+    assert.equal(clan.roles.get(second.sid), "leader");
+    assert.equal(game.clan_manager.clans.has("moo"), true);
+});
+
+test("tribe messages and markers only reach members", () => {
+    const { game } = createRoom();
+    const received = new Map;
+    const listen = (name, accountId) => {
+        const packets = [];
+        const player = game.addPlayer({ readyState: 1, send: packet => packets.push(decode(packet)) });
+        player.setUserData({ name });
+        player.spawn();
+        player.accountId = accountId;
+        received.set(player, packets);
+        return player;
+    };
+    const founder = listen("founder");
+    const member = listen("member");
+    const outsider = listen("outsider");
+
+    game.clan_manager.create("moo", founder);
+    game.clan_manager.join("moo", member);
+    const clan = game.clan_manager.clans.get("moo");
+
+    clan.broadcast("6", founder.sid, "hi", 1, founder.name);
+    for (let id = 0; id < 3; id++) clan.addMarker(id % 2, 100 * id, 50, member.sid, 2);
+    clan.removeMarker(3);
+
+    const markers = packets => packets.filter(([type]) => type === "MK").map(([, [data]]) => data);
+    assert.deepEqual(markers(received.get(member)).at(-1), [2, 1, 100, 50]);
+    assert.deepEqual(received.get(member).find(([type]) => type === "6")[1], [founder.sid, "hi", 1, "founder"]);
+    assert.equal(received.get(outsider).some(([type]) => type === "6" || type === "MK"), false);
+
+    // markers are sent on joining and cleared on leaving
+    game.clan_manager.join("moo", outsider);
+    assert.deepEqual(markers(received.get(outsider)).at(-1), [2, 1, 100, 50]);
+    clan.kick(outsider.sid);
+    assert.deepEqual(markers(received.get(outsider)).at(-1), []);
+});
+
+test("tribe standings add up members' score, kills and structures at a low rate", () => {
+    const { game } = createRoom();
+    const packets = [];
+    const red = addPlayer(game, "red", undefined);
+    red.socket.send = packet => packets.push(decode(packet));
+    const redder = addPlayer(game, "redder", undefined);
+    const blue = addPlayer(game, "blue", undefined);
+
+    game.clan_manager.create("red", red);
+    game.clan_manager.join("red", redder);
+    game.clan_manager.create("blue", blue);
+    red.points = 100;
+    redder.points = 50;
+    redder.kills = 2;
+    blue.points = 120;
+    const wall = items.list[3];
+    game.object_manager.add(game.game_objects.length, 100, 100, 0, wall.scale, wall.type, wall, false, redder);
+
+    const standings = () => packets.filter(([type]) => type === "TG").map(([, [data]]) => data);
+    game.sendUpdates(0);
+    assert.deepEqual(standings(), [["red", 2, 150, 2, 1, "blue", 1, 120, 0, 0]]);
+
+    game.sendUpdates(game.config.tribeLeaderboardRate / 2);
+    assert.equal(standings().length, 1);
+    game.sendUpdates(game.config.tribeLeaderboardRate / 2);
+    assert.equal(standings().length, 2);
+});
@@ -0,0 +1,284 @@
+import fs from "node:fs";
+import path from "node:path";
+import { items } from "./modules/items.js";
+
+export const WORLD_VERSION = 1;
+
+/*
+ * Periodic snapshots of a room's world: the resource layout, structures owned
+ * by logged-in accounts or placed by the map, and clans led by accounts.
+ * Guest structures are not kept. On boot the snapshot replaces the map's
+ * objects; restored structures have no owner until the account spawns again
+ * and claims them, and are removed if it stays away longer than `orphanTtl`.
+ * With a database, clans are left to TribeStore, which saves them as tribes
+ * and reopens them as their members log in.
+ */
+export class WorldStore {
+
+    constructor(game, file, { saveInterval, orphanTtl }) {
+
+        this.game = game;
+        this.file = file;
+        this.saveInterval = saveInterval;
+        this.orphanTtl = orphanTtl;
+
+    }
+
+    /** @type {Map<string, { owner: string, members: Set<string>, orphanedAt: number }>} */
+    pendingClans = new Map;
+    saveTimer = null;
+    saving = null;
+
+    // rooms without a database have no saved tribes to bring clans back
+    get keepsClans() {
+        return !this.game.tribes?.persistent;
+    }
+
+    start() {
+
+        this.saveTimer = setInterval(() => {
+            this.expire();
+            this.save();
+        }, this.saveInterval);
+
+    }
+
+    // returns false when there is no usable snapshot and the generated world stays
+    restore() {
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(this.file, "utf8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                console.error(`[World] Could not read ${this.file}:`, error.message);
+            }
+            return false;
+        }
+
+        if (snapshot.version !== WORLD_VERSION) {
+            console.warn(`[World] Ignoring ${this.file}: unsupported version ${snapshot.version}`);
+            return false;
+        }
+
+        const game = this.game;
+
+        if (snapshot.map !== game.config.gameMap.name) {
+            console.warn(`[World] Ignoring ${this.file}: saved on map "${snapshot.map}", room uses "${game.config.gameMap.name}"`);
+            return false;
+        }
+
+        const objectManager = game.object_manager;
+        const now = Date.now();
+
+        objectManager.clear();
+
+        for (const [x, y, scale, type] of snapshot.resources) {
+            objectManager.add(game.game_objects.length, x, y, 0, scale, type, undefined, false, null);
+        }
+
+        for (const structure of snapshot.structures) {
+
+            const item = items.list[structure.item];
+            if (!item) continue;
+
+            const data = structure.pps ? { ...item, pps: structure.pps } : item;
+            objectManager.add(game.game_objects.length, structure.x, structure.y, structure.dir, item.scale, item.type, data, false, null);
+
+            const object = game.game_objects[game.game_objects.length - 1];
+            object.health = structure.health ?? object.health;
+            if (structure.owner) {
+                object.ownerAccountId = structure.owner;
+                object.orphanedAt = structure.orphanedAt ?? now;
+            }
+
+        }
+
+        // a restart carries on at the same time of day
+        if (game.day_cycle && typeof snapshot.time === "number") {
+            game.day_cycle.time = snapshot.time % game.day_cycle.length;
+        }
+
+        for (const clan of snapshot.clans) {
+            this.pendingClans.set(clan.title, {
+                owner: clan.owner,
+                members: new Set(clan.members),
+                orphanedAt: clan.orphanedAt ?? now
+            });
+        }
+
+        console.log(`[World] Restored room "${game.id}": ${snapshot.resources.length} resources, ${snapshot.structures.length} structures, ${snapshot.clans.length} clans`);
+        return true;
+
+    }
+
+    snapshot() {
+
+        const game = this.game;
+        const resources = [];
+        const structures = [];
+
+        for (const object of game.game_objects) {
+
+            if (!object.active) continue;
+
+            if (!object.isItem) {
+                resources.push([object.x, object.y, object.fullScale ?? object.scale, object.type]);
+                continue;
+            }
+
+            const owner = object.owner ? object.owner.accountId : object.ownerAccountId;
+            // guest structures leave with their owner, map structures have none at all
+            if (object.owner && !owner) continue;
+
+            structures.push({
+                item: object.id,
+                x: object.x,
+                y: object.y,
+                dir: object.dir,
+                health: object.health,
+                pps: object.pps,
+                owner,
+                orphanedAt: owner && !object.owner ? object.orphanedAt : undefined
+            });
+
+        }
+
+        // depleted nodes come back full after a restart
+        for (const node of game.object_manager.regrowing) {
+            resources.push([node.x, node.y, node.scale, node.type]);
+        }
+
+        const clans = [];
+
+        for (const [title, clan] of this.keepsClans ? game.clan_manager.clans : []) {
+
+            if (!clan.owner.accountId) continue;
+
+            const members = new Set(this.pendingClans.get(title)?.members);
+            for (const sid of clan.teams.keys()) {
+                const member = game.players.find(player => player.sid === sid);
+                if (member?.accountId && member !== clan.owner) members.add(member.accountId);
+            }
+
+            clans.push({ title, owner: clan.owner.accountId, members: [...members] });
+
+        }
+
+        for (const [title, clan] of this.keepsClans ? this.pendingClans : []) {
+            if (game.clan_manager.clans.has(title)) continue;
+            clans.push({ title, owner: clan.owner, members: [...clan.members], orphanedAt: clan.orphanedAt });
+        }
+
+        return {
+            version: WORLD_VERSION,
+            room: game.id,
+            map: game.config.gameMap.name,
+            savedAt: Date.now(),
+            time: game.day_cycle ? Math.round(game.day_cycle.time) : null,
+            resources,
+            structures,
+            clans
+        };
+
+    }
+
+    // writes to a temporary file first so a crash mid-write keeps the previous snapshot
+    save() {
+
+        if (this.saving) return this.saving;
+
+        const temporary = `${this.file}.tmp`;
+        const data = JSON.stringify(this.snapshot());
+
+        this.saving = fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+            .then(() => fs.promises.writeFile(temporary, data))
+            .then(() => fs.promises.rename(temporary, this.file))
+            .catch(error => console.error(`[World] Failed saving ${this.file}:`, error.message))
+            .finally(() => this.saving = null);
+
+        return this.saving;
+
+    }
+
+    // hands restored structures and clans back to a spawned, logged-in player
+    claim(player) {
+
+        const accountId = player.accountId;
+        if (!accountId) return;
+
+        const game = this.game;
+        let claimed = 0;
+
+        for (const object of game.game_objects) {
+
+            if (!object.active || object.owner || object.ownerAccountId !== accountId) continue;
+
+            object.owner = player;
+            object.ownerAccountId = null;
+            object.orphanedAt = null;
+            // resend with the new owner sid
+            object.sentTo = {};
+
+            if (object.pps) player.pps += object.pps;
+            if (object.group?.limit) player.changeItemCount(object.group.id, 1);
+
+            claimed++;
+
+        }
+
+        // clans saved while there was no database, their names may belong to saved tribes by now
+        if (!this.keepsClans) this.pendingClans.clear();
+
+        for (const [title, pending] of this.pendingClans) {
+
+            if (pending.owner === accountId && !player.team && !game.clan_manager.clans.has(title)) {
+                game.clan_manager.create(title, player);
+            }
+
+            const clan = game.clan_manager.clans.get(title);
+            if (!clan || clan.owner.accountId !== pending.owner) continue;
+
+            for (const member of game.players) {
+                if (!member.team && member.alive && pending.members.delete(member.accountId)) {
+                    clan.join(member.sid, member.name);
+                }
+            }
+
+            if (pending.members.size === 0) this.pendingClans.delete(title);
+
+        }
+
+        if (claimed > 0) {
+            console.log(`[World] ${player.name} (account ${accountId}) reclaimed ${claimed} structures in room "${game.id}"`);
+        }
+
+    }
+
+    // drops restored structures and clans whose owners have not come back
+    expire(now = Date.now()) {
+
+        const game = this.game;
+
+        for (const object of game.game_objects) {
+            if (object.active && !object.owner && object.ownerAccountId && now - object.orphanedAt >= this.orphanTtl) {
+                game.object_manager.disableObj(object);
+                game.server.broadcast("Q", object.sid);
+            }
+        }
+
+        for (const [title, pending] of this.pendingClans) {
+            if (now - pending.orphanedAt >= this.orphanTtl) this.pendingClans.delete(title);
+        }
+
+    }
+
+    stop() {
+
+        clearInterval(this.saveTimer);
+        // a periodic save may still be writing an older snapshot
+        return Promise.resolve(this.saving).then(() => this.save());
+
+    }
+
+}
@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Game } from "./server.js";
+import { WorldStore } from "./worldStore.js";
+import { TribeStore } from "./tribes.js";
+import { items } from "./modules/items.js";
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "world-"));
+const file = path.join(directory, "room.json");
+const options = { saveInterval: 60000, orphanTtl: 1000 };
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function createGame() {
+    const game = new Game({ id: "room" });
+    game.stop();
+    return game;
+}
+
+function addPlayer(game, name, accountId) {
+    const player = game.addPlayer({ readyState: 1, send() {} });
+    player.setUserData({ name });
+    player.spawn();
+    player.accountId = accountId;
+    return player;
+}
+
+function place(game, player, itemId, x, y) {
+    const item = items.list[itemId];
+    game.object_manager.add(game.game_objects.length, x, y, 0, item.scale, item.type, item, false, player);
+    if (item.group.limit) player.changeItemCount(item.group.id, 1);
+    return game.game_objects[game.game_objects.length - 1];
+}
+
+test("a restored world keeps resources and hands structures back to their account", async () => {
+    const before = createGame();
+    const owner = addPlayer(before, "owner", "acc-1");
+    const guest = addPlayer(before, "guest", undefined);
+    const wall = place(before, owner, 3, 100, 100);
+    wall.health = 123;
+    place(before, guest, 3, 300, 300);
+    before.clan_manager.create("moo", owner);
+
+    await new WorldStore(before, file, options).save();
+
+    const after = createGame();
+    const world = new WorldStore(after, file, options);
+    assert.equal(world.restore(), true);
+
+    const resources = object => object.active && !object.isItem;
+    assert.deepEqual(
+        after.game_objects.filter(resources).map(object => [object.x, object.y, object.type]),
+        before.game_objects.filter(resources).map(object => [object.x, object.y, object.type])
+    );
+
+    // guest structures are not kept, account structures wait for their owner
+    const [restored] = after.game_objects.filter(object => object.active && object.isItem);
+    assert.equal(after.game_objects.filter(object => object.active && object.isItem).length, 1);
+    assert.equal(restored.owner, null);
+    assert.equal(restored.health, 123);
+
+    const returning = addPlayer(after, "owner", "acc-1");
+    world.claim(returning);
+    assert.equal(restored.owner, returning);
+    assert.equal(returning.itemCounts[items.list[3].group.id], 1);
+    assert.equal(returning.team, "moo");
+    assert.equal(after.clan_manager.clans.get("moo").owner, returning);
+});
+
+test("unclaimed structures expire after the orphan ttl", async () => {
+    const world = new WorldStore(createGame(), file, options);
+    world.restore();
+
+    const orphans = () => world.game.game_objects.filter(object => object.active && object.ownerAccountId);
+    assert.equal(orphans().length, 1);
+
+    world.expire(Date.now() + options.orphanTtl);
+    assert.equal(orphans().length, 0);
+    assert.equal(world.pendingClans.size, 0);
+});
+
+test("with a database, clans are left to the saved tribes", async () => {
+    const tribesFile = path.join(directory, "tribes.json");
+    const before = createGame();
+    before.clan_manager.create("moo", addPlayer(before, "owner", "acc-1"));
+    // saved while the database was down
+    await new WorldStore(before, tribesFile, options).save();
+
+    const after = createGame();
+    after.tribes = new TribeStore(after, {
+        isDatabaseAvailable: () => true,
+        getTribeMembership: async () => ({ tribeId: 7, name: "moo", role: "leader", joinedAt: 0 })
+    });
+    const world = new WorldStore(after, tribesFile, options);
+    world.restore();
+
+    const returning = addPlayer(after, "owner", "acc-1");
+    world.claim(returning);
+    assert.equal(after.clan_manager.clans.has("moo"), false);
+
+    await after.tribes.rejoin(returning);
+    assert.equal(returning.team, "moo");
+    assert.equal(after.clan_manager.clans.get("moo").tribeId, 7);
+    assert.deepEqual(world.snapshot().clans, []);
+});
+
+test("a missing snapshot keeps the generated world", () => {
+    const game = createGame();
+    const generated = game.game_objects.length;
+
+    assert.equal(new WorldStore(game, path.join(directory, "missing.json"), options).restore(), false);
+    assert.equal(game.game_objects.length, generated);
+});
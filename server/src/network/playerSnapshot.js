@@ -0,0 +1,57 @@
+/*
+ * Delta encoding for the "a" player snapshot packet.
+ *
+ * Each visible player is written as `sid, mask, ...values`. Bits 0-15 of the
+ * mask say which getInfo() fields (1-16) follow, in field order. x/y are sent
+ * as the difference from the receiver's baseline, dir is quantized to
+ * `angleSteps` steps, everything else is sent as is. SNAPSHOT_KEYFRAME marks
+ * an entry that carries every field with absolute x/y; it is written whenever
+ * the receiver has no baseline for that sid (first sight, "D" resend, resync).
+ */
+
+export const SNAPSHOT_FIELD_COUNT = 17;
+export const SNAPSHOT_KEYFRAME = 1 << 16;
+
+const POSITION_FIELDS = new Set([1, 2]);
+const DIR_FIELD = 3;
+const TAU = Math.PI * 2;
+
+export function quantizeAngle(dir, steps) {
+    const normalized = ((dir % TAU) + TAU) % TAU;
+    return Math.round(normalized / TAU * steps) % steps;
+}
+
+export function quantizeInfo(info, angleSteps) {
+    const quantized = info.slice(0, SNAPSHOT_FIELD_COUNT);
+    quantized[1] = Math.round(quantized[1]);
+    quantized[2] = Math.round(quantized[2]);
+    quantized[DIR_FIELD] = quantizeAngle(quantized[DIR_FIELD], angleSteps);
+    return quantized;
+}
+
+/**
+ * Appends one player's delta entry to `out` and advances the baseline.
+ * @param {Array} out packet payload being built
+ * @param {Map<number, Array>} baselines receiver's last sent values by sid
+ * @param {Array} info Player#getInfo() of the visible player
+ * @param {number} angleSteps
+ */
+export function writePlayerDelta(out, baselines, info, angleSteps) {
+
+    const current = quantizeInfo(info, angleSteps);
+    const sid = current[0];
+    const base = baselines.get(sid);
+
+    let mask = base ? 0 : SNAPSHOT_KEYFRAME;
+    const values = [];
+
+    for (let field = 1; field < SNAPSHOT_FIELD_COUNT; field++) {
+        if (base && base[field] === current[field]) continue;
+        mask |= 1 << (field - 1);
+        values.push(base && POSITION_FIELDS.has(field) ? current[field] - base[field] : current[field]);
+    }
+
+    baselines.set(sid, current);
+    out.push(sid, mask, ...values);
+
+}
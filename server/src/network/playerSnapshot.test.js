@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SNAPSHOT_KEYFRAME, quantizeAngle, writePlayerDelta } from "./playerSnapshot.js";
+
+const info = (x, y, dir, team = null) => [4, x, y, dir, -1, 0, 0, team, false, 0, 0, 0, 0, 0, -1, 0, 0];
+
+test("first entry for a sid is a keyframe with absolute values", () => {
+    const out = [];
+    writePlayerDelta(out, new Map, info(1200.4, 800, 0), 256);
+    assert.equal(out[0], 4);
+    assert.equal(out[1] & SNAPSHOT_KEYFRAME, SNAPSHOT_KEYFRAME);
+    assert.equal(out[1] & 0xffff, 0xffff);
+    assert.deepEqual(out.slice(2, 5), [1200, 800, 0]);
+});
+
+test("unchanged players cost only sid and an empty mask", () => {
+    const baselines = new Map;
+    writePlayerDelta([], baselines, info(100, 100, 1), 256);
+    const out = [];
+    writePlayerDelta(out, baselines, info(100, 100, 1), 256);
+    assert.deepEqual(out, [4, 0]);
+});
+
+test("positions are sent relative to the baseline", () => {
+    const baselines = new Map;
+    writePlayerDelta([], baselines, info(100, 100, 1), 256);
+    const out = [];
+    writePlayerDelta(out, baselines, info(112, 95, 1, "clan"), 256);
+    assert.deepEqual(out, [4, 0b1000011, 12, -5, "clan"]);
+});
+
+test("angles wrap into the quantized range", () => {
+    assert.equal(quantizeAngle(0, 256), 0);
+    assert.equal(quantizeAngle(Math.PI, 256), 128);
+    assert.equal(quantizeAngle(-Math.PI / 2, 256), 192);
+    assert.equal(quantizeAngle(Math.PI * 2 - 0.001, 256), 0);
+});
@@ -108,7 +108,8 @@ export class ActionValidator {
             this.recordViolation(player.id || player.sid, results.violations[0]);
         }
 
-        if (!this.config.isSandbox && !player.infiniteBuild) {
+        const roomConfig = player.game?.config ?? this.config;
+        if (!roomConfig.isSandbox && !player.infiniteBuild) {
             const hasResources = this.checkBuildResources(player, item);
             if (!hasResources.valid) {
                 results.valid = false;
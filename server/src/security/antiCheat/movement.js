@@ -37,8 +37,8 @@ export class MovementValidator {
     calculateMaxAllowedSpeed(player, delta) {
         let speedMultiplier = 1;
 
-        if (player.speedMultiplier) {
-            speedMultiplier *= player.speedMultiplier;
+        if (player.effects) {
+            speedMultiplier *= player.effects.multiplier("speed");
         }
 
         if (player.skin && player.skin.spdMult) {
@@ -3,9 +3,11 @@ const MAX_NAME_LENGTH = 15;
 const MAX_CHAT_LENGTH = 100;
 const MAX_CLAN_NAME_LENGTH = 7;
 const MAX_PARTY_CODE_LENGTH = 10;
+const MAX_ROOM_ID_LENGTH = 24;
 const MAX_USERNAME_LENGTH = 16;
 const MAX_PASSWORD_LENGTH = 30;
 const MAX_DISPLAY_NAME_LENGTH = 20;
+const SPECTATE_ACTIONS = new Set(['start', 'stop', 'follow', 'next', 'prev', 'roam']);
 
 const OPCODES = {
     SPAWN: 'M',
@@ -29,7 +31,18 @@ const OPCODES = {
     AUTH: 'AUTH',
     REGISTER: 'REGISTER',
     CREATE_PARTY: 'CREATE_PARTY',
-    JOIN_PARTY: 'JOIN_PARTY'
+    JOIN_PARTY: 'JOIN_PARTY',
+    LEAVE_PARTY: 'LEAVE_PARTY',
+    PARTY_MOVE: 'PARTY_MOVE',
+    RESYNC: 'RESYNC',
+    SPECTATE: 'SPECTATE',
+    SPECTATOR_CAMERA: 'SP',
+    NAME_COLOR: 'NAME_COLOR',
+    MATCHES: 'MATCHES',
+    TRIBE: 'TRIBE',
+    TRIBE_ROLE: 'TRIBE_ROLE',
+    TRIBE_MARKER: 'MK',
+    DIPLOMACY: 'DP'
 };
 
 const VALID_OPCODES = new Set(Object.values(OPCODES));
@@ -252,7 +265,8 @@ const schemas = {
                 return { valid: false, reason: 'Invalid chat message' };
             }
 
-            return { valid: true, sanitizedData: [sanitized] };
+            // 1 sends to the tribe only
+            return { valid: true, sanitizedData: data[1] === 1 ? [sanitized, 1] : [sanitized] };
         }
     },
 
@@ -492,6 +506,132 @@ const schemas = {
 
             return { valid: true, sanitizedData: [sanitized] };
         }
+    },
+
+    [OPCODES.LEAVE_PARTY]: {
+        validate: (data, ctx) => {
+            return { valid: true, sanitizedData: [] };
+        }
+    },
+
+    [OPCODES.PARTY_MOVE]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data) || typeof data[0] !== 'string') {
+                return { valid: false, reason: 'Room id must be string' };
+            }
+
+            const sanitized = sanitizeString(data[0], MAX_ROOM_ID_LENGTH);
+            if (sanitized === null || sanitized.length < 1) {
+                return { valid: false, reason: 'Invalid room id' };
+            }
+
+            return { valid: true, sanitizedData: [sanitized] };
+        }
+    },
+
+    [OPCODES.SPECTATE]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data) || !SPECTATE_ACTIONS.has(data[0])) {
+                return { valid: false, reason: 'Invalid spectate action' };
+            }
+
+            if (data[0] === 'follow') {
+                if (!Number.isInteger(data[1]) || data[1] < 0) {
+                    return { valid: false, reason: 'Spectate target must be a sid' };
+                }
+                return { valid: true, sanitizedData: ['follow', data[1]] };
+            }
+
+            return { valid: true, sanitizedData: [data[0]] };
+        }
+    },
+
+    [OPCODES.SPECTATOR_CAMERA]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data) || !isValidNumber(data[0]) || !isValidNumber(data[1])) {
+                return { valid: false, reason: 'Camera position must be two numbers' };
+            }
+
+            return { valid: true, sanitizedData: [data[0], data[1]] };
+        }
+    },
+
+    [OPCODES.NAME_COLOR]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data) || !Number.isInteger(data[0]) || data[0] < 0) {
+                return { valid: false, reason: 'Name color must be a palette index' };
+            }
+
+            return { valid: true, sanitizedData: [data[0]] };
+        }
+    },
+
+    [OPCODES.MATCHES]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data) || (data[0] !== 'recent' && data[0] !== 'best')) {
+                return { valid: false, reason: 'Match list must be sorted by recent or best' };
+            }
+
+            return { valid: true, sanitizedData: [data[0]] };
+        }
+    },
+
+    [OPCODES.TRIBE]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data)) {
+                return { valid: false, reason: 'Invalid tribe request' };
+            }
+            // no name asks for the player's own tribe
+            if (data[0] === undefined || data[0] === null) {
+                return { valid: true, sanitizedData: [] };
+            }
+            if (typeof data[0] !== 'string' || data[0].length < 1 || data[0].length > 7) {
+                return { valid: false, reason: 'Tribe name must be 1-7 characters' };
+            }
+
+            return { valid: true, sanitizedData: [data[0]] };
+        }
+    },
+
+    [OPCODES.TRIBE_ROLE]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data) || !Number.isInteger(data[0]) || !['promote', 'demote', 'leader'].includes(data[1])) {
+                return { valid: false, reason: 'Tribe role change must be a member sid and promote, demote or leader' };
+            }
+
+            return { valid: true, sanitizedData: [data[0], data[1]] };
+        }
+    },
+
+    // [0, kind, x, y] places a marker, [1, id] takes one down
+    [OPCODES.TRIBE_MARKER]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data)) {
+                return { valid: false, reason: 'Invalid marker data' };
+            }
+            if (data[0] === 0) {
+                if (!Number.isInteger(data[1]) || data[1] < 0 || !isValidNumber(data[2]) || !isValidNumber(data[3])) {
+                    return { valid: false, reason: 'Marker must have a kind and a position' };
+                }
+                return { valid: true, sanitizedData: [0, data[1], data[2], data[3]] };
+            }
+            if (data[0] === 1 && Number.isInteger(data[1])) {
+                return { valid: true, sanitizedData: [1, data[1]] };
+            }
+
+            return { valid: false, reason: 'Invalid marker action' };
+        }
+    },
+
+    [OPCODES.DIPLOMACY]: {
+        validate: (data, ctx) => {
+            if (!Array.isArray(data) || typeof data[0] !== 'string' || data[0].length < 1 || data[0].length > 7 ||
+                !['ally', 'war', 'peace'].includes(data[1])) {
+                return { valid: false, reason: 'Diplomacy must be a tribe name and ally, war or peace' };
+            }
+
+            return { valid: true, sanitizedData: [data[0], data[1]] };
+        }
     }
 };
 
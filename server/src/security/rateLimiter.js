@@ -25,7 +25,18 @@ const OPCODE_LIMITS = {
     'AUTH': { bucketSize: 5, refillRate: 1, name: 'auth' },
     'REGISTER': { bucketSize: 3, refillRate: 0.5, name: 'register' },
     'CREATE_PARTY': { bucketSize: 5, refillRate: 2, name: 'createParty' },
-    'JOIN_PARTY': { bucketSize: 10, refillRate: 5, name: 'joinParty' }
+    'JOIN_PARTY': { bucketSize: 10, refillRate: 5, name: 'joinParty' },
+    'LEAVE_PARTY': { bucketSize: 10, refillRate: 5, name: 'leaveParty' },
+    'PARTY_MOVE': { bucketSize: 3, refillRate: 0.5, name: 'partyMove' },
+    'RESYNC': { bucketSize: 3, refillRate: 1, name: 'resync' },
+    'SPECTATE': { bucketSize: 10, refillRate: 4, name: 'spectate' },
+    'SP': { bucketSize: 30, refillRate: 15, name: 'spectatorCamera' },
+    'NAME_COLOR': { bucketSize: 3, refillRate: 0.5, name: 'nameColor' },
+    'MATCHES': { bucketSize: 5, refillRate: 1, name: 'matches' },
+    'TRIBE': { bucketSize: 5, refillRate: 1, name: 'tribe' },
+    'TRIBE_ROLE': { bucketSize: 5, refillRate: 1, name: 'tribeRole' },
+    'MK': { bucketSize: 5, refillRate: 1, name: 'tribeMarker' },
+    'DP': { bucketSize: 3, refillRate: 0.5, name: 'diplomacy' }
 };
 
 const ESCALATION_THRESHOLDS = {
@@ -1,4 +1,6 @@
 import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
 
 const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000;
 const DEFAULT_ABSOLUTE_TIMEOUT = 24 * 60 * 60 * 1000;
@@ -206,6 +208,52 @@ class SessionStore {
         };
     }
 
+    // written on shutdown so logins survive a restart, sockets are not kept
+    saveToFile(filePath) {
+        this.cleanupExpiredSessions();
+
+        try {
+            const dir = path.dirname(filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            fs.writeFileSync(filePath, JSON.stringify(Array.from(this.sessions.values())));
+            console.log(`[SessionStore] Saved ${this.sessions.size} sessions to disk`);
+            return { success: true, count: this.sessions.size };
+        } catch (error) {
+            console.error('[SessionStore] Error saving sessions:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    loadFromFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return { success: true, count: 0 };
+        }
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+            for (const session of saved) {
+                this.sessions.set(session.token, session);
+
+                if (!this.userSessionMap.has(session.userId)) {
+                    this.userSessionMap.set(session.userId, new Set());
+                }
+                this.userSessionMap.get(session.userId).add(session.token);
+            }
+
+            // the server may have been down longer than some sessions had left
+            this.cleanupExpiredSessions();
+            console.log(`[SessionStore] Loaded ${this.sessions.size} sessions from disk`);
+            return { success: true, count: this.sessions.size };
+        } catch (error) {
+            console.error('[SessionStore] Error loading sessions:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     getSessionByToken(token) {
         return this.sessions.get(token) || null;
     }
@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { SessionStore } from "./sessionStore.js";
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+const file = path.join(directory, "sessions.json");
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test("sessions saved on shutdown are still valid after a restart", () => {
+    const before = new SessionStore();
+    const { token } = before.createSession("acc-1");
+    const stale = before.createSession("acc-2").token;
+    before.sessions.get(stale).lastActivity -= before.idleTimeout + 1;
+
+    before.saveToFile(file);
+
+    const after = new SessionStore();
+    after.loadFromFile(file);
+
+    assert.equal(after.validateSession(token).session.userId, "acc-1");
+    assert.equal(after.validateSession(stale).valid, false);
+    assert.equal(after.getSessionCountForUser("acc-1"), 1);
+});
+
+test("a missing session file loads nothing", () => {
+    const store = new SessionStore();
+    assert.deepEqual(store.loadFromFile(path.join(directory, "missing.json")), { success: true, count: 0 });
+    assert.equal(store.sessions.size, 0);
+});
@@ -114,8 +114,23 @@ var groupedConfig = {
         maxScreenHeight: 1080
     },
 
+    rooms: {
+        // Each room runs its own Game; overrides are merged over this config
+        gameRooms: [{
+            id: "sandbox",
+            name: "Sandbox"
+        }, {
+            id: "survival",
+            name: "Survival",
+            overrides: { isSandbox: false, resourceDepletion: true, dayNightCycle: true, dynamicWeather: true }
+        }],
+        defaultRoomId: "sandbox"
+    },
+
     server: {
-        serverUpdateRate: 9,
+        serverUpdateRate: 9,  // state packets sent per second
+        simulationRate: 9,  // fixed simulation steps per second (spike damage and boost pads apply per step)
+        maxCatchUpSteps: 5,  // steps run in one wake-up before the backlog is dropped
         maxPlayers: baseMaxPlayers,
         maxPlayersHard: baseMaxPlayers + 10,
         collisionDepth: 6,
@@ -123,11 +138,79 @@ var groupedConfig = {
     },
 
     collisions: {
-        colGrid: 10
+        colGrid: 10,
+        spatialCellSize: 600  // cell size of the server's visibility/targeting index
+    },
+
+    replays: {
+        recordReplays: true,
+        replaySegmentMs: 15 * 60 * 1000,  // a new file is started this often
+        replayMaxFiles: 96  // oldest replays are deleted past this count
+    },
+
+    persistence: {
+        persistWorld: true,
+        worldSaveInterval: 60 * 1000,  // ms between snapshots of each room
+        worldOrphanTtl: 24 * 60 * 60 * 1000,  // restored structures are removed if their owner stays away this long
+        matchHistoryLength: 20  // matches listed per page of the account panel's history
+    },
+
+    shutdown: {
+        shutdownCountdown: 10 * 1000,  // ms players are warned in "Z" before a restart or SIGTERM closes the server
+        shutdownCloseCode: 4012,  // sockets closed by a shutdown use this code, clients reconnect on it
+        reconnectInterval: 3 * 1000  // ms between client checks for the server coming back
+    },
+
+    reconnect: {
+        reconnectGrace: 30 * 1000,  // ms a player whose connection dropped stays in the world, frozen, waiting to be resumed
+        resumeInterval: 2 * 1000  // ms between client attempts to resume
+    },
+
+    spectators: {
+        maxSpectators: 20,  // per room, on top of maxPlayersHard; spectators never count as players
+        spectatorListRate: 2 * 1000,  // ms between "SPECTATE" refreshes of who can be followed
+        spectatorCameraSpeed: 1.2  // px per ms a roaming spectator's camera moves
+    },
+
+    depletion: {
+        resourceDepletion: false,  // nodes drain as they are gathered and regrow later; survival turns it on
+        resourceCapacity: [600, 400, 600, 300],  // units a tree, bush, rock and gold ore hold
+        // spawnRate (0-1) thins out generated resources in the biome, depletionRate scales how fast gathering drains a node
+        biomeResources: {
+            grass: { spawnRate: 1, depletionRate: 1, regrowTime: 90 * 1000 },
+            snow: { spawnRate: 1, depletionRate: 1.25, regrowTime: 150 * 1000 },
+            desert: { spawnRate: 1, depletionRate: 1.5, regrowTime: 180 * 1000 }
+        }
+    },
+
+    dayNight: {
+        dayNightCycle: false,  // server-driven day and night; survival turns it on
+        dayLength: 12 * 60 * 1000,  // ms for a whole day and night
+        nightLength: 4 * 60 * 1000,  // ms of each cycle that is night
+        dawnDuration: 30 * 1000,  // ms dawn and dusk take to fade
+        nightViewScale: 0.6,  // share of the view range players keep at night
+        nightAggression: 1.5,  // nocturnal animals spot players this much further at night
+        dayNightSyncRate: 10 * 1000,  // ms between clock broadcasts
+        nightDarkness: 0.85,  // opacity of the client's night overlay
+        playerLightRadius: 150  // glow around other players at night
+    },
+
+    weather: {
+        dynamicWeather: false,  // schedule weather events on their own; survival turns it on, admins can start one anywhere with /weather
+        weatherCalm: [4 * 60 * 1000, 8 * 60 * 1000],  // ms of clear sky between events
+        // modifiers scale the named settings while the event lasts, biome keeps an event to maps that have that biome
+        weatherEvents: {
+            rain: { weight: 3, duration: [90 * 1000, 180 * 1000], modifiers: { waterCurrent: 1.3, defaultHitSlow: 1.25 } },
+            blizzard: { weight: 2, biome: "snow", duration: [60 * 1000, 120 * 1000], modifiers: { snowSpeed: 0.7 } },
+            sandstorm: { weight: 2, biome: "desert", duration: [60 * 1000, 120 * 1000], modifiers: { defaultHitSlow: 1.6 } },
+            flood: { weight: 1, duration: [45 * 1000, 90 * 1000], modifiers: { riverWidth: 1.4, waterCurrent: 1.8 } }
+        }
     },
 
     networking: {
-        clientSendRate: 5
+        clientSendRate: 5,
+        snapshotAngleSteps: 256,  // player dirs are sent as 0..255 in "a" deltas
+        objectInterestMargin: 1.2  // objects are despawned ("HD") once this many view sizes away, so edges do not flicker
     },
 
     ui: {
@@ -142,7 +225,8 @@ var groupedConfig = {
 
     chat: {
         chatCountdown: 3000,  // ms
-        chatCooldown: 500     // ms
+        chatCooldown: 500,    // ms
+        tribeChatPrefix: "!"  // messages starting with it only reach the sender's tribe
     },
 
     sandbox: {
@@ -217,9 +301,15 @@ var groupedConfig = {
     },
 
     map: {
-        mapScale: 14400,
+        mapFile: null,  // JSON map in server/maps; when unset the map comes from mapGenerator
+        mapGenerator: "random",
+        worldSeed: null,  // same seed, same generated map and animal spawns; a random one is picked when unset
+        mapScale: 14400,  // replaced by the loaded map's size
         mapPingScale: 40,
-        mapPingTime: 2200  // ms
+        mapPingTime: 2200,  // ms
+        // minimap markers a tribe places for its members; placing past the limit drops the oldest
+        tribeMarkerKinds: ["rally", "danger"],
+        tribeMarkerLimit: 8
     },
 
     experience: {
@@ -231,7 +321,33 @@ var groupedConfig = {
     },
 
     economy: {
-        millPointsPerTick: 5000
+        millPointsPerTick: 5000,
+        // logged-in players keep the hats and accessories they buy; with this on they pay
+        // from their account balance instead of in-game gold
+        cosmeticsUseBalance: false,
+        // gold per unit of balance when pricing cosmetics in balance, unless an item sets balancePrice
+        cosmeticBalanceRate: 200
+    },
+
+    currency: {
+        // account balance paid out when a logged-in session is saved
+        balancePerKill: 2,
+        balancePerPlayStep: 5,
+        balancePlayStep: 10 * 60 * 1000,
+        balanceForHighScore: 25,
+        // session goals paid with the rest, once per session they are reached in;
+        // stat is "kills", "score" or "playTime" (ms)
+        quests: [
+            { name: "Hunter", stat: "kills", goal: 10, reward: 20 },
+            { name: "Tycoon", stat: "score", goal: 10000, reward: 20 },
+            { name: "Settler", stat: "playTime", goal: 30 * 60 * 1000, reward: 15 }
+        ],
+        // what the balance buys; a price of 0 makes it free
+        nameColorPrice: 100,
+        clanCreatePrice: 0,
+        nameColors: ["#ff6b6b", "#ffb347", "#ffe66d", "#8ecc51", "#4ecdc4", "#6c8cff", "#c77dff", "#ff8fc7"],
+        // recent ledger entries shown in the account panel
+        balanceHistoryLength: 10
     },
 
     combat: {
@@ -244,6 +360,7 @@ var groupedConfig = {
         objectDamageMultiplier: 5,
         killScoreMultiplier: 100,
         goldStealPercent: 0.5,
+        warKillBonus: 500,  // extra gold for killing a member of a tribe at war with yours
         poisonDamage: 5,
         poisonDuration: 5
     },
@@ -315,6 +432,8 @@ var groupedConfig = {
 
     leaderboard: {
         leaderboardMaxPlayers: 10,
+        tribeLeaderboardMaxTribes: 10,
+        tribeLeaderboardRate: 5000,  // ms between "TG" tribe standings
         allianceNameMaxLength: 7
     },
 
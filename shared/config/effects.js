@@ -0,0 +1,69 @@
+// Status effects players and animals can carry. The server runs them
+// (server/src/moomoo/modules/statusEffects.js) and clients draw `icon` in
+// `color` under the health bar of whoever carries one.
+//
+//   stack      what applying an effect that is already running does:
+//              "replace" starts it over with the new value, "refresh" keeps
+//              the value and takes the longer duration, "strongest" keeps the
+//              higher value, "add" sums values up to `maxValue`
+//   tick       ms between onTick calls, 0 calls it every server step
+//   onStart, onTick, onEnd
+//              handler names in statusEffects.js, called with the effect
+//   modifiers  stats scaled while it runs, "value" scales by the effect value
+//   blocks     actions the carrier cannot take: move, attack, eat
+//   resist     hat or accessory flag that makes the wearer immune
+//   persist    survives death, for what admins hand out
+module.exports.effects = [{
+    id: 0,
+    name: "poison",
+    icon: "P",
+    color: "#7ac143",
+    stack: "replace",
+    tick: 1000,
+    onTick: "damage",
+    resist: "poisonRes"
+}, {
+    id: 1,
+    name: "shame",
+    icon: "!",
+    color: "#d64b4b",
+    stack: "refresh",
+    tick: 0,
+    onTick: "shame",
+    onEnd: "unshame",
+    blocks: ["eat"]
+}, {
+    id: 2,
+    name: "frozen",
+    icon: "F",
+    color: "#7fd3ff",
+    stack: "refresh",
+    blocks: ["move"],
+    persist: true
+}, {
+    id: 3,
+    name: "disarmed",
+    icon: "D",
+    color: "#a0a0a0",
+    stack: "refresh",
+    blocks: ["attack"],
+    persist: true
+}, {
+    id: 4,
+    name: "speed",
+    icon: "S",
+    color: "#ffd54f",
+    stack: "replace",
+    modifiers: {
+        speed: "value"
+    },
+    persist: true
+}, {
+    id: 5,
+    name: "regeneration",
+    icon: "+",
+    color: "#8ecc51",
+    stack: "strongest",
+    tick: 1000,
+    onTick: "heal"
+}];
@@ -80,6 +80,12 @@ module.exports.groups = [{
     place: true,
     limit: 2,
     layer: -1
+}, {
+    id: 14,
+    name: "torch",
+    place: true,
+    limit: 8,
+    layer: 0
 }];
 
 exports.projectiles = [{
@@ -643,6 +649,7 @@ module.exports.list = [{
     projectile: 1,
     shootRange: 700,
     shootRate: 2200,
+    light: 250,
     scale: 43,
     holdOffset: 20,
     placeOffset: -5
@@ -709,6 +716,17 @@ module.exports.list = [{
     scale: 45,
     holdOffset: 20,
     placeOffset: -5
+}, {
+    age: 4,
+    group: module.exports.groups[14],
+    name: "torch",
+    desc: "lights up the area around it at night",
+    req: ["wood", 25],
+    light: 450,
+    health: 200,
+    scale: 30,
+    holdOffset: 20,
+    placeOffset: -5
 }];
 
 for (var i = 0; i < module.exports.list.length; ++i) {
@@ -167,6 +167,13 @@ module.exports.hats = [{
     scale: 120,
     desc: "makes you immune to poison",
     poisonRes: 1
+}, {
+    id: 59,
+    name: "Night Goggles",
+    price: 4000,
+    scale: 120,
+    desc: "see as far at night as during the day",
+    nightVision: 1
 }, {
     id: 13,
     name: "Medic Gear",
@@ -0,0 +1,60 @@
+// World clock shared by server and client. Each cycle starts at dawn, stays
+// light until dusk fades into night and ends just before the next dawn. The
+// server owns the clock and broadcasts it; clients keep advancing their copy
+// between syncs so the lighting fades smoothly.
+
+function DayCycle(settings) {
+    this.length = settings.length;
+    this.night = settings.night;  // ms of each cycle that is night
+    this.fade = settings.fade;  // ms dawn and dusk take
+    this.nightView = settings.nightView;
+    this.time = settings.time || 0;
+}
+
+DayCycle.prototype.update = function (delta) {
+    this.time = (this.time + delta) % this.length;
+};
+
+// 1 in full daylight, 0 at night
+DayCycle.prototype.daylight = function () {
+    var dayEnd = this.length - this.night;
+    if (this.time >= dayEnd) {
+        return 0;
+    }
+    return Math.max(0, Math.min(1, this.time / this.fade, (dayEnd - this.time) / this.fade));
+};
+
+DayCycle.prototype.isNight = function () {
+    return this.daylight() < 0.5;
+};
+
+// share of the normal view range left, night vision keeps all of it
+DayCycle.prototype.viewScale = function (nightVision) {
+    if (nightVision) {
+        return 1;
+    }
+    return this.nightView + (1 - this.nightView) * this.daylight();
+};
+
+// what clients need to run their copy of the clock
+DayCycle.prototype.describe = function () {
+    return {
+        length: this.length,
+        night: this.night,
+        fade: this.fade,
+        nightView: this.nightView,
+        time: Math.round(this.time)
+    };
+};
+
+DayCycle.fromConfig = function (config) {
+    return {
+        length: config.dayLength,
+        night: config.nightLength,
+        fade: config.dawnDuration,
+        nightView: config.nightViewScale,
+        time: 0
+    };
+};
+
+module.exports = DayCycle;
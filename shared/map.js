@@ -0,0 +1,122 @@
+// Map layout shared by server and client: world size, biome regions and rivers.
+// Regions are rectangles checked last to first, so later regions paint over
+// earlier ones; anything outside every region is the base biome. Rivers are
+// polylines whose current flows from the first point towards the last.
+
+function GameMap(description) {
+    this.name = description.name;
+    this.size = description.size;
+    this.biome = description.biome || "grass";
+    this.biomes = description.biomes || [];
+    this.rivers = description.rivers || [];
+
+    this.riverScale = 1;
+    this.currentScale = 1;
+    this.buildSegments();
+}
+
+GameMap.prototype.buildSegments = function () {
+    this.segments = [];
+    for (var i = 0; i < this.rivers.length; ++i) {
+        var river = this.rivers[i];
+        for (var p = 1; p < river.points.length; ++p) {
+            var start = river.points[p - 1];
+            var end = river.points[p];
+            var length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+            if (!length) {
+                continue;
+            }
+            this.segments.push({
+                x: start[0],
+                y: start[1],
+                dirX: (end[0] - start[0]) / length,
+                dirY: (end[1] - start[1]) / length,
+                length: length,
+                halfWidth: river.width * this.riverScale / 2,
+                current: river.current * this.currentScale
+            });
+        }
+    }
+};
+
+// widens and speeds up every river, e.g. while a flood lasts
+GameMap.prototype.setRiverScale = function (width, current) {
+    this.riverScale = width;
+    this.currentScale = current;
+    this.buildSegments();
+};
+
+GameMap.prototype.biomeAt = function (x, y) {
+    for (var i = this.biomes.length - 1; i >= 0; --i) {
+        var region = this.biomes[i];
+        if (x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height) {
+            return region.biome;
+        }
+    }
+    return this.biome;
+};
+
+GameMap.prototype.hasBiome = function (biome) {
+    if (this.biome == biome) {
+        return true;
+    }
+    for (var i = 0; i < this.biomes.length; ++i) {
+        if (this.biomes[i].biome == biome) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// the river segment covering (x, y), or null on dry land
+GameMap.prototype.riverAt = function (x, y) {
+    for (var i = 0; i < this.segments.length; ++i) {
+        var segment = this.segments[i];
+        var along = (x - segment.x) * segment.dirX + (y - segment.y) * segment.dirY;
+        if (along < 0 || along > segment.length) {
+            continue;
+        }
+        var across = (x - segment.x) * -segment.dirY + (y - segment.y) * segment.dirX;
+        if (Math.abs(across) <= segment.halfWidth) {
+            return segment;
+        }
+    }
+    return null;
+};
+
+GameMap.prototype.inRiver = function (x, y) {
+    return this.riverAt(x, y) !== null;
+};
+
+// what clients need to draw the map
+GameMap.prototype.describe = function () {
+    return {
+        name: this.name,
+        size: this.size,
+        biome: this.biome,
+        biomes: this.biomes,
+        rivers: this.rivers
+    };
+};
+
+// snow along the top, desert along the bottom and one river across the middle
+GameMap.classic = function (config) {
+    var size = config.mapScale;
+    return {
+        name: "classic",
+        size: size,
+        biome: "grass",
+        biomes: [{
+            biome: "snow", x: 0, y: 0, width: size, height: config.snowBiomeTop
+        }, {
+            biome: "desert", x: 0, y: size - config.snowBiomeTop, width: size, height: config.snowBiomeTop
+        }],
+        rivers: [{
+            width: config.riverWidth,
+            current: config.waterCurrent,
+            points: [[0, size / 2], [size, size / 2]]
+        }]
+    };
+};
+
+module.exports = GameMap;
@@ -1,4 +1,4 @@
-import { pgTable, text, serial, integer, bigint, timestamp, varchar } from "drizzle-orm/pg-core";
+import { pgTable, text, serial, integer, bigint, timestamp, varchar, unique, index, jsonb } from "drizzle-orm/pg-core";
 
 export const AdminLevel = {
     None: 0,
@@ -31,4 +31,77 @@ export const accounts = pgTable("accounts", {
     createdAt: timestamp("created_at").defaultNow().notNull(),
     lastLogin: timestamp("last_login"),
     ipAddress: varchar("ip_address", { length: 45 }),
+    nameColor: varchar("name_color", { length: 7 }),
 });
+
+// every change to accounts.balance, newest last; amount is negative for spending
+export const balanceTransactions = pgTable("balance_transactions", {
+    id: serial("id").primaryKey(),
+    accountId: varchar("account_id", { length: 16 }).notNull().references(() => accounts.accountId, { onDelete: "cascade" }),
+    amount: integer("amount").notNull(),
+    balanceAfter: integer("balance_after").notNull(),
+    reason: varchar("reason", { length: 32 }).notNull(),
+    details: text("details"),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => [
+    index("balance_transactions_account").on(table.accountId, table.createdAt),
+]);
+
+// one row per life of a logged-in player, see server/src/moomoo/matchHistory.js
+export const matches = pgTable("matches", {
+    id: serial("id").primaryKey(),
+    accountId: varchar("account_id", { length: 16 }).notNull().references(() => accounts.accountId, { onDelete: "cascade" }),
+    room: varchar("room", { length: 24 }).notNull(),
+    startedAt: timestamp("started_at").notNull(),
+    endedAt: timestamp("ended_at").notNull(),
+    // player, animal, structure, poison, other, or left when they quit alive
+    cause: varchar("cause", { length: 16 }).notNull(),
+    killer: varchar("killer", { length: 30 }),
+    peakAge: integer("peak_age").notNull(),
+    score: integer("score").notNull(),
+    kills: integer("kills").notNull(),
+    // gathered amounts by resource name
+    resources: jsonb("resources").notNull(),
+    structuresBuilt: integer("structures_built").notNull(),
+    // ids of the weapons swung or fired
+    weapons: jsonb("weapons").notNull(),
+}, (table) => [
+    index("matches_account_ended").on(table.accountId, table.endedAt),
+    index("matches_account_score").on(table.accountId, table.score),
+]);
+
+// tribes founded by logged-in players, kept between sessions and rooms; see server/src/moomoo/tribes.js
+export const tribes = pgTable("tribes", {
+    id: serial("id").primaryKey(),
+    name: varchar("name", { length: 7 }).unique().notNull(),
+    createdBy: varchar("created_by", { length: 16 }).references(() => accounts.accountId, { onDelete: "set null" }),
+    createdAt: timestamp("created_at").defaultNow().notNull(),
+    // all-time totals, added from each member's matches as they end
+    score: bigint("score", { mode: "number" }).default(0).notNull(),
+    kills: integer("kills").default(0).notNull(),
+    structuresBuilt: integer("structures_built").default(0).notNull(),
+    matches: integer("matches").default(0).notNull(),
+});
+
+// an account belongs to one tribe at most; role is leader, officer or member
+export const tribeMembers = pgTable("tribe_members", {
+    id: serial("id").primaryKey(),
+    tribeId: integer("tribe_id").notNull().references(() => tribes.id, { onDelete: "cascade" }),
+    accountId: varchar("account_id", { length: 16 }).unique().notNull().references(() => accounts.accountId, { onDelete: "cascade" }),
+    role: varchar("role", { length: 8 }).default("member").notNull(),
+    joinedAt: timestamp("joined_at").defaultNow().notNull(),
+}, (table) => [
+    index("tribe_members_tribe").on(table.tribeId),
+]);
+
+// hats (kind 0) and accessories (kind 1) an account has bought, ids from shared/config/store.js
+export const ownedCosmetics = pgTable("owned_cosmetics", {
+    id: serial("id").primaryKey(),
+    accountId: varchar("account_id", { length: 16 }).notNull().references(() => accounts.accountId, { onDelete: "cascade" }),
+    kind: integer("kind").notNull(),
+    itemId: integer("item_id").notNull(),
+    pricePaid: integer("price_paid").default(0).notNull(),
+    acquiredAt: timestamp("acquired_at").defaultNow().notNull(),
+}, (table) => [
+    unique("owned_cosmetics_account_item").on(table.accountId, table.kind, table.itemId),
+]);